@@ -0,0 +1,157 @@
+// # Model arena: one virtual paper account per model and a persistent leaderboard
+import fs from "fs";
+import { pathToFileURL } from "url";
+import { parseArgs } from "util";
+import { createPaperExchange, describeClosedTrade } from "./paper.js";
+import { formatUsd, formatPercent } from "./trading.js";
+
+export const DEFAULT_ARENA_STATE_FILE = ".arena-state.json";
+
+function utcDate(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+export function loadArenaState(stateFile = DEFAULT_ARENA_STATE_FILE) {
+    if (!stateFile || !fs.existsSync(stateFile)) {
+        return { accounts: {}, lastSummaryDate: null };
+    }
+    try {
+        return { accounts: {}, lastSummaryDate: null, ...JSON.parse(fs.readFileSync(stateFile, "utf8")) };
+    } catch (error) {
+        console.error(`Failed to read arena state from ${stateFile}:`, error);
+        return { accounts: {}, lastSummaryDate: null };
+    }
+}
+
+function emptyStats(startingBalance) {
+    return { startingBalance, equity: startingBalance, peakEquity: startingBalance, maxDrawdown: 0, trades: 0, wins: 0 };
+}
+
+export function createArena({
+    names,
+    startingBalance = 10000,
+    feeRate,
+    stateFile = DEFAULT_ARENA_STATE_FILE,
+    now = () => Date.now()
+}) {
+    const state = loadArenaState(stateFile);
+    const exchanges = new Map();
+    for (const name of names) {
+        const account = state.accounts[name] ?? { exchange: null, stats: emptyStats(startingBalance) };
+        state.accounts[name] = account;
+        exchanges.set(
+            name,
+            createPaperExchange({
+                startingBalance: account.stats.startingBalance,
+                feeRate,
+                now,
+                initialState: account.exchange ?? undefined
+            })
+        );
+    }
+    // The first run only starts the clock; the first summary goes out on the next UTC day.
+    state.lastSummaryDate = state.lastSummaryDate ?? utcDate(now());
+
+    // Every fill that reduces a position counts as a closed trade, net of entry and exit fees like the backtest report.
+    function recordEvents(name, events = []) {
+        const stats = state.accounts[name].stats;
+        for (const trade of events.map(describeClosedTrade).filter(Boolean)) {
+            stats.trades += 1;
+            if (trade.netPnl > 0) {
+                stats.wins += 1;
+            }
+        }
+    }
+
+    function markEquity(name) {
+        const stats = state.accounts[name].stats;
+        const equity = exchanges.get(name).getAccountSnapshot().totalEquity;
+        stats.equity = equity;
+        stats.peakEquity = Math.max(stats.peakEquity, equity);
+        if (stats.peakEquity > 0) {
+            stats.maxDrawdown = Math.max(stats.maxDrawdown, (stats.peakEquity - equity) / stats.peakEquity);
+        }
+        return equity;
+    }
+
+    function save() {
+        for (const name of names) {
+            state.accounts[name].exchange = exchanges.get(name).exportState();
+        }
+        if (!stateFile) {
+            return;
+        }
+        try {
+            fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+        } catch (error) {
+            console.error(`Failed to write arena state to ${stateFile}:`, error);
+        }
+    }
+
+    function takeDailySummary() {
+        const today = utcDate(now());
+        if (state.lastSummaryDate === today) {
+            return false;
+        }
+        state.lastSummaryDate = today;
+        return true;
+    }
+
+    return {
+        names,
+        getExchange: (name) => exchanges.get(name),
+        recordEvents,
+        markEquity,
+        save,
+        takeDailySummary,
+        leaderboard: () => buildLeaderboard(state, names)
+    };
+}
+
+export function buildLeaderboard(state, names = Object.keys(state.accounts)) {
+    return names
+        .filter((name) => state.accounts[name])
+        .map((name) => {
+            const stats = state.accounts[name].stats;
+            return {
+                name,
+                equity: stats.equity,
+                totalReturn: stats.startingBalance > 0 ? (stats.equity - stats.startingBalance) / stats.startingBalance : 0,
+                maxDrawdown: stats.maxDrawdown,
+                tradeCount: stats.trades,
+                winRate: stats.trades ? stats.wins / stats.trades : 0
+            };
+        })
+        .sort((a, b) => b.equity - a.equity);
+}
+
+export function formatLeaderboard(rows) {
+    if (!rows.length) {
+        return "No arena models configured.";
+    }
+    const medals = ["🥇", "🥈", "🥉"];
+    return rows
+        .map(
+            (row, index) =>
+                `${medals[index] ?? `${index + 1}.`} ${row.name} $${formatUsd(row.equity)} (${row.totalReturn >= 0 ? "+" : ""}${formatPercent(
+                    row.totalReturn
+                )}) | DD ${formatPercent(row.maxDrawdown)} | trades ${row.tradeCount} | win ${formatPercent(row.winRate)}`
+        )
+        .join("\n");
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            state: { type: "string", default: process.env.ARENA_STATE_FILE || DEFAULT_ARENA_STATE_FILE }
+        }
+    });
+    console.log(formatLeaderboard(buildLeaderboard(loadArenaState(values.state))));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch((error) => {
+        console.error("Arena CLI failed:", error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,391 @@
+// # Offline replay of stored klines through the live decision pipeline
+import fs from "fs";
+import { pathToFileURL } from "url";
+import { parseArgs } from "util";
+import { createPaperExchange, describeClosedTrade } from "./paper.js";
+import { describeOpenOrders } from "./orders.js";
+import { formatConfigErrors, loadConfig } from "./config.js";
+import { DEFAULT_INDICATOR_CONFIG, INDICATOR_PERIODS, calculateATR, requiredCandles } from "./indicators.js";
+import { DEFAULT_TEMPLATE_NAME, createTemplateRegistry, createTemplateSelector, parseTemplateNames } from "./templates.js";
+import {
+    BYBIT_SYMBOL,
+    toNumber,
+    formatUsd,
+    formatPercent,
+    fillTemplate,
+    describePosition,
+    formatSymbolSections,
+    buildIndicatorSummary,
+    buildSamplingData,
+    buildTemplateData,
+    parseModelDecisions,
+    mapDecisionsToBybitOrders
+} from "./trading.js";
+
+const SERIES_INTERVALS_MS = {
+    "1m": 60 * 1000,
+    "5m": 5 * 60 * 1000,
+    "1h": 60 * 60 * 1000
+};
+const SERIES_LIMIT = 60;
+
+function normalizeCandle(entry) {
+    if (Array.isArray(entry)) {
+        return {
+            startTime: Number(entry[0]),
+            open: toNumber(entry[1]),
+            high: toNumber(entry[2]),
+            low: toNumber(entry[3]),
+            close: toNumber(entry[4]),
+            volume: toNumber(entry[5])
+        };
+    }
+    return {
+        startTime: Number(entry?.startTime),
+        open: toNumber(entry?.open),
+        high: toNumber(entry?.high),
+        low: toNumber(entry?.low),
+        close: toNumber(entry?.close),
+        volume: toNumber(entry?.volume)
+    };
+}
+
+export function loadCandleFile(path) {
+    const payload = JSON.parse(fs.readFileSync(path, "utf8"));
+    const series = {};
+    for (const label of Object.keys(SERIES_INTERVALS_MS)) {
+        const rows = Array.isArray(payload?.[label]) ? payload[label] : [];
+        series[label] = rows
+            .map(normalizeCandle)
+            .filter((candle) => Number.isFinite(candle.startTime))
+            .sort((a, b) => a.startTime - b.startTime);
+    }
+    if (!series["1m"].length) {
+        throw new Error(`Candle file ${path} has no 1m candles to replay.`);
+    }
+    return series;
+}
+
+// Only candles that have fully closed at `time` are visible, mirroring what the live bot could know.
+function visibleCandles(candles, intervalMs, time, limit = SERIES_LIMIT) {
+    let low = 0;
+    let high = candles.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (candles[mid].startTime + intervalMs <= time) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return candles.slice(Math.max(0, low - limit), low);
+}
+
+function buildReplayMarket(series, candle, time) {
+    const hourly = visibleCandles(series["1h"], SERIES_INTERVALS_MS["1h"], time, 24);
+    const reference = hourly.length ? hourly[0].open : candle.open;
+    const change24h = reference > 0 ? ((candle.close - reference) / reference) * 100 : 0;
+    const volume24h = hourly.reduce((sum, bar) => sum + bar.volume * bar.close, 0);
+    return {
+        symbol: BYBIT_SYMBOL,
+        price: candle.close,
+        change24h,
+        fundingRate: 0,
+        volume24h
+    };
+}
+
+function createRecordedDecisionSource(path) {
+    const records = fs
+        .readFileSync(path, "utf8")
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+    let cursor = 0;
+
+    return {
+        name: `recorded:${path}`,
+        async decide() {
+            if (cursor >= records.length) {
+                return { decisions: [] };
+            }
+            const record = records[cursor++];
+            const response = record.response ?? record.content ?? record;
+            return typeof response === "string" ? parseModelDecisions(response) : response;
+        }
+    };
+}
+
+// Deterministic trend follower so the harness can run without any model responses.
+function createStubDecisionSource() {
+    return {
+        name: "stub:momentum",
+        async decide({ context, seriesMap }) {
+            const hourly = seriesMap["1h"] ?? [];
+            const price = context.market[BYBIT_SYMBOL].price;
+            if (hourly.length < 21 || context.positions[BYBIT_SYMBOL]) {
+                return { decisions: [] };
+            }
+            const anchor = hourly[hourly.length - 21].close;
+            const drift = (price - anchor) / anchor;
+            if (Math.abs(drift) < 0.005) {
+                return { decisions: [] };
+            }
+            const long = drift > 0;
+            return {
+                decisions: [
+                    {
+                        operation: long ? "buy" : "sell",
+                        symbol: BYBIT_SYMBOL,
+                        target_portion_of_balance: 0.1,
+                        leverage: 3,
+                        max_price: long ? price : undefined,
+                        min_price: long ? undefined : price,
+                        stop_loss_price: long ? price * 0.99 : price * 1.01,
+                        take_profit_price: long ? price * 1.02 : price * 0.98,
+                        reason: `20h drift ${(drift * 100).toFixed(2)}%`,
+                        trading_strategy: "Stub momentum entry with 1% stop and 2% target."
+                    }
+                ]
+            };
+        }
+    };
+}
+
+export function createDecisionSource(spec = "stub") {
+    if (spec === "stub") {
+        return createStubDecisionSource();
+    }
+    if (spec.startsWith("recorded:")) {
+        return createRecordedDecisionSource(spec.slice("recorded:".length));
+    }
+    throw new Error(`Unknown decision source ${spec}; use "stub" or "recorded:<file.jsonl>"`);
+}
+
+export function summarizeBacktest(startingBalance, equityCurve, trades) {
+    const finalEquity = equityCurve.length
+        ? equityCurve[equityCurve.length - 1].equity
+        : startingBalance;
+    let peak = startingBalance;
+    let maxDrawdown = 0;
+    for (const point of equityCurve) {
+        peak = Math.max(peak, point.equity);
+        if (peak > 0) {
+            maxDrawdown = Math.max(maxDrawdown, (peak - point.equity) / peak);
+        }
+    }
+    const grossProfit = trades
+        .filter((trade) => trade.netPnl > 0)
+        .reduce((sum, trade) => sum + trade.netPnl, 0);
+    const grossLoss = trades
+        .filter((trade) => trade.netPnl < 0)
+        .reduce((sum, trade) => sum + Math.abs(trade.netPnl), 0);
+    const wins = trades.filter((trade) => trade.netPnl > 0).length;
+
+    return {
+        startingBalance,
+        finalEquity,
+        totalReturn: startingBalance > 0 ? (finalEquity - startingBalance) / startingBalance : 0,
+        maxDrawdown,
+        tradeCount: trades.length,
+        winRate: trades.length ? wins / trades.length : 0,
+        profitFactor: grossLoss > 0 ? grossProfit / grossLoss : grossProfit > 0 ? Infinity : 0
+    };
+}
+
+export async function runBacktest({
+    series,
+    decisionSource,
+    startingBalance = 10000,
+    stepMinutes = 5,
+    feeRate,
+    riskPerTrade,
+    templateNames = [DEFAULT_TEMPLATE_NAME],
+    indicators = { ...DEFAULT_INDICATOR_CONFIG, periods: INDICATOR_PERIODS },
+    onPrompt
+}) {
+    const templateSelector = createTemplateSelector(createTemplateRegistry(), templateNames);
+    let clock = series["1m"][0].startTime;
+    const exchange = createPaperExchange({ startingBalance, feeRate, now: () => clock });
+    const sessionStart = clock;
+    const stepMs = Math.max(1, stepMinutes) * 60 * 1000;
+    const equityCurve = [];
+    const fills = [];
+    const skipped = [];
+    let nextDecisionAt = sessionStart + stepMs;
+
+    const recordEvents = (events) => {
+        for (const event of events) {
+            if (event.type !== "rejected") {
+                fills.push(event);
+            }
+        }
+    };
+
+    for (const candle of series["1m"]) {
+        clock = candle.startTime + SERIES_INTERVALS_MS["1m"];
+        recordEvents(exchange.processBar(BYBIT_SYMBOL, candle));
+
+        if (clock < nextDecisionAt) {
+            continue;
+        }
+        nextDecisionAt = clock + stepMs;
+
+        const seriesMap = Object.fromEntries(
+            Object.entries(SERIES_INTERVALS_MS).map(([label, intervalMs]) => [
+                label,
+                visibleCandles(series[label], intervalMs, clock, requiredCandles(indicators[label], indicators.periods))
+            ])
+        );
+        const market = buildReplayMarket(series, candle, clock);
+        const { position, positionMode } = exchange.getPositionState(BYBIT_SYMBOL);
+        const context = {
+            now: clock,
+            sessionStart,
+            environment: { label: "BACKTEST (historical replay)", realCapital: false },
+            symbols: [BYBIT_SYMBOL],
+            account: exchange.getAccountSnapshot(),
+            market: { [BYBIT_SYMBOL]: market },
+            positions: { [BYBIT_SYMBOL]: position },
+            positionModes: { [BYBIT_SYMBOL]: positionMode },
+            instrumentMeta: {},
+            positionDetail: describePosition(position, BYBIT_SYMBOL),
+            openOrdersDetail: describeOpenOrders(exchange.getOpenOrders(BYBIT_SYMBOL), clock),
+            samplingData: formatSymbolSections([BYBIT_SYMBOL], () =>
+                buildSamplingData(seriesMap, market, position)
+            ),
+            indicatorSummary: formatSymbolSections([BYBIT_SYMBOL], () =>
+                buildIndicatorSummary(seriesMap, indicators, indicators.periods)
+            ),
+            marketStructureSummary: "Backtest replay; no order book, open interest or funding history available.",
+            newsHeadline: "Backtest replay; no news feed available.",
+            sizing: riskPerTrade
+                ? { mode: "risk", riskPerTrade, minStopAtrMultiple: 0.5, atr: { [BYBIT_SYMBOL]: calculateATR(seriesMap["5m"]) } }
+                : { mode: "portion" }
+        };
+        equityCurve.push({ time: clock, equity: context.account.totalEquity });
+
+        const promptTemplate = templateSelector.next();
+        const prompt = fillTemplate(promptTemplate.template, buildTemplateData(context));
+        if (onPrompt) {
+            onPrompt(prompt, clock);
+        }
+        const payload = await decisionSource.decide({ prompt, context, seriesMap, time: clock });
+        const decisions = payload?.decisions ?? [];
+        const adjustments = [];
+        const orders = mapDecisionsToBybitOrders(decisions, context, [], adjustments);
+        const actionable = decisions.filter(
+            (decision) => (decision?.operation || "").toLowerCase() !== "hold"
+        );
+        if (actionable.length > orders.length + adjustments.length) {
+            skipped.push({ time: clock, decisions: actionable, orders: orders.length });
+        }
+        for (const adjustment of adjustments) {
+            exchange.setTradingStop(adjustment.symbol, adjustment);
+        }
+        for (const execution of exchange.placeOrders(orders)) {
+            if (execution.status === "success") {
+                recordEvents(execution.result.events);
+            } else {
+                skipped.push({ time: clock, order: execution.order, error: execution.error });
+            }
+        }
+    }
+
+    const finalEquity = exchange.getAccountSnapshot().totalEquity;
+    equityCurve.push({ time: clock, equity: finalEquity });
+
+    const trades = fills
+        .map((fill) => ({ fill, trade: describeClosedTrade(fill) }))
+        .filter(({ trade }) => trade)
+        .map(({ fill, trade }) => ({
+            time: fill.timestamp,
+            symbol: fill.symbol,
+            side: fill.side,
+            price: fill.price,
+            exit: fill.type,
+            realisedPnl: fill.realisedPnl,
+            ...trade
+        }));
+
+    return {
+        decisionSource: decisionSource.name,
+        summary: summarizeBacktest(startingBalance, equityCurve, trades),
+        trades,
+        fills,
+        skipped,
+        equityCurve
+    };
+}
+
+function formatBacktestReport(result) {
+    const { summary } = result;
+    const profitFactor = Number.isFinite(summary.profitFactor)
+        ? summary.profitFactor.toFixed(2)
+        : "∞";
+    return [
+        `Backtest (${result.decisionSource})`,
+        `Equity: $${formatUsd(summary.startingBalance)} → $${formatUsd(summary.finalEquity)} (${formatPercent(summary.totalReturn)})`,
+        `Max drawdown: ${formatPercent(summary.maxDrawdown)}`,
+        `Closed trades: ${summary.tradeCount} | win rate ${formatPercent(summary.winRate)} | profit factor ${profitFactor}`,
+        `Fills: ${result.fills.length} | skipped decisions/orders: ${result.skipped.length}`
+    ].join("\n");
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            candles: { type: "string" },
+            decisions: { type: "string", default: "stub" },
+            balance: { type: "string", default: "10000" },
+            step: { type: "string", default: "5" },
+            fee: { type: "string" },
+            "risk-per-trade": { type: "string" },
+            template: { type: "string", default: DEFAULT_TEMPLATE_NAME },
+            config: { type: "string" },
+            out: { type: "string" },
+            "print-prompts": { type: "boolean", default: false }
+        }
+    });
+
+    if (!values.candles) {
+        console.error(
+            "Usage: node backtest.js --candles <file.json> [--decisions stub|recorded:<file.jsonl>] [--balance 10000] [--step 5] [--fee 0.00055] [--risk-per-trade 0.01] [--template name[,name]] [--config bot.config.json] [--out result.json]"
+        );
+        process.exit(1);
+    }
+    // Indicator selection and periods come from the same config file and env variables as the live bot.
+    const loaded = loadConfig({ sections: ["indicators"] });
+    if (loaded.errors.length) {
+        console.error(formatConfigErrors(loaded.errors));
+        process.exit(1);
+    }
+
+    const result = await runBacktest({
+        series: loadCandleFile(values.candles),
+        decisionSource: createDecisionSource(values.decisions),
+        startingBalance: toNumber(values.balance, 10000),
+        stepMinutes: toNumber(values.step, 5),
+        feeRate: values.fee !== undefined ? toNumber(values.fee) : undefined,
+        riskPerTrade: values["risk-per-trade"] !== undefined ? toNumber(values["risk-per-trade"]) : undefined,
+        templateNames: parseTemplateNames(values.template),
+        indicators: loaded.config.indicators,
+        onPrompt: values["print-prompts"]
+            ? (prompt, time) => console.log(`--- Prompt @ ${new Date(time).toISOString()} ---\n${prompt}`)
+            : undefined
+    });
+
+    console.log(formatBacktestReport(result));
+    if (values.out) {
+        fs.writeFileSync(values.out, JSON.stringify(result, null, 2));
+        console.log(`Full results written to ${values.out}`);
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch((error) => {
+        console.error("Backtest failed:", error);
+        process.exit(1);
+    });
+}
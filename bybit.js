@@ -0,0 +1,262 @@
+// # Bybit v5 REST client: signing, timeouts, retries with backoff, rate-limit pacing, clock sync and typed errors
+import crypto from "crypto";
+import nodeFetch from "node-fetch";
+
+// retCodes that are worth retrying; anything else from the API is a fatal request error.
+const RET_CODE_KINDS = {
+    10000: "server",
+    10016: "server",
+    10002: "timestamp",
+    10006: "rate_limit",
+    10018: "rate_limit"
+};
+const DUPLICATE_ORDER_LINK_ID = 110072;
+const ORDER_NOT_EXISTS = 110001;
+// Connection never established, so the exchange cannot have seen the request.
+const UNSENT_NETWORK_CODES = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"]);
+// Repeating these leaves the exchange in the same state as sending them once.
+const IDEMPOTENT_POST_PATHS = new Set(["/v5/position/set-leverage", "/v5/position/trading-stop", "/v5/order/cancel"]);
+const ORDER_CREATE_PATH = "/v5/order/create";
+const ORDER_CANCEL_PATH = "/v5/order/cancel";
+
+export class BybitError extends Error {
+    constructor(message, { kind, path, code, status, retryAfterMs, response, cause } = {}) {
+        super(message, { cause });
+        this.name = "BybitError";
+        this.kind = kind;
+        this.path = path;
+        this.code = code;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.response = response;
+        this.retryable =
+            ["network", "timeout", "server", "rate_limit", "timestamp"].includes(kind) ||
+            (kind === "http" && (status >= 500 || status === 429));
+        // The request may have reached the matching engine; only safe to repeat when the call is idempotent.
+        this.ambiguous =
+            kind === "timeout" ||
+            kind === "server" ||
+            (kind === "http" && status >= 500) ||
+            (kind === "network" && !UNSENT_NETWORK_CODES.has(cause?.cause?.code ?? cause?.code));
+    }
+}
+
+function buildQueryString(params = {}) {
+    return Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null && value !== "")
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+        .join("&");
+}
+
+function readHeaderNumber(headers, name) {
+    const value = Number(headers?.get?.(name));
+    return Number.isFinite(value) && headers.get(name) !== null ? value : null;
+}
+
+export function createBybitClient({
+    baseUrl,
+    apiKey,
+    apiSecret,
+    recvWindow = 5000,
+    timeoutMs = 10000,
+    maxRetries = 3,
+    retryBaseMs = 500,
+    retryMaxMs = 8000,
+    clockSyncIntervalMs = 30 * 60 * 1000,
+    fetchImpl = typeof fetch === "function" ? fetch : nodeFetch,
+    now = () => Date.now(),
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    random = Math.random,
+    onAttempt
+}) {
+    let clockOffsetMs = 0;
+    let lastClockSyncAt = null;
+    let clockSync = null;
+    // Per-path budget from the X-Bapi-Limit-* headers of the last response.
+    const limits = new Map();
+
+    async function waitForRateLimit(path) {
+        const limit = limits.get(path);
+        if (limit && limit.remaining <= 0 && limit.resetAt > now()) {
+            await sleep(limit.resetAt - now());
+        }
+    }
+
+    function recordRateLimit(path, headers) {
+        const remaining = readHeaderNumber(headers, "X-Bapi-Limit-Status");
+        const resetAt = readHeaderNumber(headers, "X-Bapi-Limit-Reset-Timestamp");
+        if (remaining !== null && resetAt !== null) {
+            limits.set(path, { remaining, resetAt });
+        }
+    }
+
+    function sign(method, queryString, bodyPayload) {
+        if (!apiKey || !apiSecret) {
+            throw new BybitError("Missing BYBIT_API_KEY/BYBIT_API_SECRET environment variables for unified account access.", {
+                kind: "auth"
+            });
+        }
+        const timestamp = String(Math.round(now() + clockOffsetMs));
+        const signPayload = `${timestamp}${apiKey}${recvWindow}${queryString}${method === "POST" ? bodyPayload : ""}`;
+        return {
+            "X-BAPI-API-KEY": apiKey,
+            "X-BAPI-SIGN": crypto.createHmac("sha256", apiSecret).update(signPayload).digest("hex"),
+            "X-BAPI-TIMESTAMP": timestamp,
+            "X-BAPI-RECV-WINDOW": String(recvWindow)
+        };
+    }
+
+    // One HTTP round trip, classified into a BybitError on any failure.
+    async function send({ path, method = "GET", query = {}, body, auth = false }) {
+        const queryString = buildQueryString(query);
+        const url = `${baseUrl}${path}${queryString ? `?${queryString}` : ""}`;
+        const bodyPayload = body && method !== "GET" ? JSON.stringify(body) : "";
+        const headers = { "Content-Type": "application/json", ...(auth ? sign(method, queryString, bodyPayload) : {}) };
+
+        let response;
+        try {
+            response = await fetchImpl(url, {
+                method,
+                headers,
+                body: bodyPayload || undefined,
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+        } catch (error) {
+            if (error.name === "TimeoutError" || error.name === "AbortError") {
+                throw new BybitError(`Bybit request ${path} timed out after ${timeoutMs}ms`, { kind: "timeout", path, cause: error });
+            }
+            throw new BybitError(`Bybit request ${path} failed: ${error.cause?.message ?? error.message}`, {
+                kind: "network",
+                path,
+                cause: error
+            });
+        }
+
+        recordRateLimit(path, response.headers);
+        const resetAt = readHeaderNumber(response.headers, "X-Bapi-Limit-Reset-Timestamp");
+        const retryAfterMs = resetAt !== null ? Math.max(0, resetAt - now()) : undefined;
+        if (!response.ok) {
+            const errorText = await response.text().catch(() => "");
+            throw new BybitError(`Bybit HTTP ${response.status}: ${errorText}`, {
+                kind: "http",
+                path,
+                status: response.status,
+                retryAfterMs
+            });
+        }
+
+        const payload = await response.json();
+        if (payload.retCode !== 0) {
+            throw new BybitError(`Bybit API error ${payload.retMsg} (code ${payload.retCode})`, {
+                kind: RET_CODE_KINDS[payload.retCode] ?? "api",
+                path,
+                code: payload.retCode,
+                retryAfterMs,
+                response: payload
+            });
+        }
+        return payload.result;
+    }
+
+    // Offset = server time minus the midpoint of the local round trip; applied to every signed timestamp.
+    function syncClock() {
+        clockSync ??= (async () => {
+            const startedAt = now();
+            try {
+                const result = await send({ path: "/v5/market/time" });
+                const finishedAt = now();
+                const serverMs = result.timeNano ? Number(result.timeNano) / 1e6 : Number(result.timeSecond) * 1000;
+                if (Number.isFinite(serverMs)) {
+                    clockOffsetMs = serverMs - (startedAt + finishedAt) / 2;
+                    if (Math.abs(clockOffsetMs) > 1000) {
+                        console.warn(`Local clock differs from Bybit by ${Math.round(clockOffsetMs)}ms; signing with the server offset`);
+                    }
+                }
+            } catch (error) {
+                console.warn(`Bybit clock sync failed; keeping offset ${Math.round(clockOffsetMs)}ms:`, error.message);
+            } finally {
+                // A failed sync also waits a full interval; timestamp rejections force an early resync anyway.
+                lastClockSyncAt = now();
+                clockSync = null;
+            }
+            return clockOffsetMs;
+        })();
+        return clockSync;
+    }
+
+    function backoffDelay(attempt, error) {
+        // Full jitter: uniform in [0, min(max, base * 2^attempt)], never sooner than the rate-limit reset.
+        const ceiling = Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+        return Math.max(Math.round(random() * ceiling), error.kind === "rate_limit" ? error.retryAfterMs ?? 0 : 0);
+    }
+
+    // An order that filled or was cancelled right away can already be gone from the realtime list.
+    async function findOrderByLinkId({ category, symbol, orderLinkId }) {
+        for (const path of ["/v5/order/realtime", "/v5/order/history"]) {
+            const result = await send({ path, query: { category, symbol, orderLinkId }, auth: true });
+            if (result?.list?.length) {
+                return result.list[0];
+            }
+        }
+        return null;
+    }
+
+    async function request(params) {
+        const { path, method = "GET", body, auth = false } = params;
+        const orderLinkId = path === ORDER_CREATE_PATH ? body?.orderLinkId : undefined;
+        const idempotent = method === "GET" || IDEMPOTENT_POST_PATHS.has(path) || Boolean(orderLinkId);
+
+        for (let attempt = 0; ; attempt++) {
+            if (auth && (lastClockSyncAt === null || now() - lastClockSyncAt > clockSyncIntervalMs)) {
+                await syncClock();
+            }
+            await waitForRateLimit(path);
+            const startedAt = now();
+            try {
+                const result = await send(params);
+                onAttempt?.({ path, attempt, latencyMs: now() - startedAt });
+                return result;
+            } catch (error) {
+                if (!(error instanceof BybitError)) {
+                    throw error;
+                }
+                onAttempt?.({ path, attempt, latencyMs: now() - startedAt, error });
+
+                // A retried create that collides with its own orderLinkId means the first attempt did land.
+                if (orderLinkId && attempt > 0 && error.code === DUPLICATE_ORDER_LINK_ID) {
+                    const existing = await findOrderByLinkId({ ...body, orderLinkId });
+                    if (existing) {
+                        return { orderId: existing.orderId, orderLinkId, recovered: true };
+                    }
+                }
+                // A retried cancel for an order that no longer exists means the first attempt already cancelled it.
+                if (path === ORDER_CANCEL_PATH && attempt > 0 && error.code === ORDER_NOT_EXISTS) {
+                    return { orderId: body?.orderId, orderLinkId: body?.orderLinkId, recovered: true };
+                }
+                const retryAllowed = error.retryable && (!error.ambiguous || idempotent) && attempt < maxRetries;
+                if (!retryAllowed) {
+                    throw error;
+                }
+                if (orderLinkId && error.ambiguous) {
+                    const existing = await findOrderByLinkId({ ...body, orderLinkId }).catch(() => null);
+                    if (existing) {
+                        return { orderId: existing.orderId, orderLinkId, recovered: true };
+                    }
+                }
+                if (error.kind === "timestamp") {
+                    await syncClock();
+                }
+                const delay = backoffDelay(attempt, error);
+                console.warn(`Bybit ${method} ${path} ${error.kind} error (${error.message}); retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    return {
+        request,
+        syncClock,
+        getClockOffset: () => clockOffsetMs
+    };
+}
@@ -0,0 +1,69 @@
+// # Telegram command routing with user-ID allow-listing
+export function parseAllowedUserIds(raw = "") {
+    return new Set(
+        String(raw)
+            .split(",")
+            .map((id) => id.trim())
+            .filter(Boolean)
+    );
+}
+
+export function parseCommand(text = "") {
+    const match = String(text).trim().match(/^\/([a-z_]+)(?:@\S+)?(?:\s+(.*))?$/i);
+    if (!match) {
+        return null;
+    }
+    const args = (match[2] ?? "").split(/\s+/).filter(Boolean);
+    return { name: match[1].toLowerCase(), args };
+}
+
+export function registerTelegramCommands(bot, { allowedUserIds, commands }) {
+    const helpText = [
+        "Available commands:",
+        ...Object.entries(commands).map(([name, command]) => `/${name}${command.usage ? ` ${command.usage}` : ""} - ${command.description}`)
+    ].join("\n");
+
+    bot.on("message", async (message) => {
+        const parsed = parseCommand(message.text);
+        if (!parsed) {
+            return;
+        }
+
+        const userId = String(message.from?.id ?? "");
+        if (!allowedUserIds.has(userId)) {
+            console.warn(`Ignoring /${parsed.name} from unauthorized Telegram user ${userId || "unknown"}`);
+            return;
+        }
+
+        const reply = (text) =>
+            bot.sendMessage(message.chat.id, text).catch((error) => {
+                console.error("Failed to send Telegram command reply:", error);
+            });
+
+        if (parsed.name === "help" || parsed.name === "start") {
+            await reply(helpText);
+            return;
+        }
+
+        const command = commands[parsed.name];
+        if (!command) {
+            await reply(`Unknown command /${parsed.name}.\n\n${helpText}`);
+            return;
+        }
+
+        console.log(`Telegram command /${[parsed.name, ...parsed.args].join(" ")} from user ${userId}`);
+        try {
+            const response = await command.handler(parsed.args, message);
+            if (response) {
+                await reply(response);
+            }
+        } catch (error) {
+            console.error(`Telegram command /${parsed.name} failed:`, error);
+            await reply(`/${parsed.name} failed: ${error.message}`);
+        }
+    });
+
+    bot.on("polling_error", (error) => {
+        console.error("Telegram polling error:", error.message ?? error);
+    });
+}
@@ -0,0 +1,428 @@
+// # Bot configuration: schema with defaults, optional JSON config file, env-variable overrides and validation
+import fs from "fs";
+import { parseArgs } from "util";
+import { BYBIT_ENVIRONMENTS } from "./environments.js";
+import { ENSEMBLE_POLICIES } from "./ensemble.js";
+import { DEFAULT_INDICATOR_CONFIG, INDICATOR_LOOKBACKS, INDICATOR_PERIODS, INDICATOR_TIMEFRAMES } from "./indicators.js";
+import { LOG_FORMATS, LOG_LEVELS } from "./logger.js";
+import { SOURCE_TYPES as NEWS_SOURCE_TYPES } from "./news.js";
+import { PROVIDER_TYPES as LLM_PROVIDER_TYPES } from "./providers.js";
+import { TRAIL_MODES } from "./protection.js";
+import { SIZING_MODES } from "./trading.js";
+
+export const DEFAULT_CONFIG_FILE = "bot.config.json";
+const MASK = "********";
+
+const number = (defaultValue, env, options = {}) => ({ type: "number", default: defaultValue, env, ...options });
+const integer = (defaultValue, env, options = {}) => ({ type: "integer", default: defaultValue, env, ...options });
+const string = (defaultValue, env, options = {}) => ({ type: "string", default: defaultValue, env, ...options });
+const boolean = (defaultValue, env) => ({ type: "boolean", default: defaultValue, env });
+const oneOf = (values, defaultValue, env, options = {}) => ({ type: "enum", values, default: defaultValue, env, case: "lower", ...options });
+const list = (defaultValue, env, options = {}) => ({ type: "list", default: defaultValue, env, ...options });
+// A section repeated under every id named by the settings at `from`; `fields(id)` builds its leaves.
+const perId = (from, fields) => ({ perId: from, fields });
+
+const llmProviderFields = (id) => {
+    if (id === "default") {
+        // The default provider takes its model and limits from the llm section itself.
+        return {
+            type: oneOf(LLM_PROVIDER_TYPES, undefined, "LLM_TYPE"),
+            script: string(undefined, "LLM_SCRIPT"),
+            baseUrl: string(undefined, "LLM_BASE_URL"),
+            apiKey: string(undefined, "LLM_API_KEY", { secret: true })
+        };
+    }
+    const prefix = `LLM_${id.toUpperCase()}`;
+    return {
+        type: oneOf(LLM_PROVIDER_TYPES, undefined, [`${prefix}_TYPE`, "LLM_TYPE"]),
+        script: string(undefined, [`${prefix}_SCRIPT`, "LLM_SCRIPT"]),
+        baseUrl: string(undefined, `${prefix}_BASE_URL`),
+        apiKey: string(undefined, `${prefix}_API_KEY`, { secret: true }),
+        model: string(undefined, `${prefix}_MODEL`),
+        temperature: number(undefined, `${prefix}_TEMPERATURE`, { min: 0, max: 2 }),
+        maxTokens: integer(undefined, `${prefix}_MAX_TOKENS`, { min: 1 }),
+        timeoutMs: integer(undefined, `${prefix}_TIMEOUT_MS`, { min: 1000 })
+    };
+};
+
+const newsSourceFields = (id) => {
+    const prefix = `NEWS_${id.toUpperCase()}`;
+    // The cryptohorde source keeps reading the variables it had before NEWS_SOURCES existed.
+    const legacy = (name, fallback) => (id === "cryptohorde" ? [name, fallback] : name);
+    return {
+        type: oneOf(NEWS_SOURCE_TYPES, "json", `${prefix}_TYPE`),
+        url: string(undefined, legacy(`${prefix}_URL`, "CRYPTO_HORDE_ENDPOINT")),
+        apiKey: string(undefined, legacy(`${prefix}_API_KEY`, "CRYPTO_HORDE_KEY"), { secret: true }),
+        keyParam: string(undefined, `${prefix}_KEY_PARAM`),
+        keyHeader: string(undefined, `${prefix}_KEY_HEADER`),
+        timeoutMs: integer(10000, `${prefix}_TIMEOUT_MS`, { min: 100 })
+    };
+};
+
+const bybitProfileFields = (name) => {
+    const prefix = `BYBIT_${name.toUpperCase()}`;
+    return {
+        baseUrl: string(undefined, `${prefix}_BASE_URL`),
+        wsPrivateUrl: string(undefined, `${prefix}_WS_PRIVATE_URL`),
+        apiKey: string(undefined, `${prefix}_API_KEY`, { secret: true }),
+        apiSecret: string(undefined, `${prefix}_API_SECRET`, { secret: true })
+    };
+};
+
+// Leaves carry `type`; everything else is a section. Env names keep the variables the bot already read working.
+export const CONFIG_SCHEMA = {
+    telegram: {
+        chatId: string(undefined, "TELEGRAM_CHAT_ID", { required: true }),
+        botToken: string(undefined, "TELEGRAM_BOT_TOKEN", { required: true, secret: true }),
+        allowedUserIds: list([], "TELEGRAM_ALLOWED_USER_IDS")
+    },
+    bybit: {
+        environment: oneOf(Object.keys(BYBIT_ENVIRONMENTS), "mainnet", "BYBIT_ENV"),
+        symbols: list(["BTCUSDT"], "BYBIT_SYMBOLS", { case: "upper", minItems: 1 }),
+        category: oneOf(["linear", "inverse"], "linear", "BYBIT_CATEGORY"),
+        accountType: oneOf(["UNIFIED", "CONTRACT"], "UNIFIED", "BYBIT_ACCOUNT_TYPE", { case: "upper" }),
+        recvWindowMs: integer(5000, "BYBIT_RECV_WINDOW", { min: 1000, max: 60000 }),
+        targetLeverage: integer(100, "TARGET_LEVERAGE", { min: 1, max: 200 }),
+        defaultQtyStep: number(0.001, "BYBIT_DEFAULT_QTY_STEP", { min: 0, exclusiveMin: true }),
+        defaultTickSize: number(0.5, "BYBIT_DEFAULT_TICK_SIZE", { min: 0, exclusiveMin: true }),
+        privateStream: boolean(false, "BYBIT_PRIVATE_STREAM"),
+        requestTimeoutMs: integer(10000, "BYBIT_REQUEST_TIMEOUT_MS", { min: 500 }),
+        maxRetries: integer(3, "BYBIT_MAX_RETRIES", { min: 0, max: 10 }),
+        retryBaseDelayMs: integer(500, "BYBIT_RETRY_BASE_MS", { min: 0 }),
+        retryMaxDelayMs: integer(8000, "BYBIT_RETRY_MAX_MS", { min: 0 }),
+        clockSyncIntervalMs: integer(30 * 60 * 1000, "BYBIT_CLOCK_SYNC_INTERVAL_MS", { min: 60000 }),
+        baseUrl: string(undefined, "BYBIT_BASE_URL"),
+        wsPrivateUrl: string(undefined, "BYBIT_WS_PRIVATE_URL"),
+        apiKey: string(undefined, "BYBIT_API_KEY", { secret: true }),
+        apiSecret: string(undefined, "BYBIT_API_SECRET", { secret: true }),
+        mainnetConfirm: string(undefined, "BYBIT_MAINNET_CONFIRM"),
+        // Per-environment overrides; the profile for `environment` wins over the shared values above.
+        profiles: perId(["bybit.environment"], bybitProfileFields)
+    },
+    trading: {
+        mode: oneOf(["live", "paper"], "live", "TRADING_MODE"),
+        executionIntervalMs: integer(undefined, "EXECUTION_INTERVAL_MS", { required: true, min: 2 * 60 * 1000 }),
+        modelRepairAttempts: integer(1, "MODEL_REPAIR_ATTEMPTS", { min: 0 })
+    },
+    llm: {
+        baseUrl: string(undefined, "OPENAI_BASE_URL"),
+        apiKey: string(undefined, "OPENAI_API_KEY", { secret: true }),
+        model: string("qwen3-max", "LLM_MODEL"),
+        temperature: number(0.2, "LLM_TEMPERATURE", { min: 0, max: 2 }),
+        maxTokens: integer(undefined, "LLM_MAX_TOKENS", { min: 1 }),
+        timeoutMs: integer(60000, "LLM_TIMEOUT_MS", { min: 1000 }),
+        providers: list(["default"], "LLM_PROVIDERS", { minItems: 1 }),
+        ensemble: list([], "LLM_ENSEMBLE"),
+        ensemblePolicy: oneOf(ENSEMBLE_POLICIES, "majority", "LLM_ENSEMBLE_POLICY"),
+        arena: list([], "LLM_ARENA"),
+        promptTemplates: list(["default"], "PROMPT_TEMPLATE", { minItems: 1 }),
+        // Settings for every provider id named in providers, ensemble or arena; unset ones fall back to the values above.
+        providerSettings: perId(["llm.providers", "llm.ensemble", "llm.arena"], llmProviderFields)
+    },
+    market: {
+        paperKlineLimit: integer(60, "MARKET_PAPER_KLINE_LIMIT", { min: 1, max: 1000 }),
+        bookDepth: integer(50, "MARKET_STRUCTURE_BOOK_DEPTH", { min: 1, max: 500 }),
+        openInterestPoints: integer(25, "MARKET_STRUCTURE_OI_POINTS", { min: 2, max: 200 }),
+        longShortPoints: integer(25, "MARKET_STRUCTURE_LONG_SHORT_POINTS", { min: 2, max: 500 }),
+        fundingHistoryLimit: integer(9, "MARKET_STRUCTURE_FUNDING_LIMIT", { min: 1, max: 200 })
+    },
+    indicators: {
+        ...Object.fromEntries(
+            INDICATOR_TIMEFRAMES.map((label) => [
+                label,
+                list(DEFAULT_INDICATOR_CONFIG[label], `INDICATORS_${label.toUpperCase()}`, {
+                    case: "lower",
+                    values: Object.keys(INDICATOR_LOOKBACKS)
+                })
+            ])
+        ),
+        periods: Object.fromEntries(
+            Object.entries(INDICATOR_PERIODS).map(([name, value]) => [
+                name,
+                name === "bollingerStdDev"
+                    ? number(value, "INDICATOR_BOLLINGER_STDDEV", { min: 0, exclusiveMin: true })
+                    : integer(value, `INDICATOR_${name.replace(/[A-Z]/g, (char) => `_${char}`).toUpperCase()}_PERIOD`, { min: 2, max: 200 })
+            ])
+        )
+    },
+    sizing: {
+        mode: oneOf(SIZING_MODES, "portion", "SIZING_MODE"),
+        riskPerTrade: number(0.01, "SIZING_RISK_PER_TRADE", { min: 0, max: 1, exclusiveMin: true, exclusiveMax: true }),
+        minStopAtrMultiple: number(0.5, "SIZING_MIN_STOP_ATR", { min: 0 }),
+        atrInterval: oneOf(INDICATOR_TIMEFRAMES, "5m", "SIZING_ATR_INTERVAL")
+    },
+    risk: {
+        maxLeverage: number(10, "RISK_MAX_LEVERAGE", { min: 1 }),
+        maxPortion: number(0.25, "RISK_MAX_PORTION", { min: 0, max: 1 }),
+        maxNotionalUsdt: number(Infinity, "RISK_MAX_NOTIONAL_USDT", { min: 0 }),
+        maxMarginUsage: number(0.7, "RISK_MAX_MARGIN_USAGE", { min: 0, max: 1 }),
+        dailyLossLimitPct: number(0.05, "RISK_DAILY_LOSS_LIMIT_PCT", { min: 0, max: 1 }),
+        dailyLossLimitUsdt: number(Infinity, "RISK_DAILY_LOSS_LIMIT_USDT", { min: 0 }),
+        stateFile: string(undefined, "RISK_STATE_FILE")
+    },
+    orders: {
+        maxAgeMinutes: number(30, "ORDER_MAX_AGE_MINUTES", { min: 0 }),
+        maxAgeCycles: number(Infinity, "ORDER_MAX_AGE_CYCLES", { min: 1 }),
+        maxDistancePct: number(0.02, "ORDER_MAX_DISTANCE_PCT", { min: 0 }),
+        staleAction: oneOf(["cancel", "amend"], "cancel", "ORDER_STALE_ACTION")
+    },
+    protection: {
+        breakevenR: number(Infinity, "PROTECTION_BREAKEVEN_R", { min: 0 }),
+        breakevenOffsetPct: number(0.0005, "PROTECTION_BREAKEVEN_OFFSET_PCT", { min: 0 }),
+        trailMode: oneOf(TRAIL_MODES, "off", "PROTECTION_TRAIL_MODE"),
+        trailDistance: number(0, "PROTECTION_TRAIL_DISTANCE", { min: 0 }),
+        trailAtrMultiple: number(2, "PROTECTION_TRAIL_ATR_MULTIPLE", { min: 0 }),
+        trailActivationR: number(0, "PROTECTION_TRAIL_ACTIVATION_R", { min: 0 }),
+        nativeTrailing: boolean(false, "PROTECTION_NATIVE_TRAILING"),
+        atrInterval: oneOf(INDICATOR_TIMEFRAMES, "5m", "PROTECTION_ATR_INTERVAL"),
+        streamIntervalMs: integer(5000, "PROTECTION_STREAM_INTERVAL_MS", { min: 0 })
+    },
+    news: {
+        sources: list(["cryptohorde"], "NEWS_SOURCES", { minItems: 1 }),
+        sourceSettings: perId(["news.sources"], newsSourceFields),
+        cacheTtlMinutes: number(10, "NEWS_CACHE_TTL_MINUTES", { min: 0 }),
+        maxAgeHours: number(12, "NEWS_MAX_AGE_HOURS", { min: 0, exclusiveMin: true }),
+        maxItems: integer(6, "NEWS_MAX_ITEMS", { min: 1 })
+    },
+    paper: {
+        startingBalance: number(10000, "PAPER_STARTING_BALANCE", { min: 0, exclusiveMin: true }),
+        feeRate: number(undefined, "PAPER_FEE_RATE", { min: 0, max: 0.1 }),
+        stateFile: string(undefined, "PAPER_STATE_FILE")
+    },
+    arena: {
+        startingBalance: number(10000, "ARENA_STARTING_BALANCE", { min: 0, exclusiveMin: true }),
+        stateFile: string(undefined, "ARENA_STATE_FILE")
+    },
+    journal: {
+        file: string(undefined, "JOURNAL_FILE")
+    },
+    http: {
+        port: integer(0, "HTTP_PORT", { min: 0, max: 65535 }),
+        host: string("127.0.0.1", "HTTP_HOST"),
+        controlToken: string(undefined, "HTTP_CONTROL_TOKEN", { secret: true })
+    },
+    logging: {
+        level: oneOf(LOG_LEVELS, "info", "LOG_LEVEL"),
+        format: oneOf(LOG_FORMATS, "json", "LOG_FORMAT"),
+        file: string(undefined, "LOG_FILE"),
+        maxBytes: integer(10 * 1024 * 1024, "LOG_MAX_BYTES", { min: 1024 }),
+        maxFiles: integer(5, "LOG_MAX_FILES", { min: 0 })
+    }
+};
+
+function isLeaf(node) {
+    return typeof node?.type === "string";
+}
+
+function idsFor(node, config) {
+    return [...new Set(node.perId.flatMap((path) => readPath(config, path) ?? []))];
+}
+
+// Lazy so per-id sections expand from the ids already loaded into `config` by the time the walk reaches them.
+function* walkSchema(schema = CONFIG_SCHEMA, config = {}, path = []) {
+    for (const [key, node] of Object.entries(schema)) {
+        const nodePath = [...path, key];
+        if (isLeaf(node)) {
+            yield [nodePath.join("."), node];
+        } else if (node.perId) {
+            for (const id of idsFor(node, config)) {
+                yield* walkSchema(node.fields(id), config, [...nodePath, id]);
+            }
+        } else {
+            yield* walkSchema(node, config, nodePath);
+        }
+    }
+}
+
+function readPath(object, path) {
+    return path.split(".").reduce((node, key) => (node && typeof node === "object" ? node[key] : undefined), object);
+}
+
+function writePath(object, path, value) {
+    const keys = path.split(".");
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => (node[key] ??= {}), object);
+    target[last] = value;
+}
+
+function applyCase(value, spec) {
+    if (spec.case === "upper") return value.toUpperCase();
+    if (spec.case === "lower") return value.toLowerCase();
+    return value;
+}
+
+// Env values are always strings; file values are JSON. Both go through the same coercion and checks.
+function coerce(raw, spec) {
+    if (spec.type === "number" || spec.type === "integer") {
+        const value = typeof raw === "number" ? raw : Number(String(raw).trim());
+        if (Number.isNaN(value) || (typeof raw !== "number" && String(raw).trim() === "")) {
+            return { error: "must be a number" };
+        }
+        if (spec.type === "integer" && Number.isFinite(value) && !Number.isInteger(value)) {
+            return { error: "must be an integer" };
+        }
+        if (!Number.isFinite(value) && !(value === Infinity && spec.default === Infinity)) {
+            return { error: "must be a finite number" };
+        }
+        const belowMin = spec.min !== undefined && (spec.exclusiveMin ? value <= spec.min : value < spec.min);
+        const aboveMax = spec.max !== undefined && (spec.exclusiveMax ? value >= spec.max : value > spec.max);
+        if (belowMin || aboveMax) {
+            const low = spec.min === undefined ? "" : `${spec.exclusiveMin ? ">" : ">="} ${spec.min}`;
+            const high = spec.max === undefined ? "" : `${spec.exclusiveMax ? "<" : "<="} ${spec.max}`;
+            return { error: `must be ${[low, high].filter(Boolean).join(" and ")} (received ${value})` };
+        }
+        return { value };
+    }
+    if (spec.type === "boolean") {
+        if (typeof raw === "boolean") return { value: raw };
+        const text = String(raw).trim().toLowerCase();
+        if (["true", "1", "yes"].includes(text)) return { value: true };
+        if (["false", "0", "no"].includes(text)) return { value: false };
+        return { error: `must be true or false (received ${raw})` };
+    }
+    if (spec.type === "list") {
+        const items = Array.isArray(raw) ? raw.map(String) : String(raw).split(",");
+        const value = items.map((item) => applyCase(item.trim(), spec)).filter(Boolean);
+        const unknown = spec.values ? value.filter((item) => !spec.values.includes(item)) : [];
+        if (unknown.length) {
+            return { error: `has unknown value(s) ${unknown.join(", ")}; expected ${spec.values.join(", ")}` };
+        }
+        if (spec.minItems && value.length < spec.minItems) {
+            return { error: `must list at least ${spec.minItems} value(s)` };
+        }
+        return { value: [...new Set(value)] };
+    }
+    if (typeof raw === "object") {
+        return { error: "must be a string" };
+    }
+    const value = applyCase(String(raw).trim(), spec);
+    if (spec.type === "enum" && !spec.values.includes(value)) {
+        return { error: `must be one of ${spec.values.join(", ")} (received ${value})` };
+    }
+    return { value };
+}
+
+function findUnknownKeys(fileConfig, schema = CONFIG_SCHEMA, path = []) {
+    return Object.entries(fileConfig ?? {}).flatMap(([key, value]) => {
+        const node = schema[key];
+        const keyPath = [...path, key].join(".");
+        if (!node) {
+            return [keyPath];
+        }
+        if (isLeaf(node) || !value || typeof value !== "object" || Array.isArray(value)) {
+            return [];
+        }
+        if (node.perId) {
+            return Object.entries(value).flatMap(([id, settings]) => findUnknownKeys(settings, node.fields(id), [...path, key, id]));
+        }
+        return findUnknownKeys(value, node, [...path, key]);
+    });
+}
+
+function readConfigFile(file, explicit) {
+    if (!fs.existsSync(file)) {
+        return explicit ? { error: `Config file ${file} does not exist` } : { data: {} };
+    }
+    try {
+        const data = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (!data || typeof data !== "object" || Array.isArray(data)) {
+            return { error: `Config file ${file} must contain a JSON object` };
+        }
+        return { data };
+    } catch (error) {
+        return { error: `Config file ${file} is not valid JSON: ${error.message}` };
+    }
+}
+
+// Precedence per setting: env variable, then config file, then schema default. Every problem is collected so
+// one startup run reports all of them.
+// `sections` limits loading to part of the schema for tools like the backtest that need no credentials.
+export function loadConfig({ argv = process.argv.slice(2), env = process.env, sections } = {}) {
+    const { values: args } = parseArgs({
+        args: argv,
+        options: {
+            config: { type: "string" },
+            "print-config": { type: "boolean", default: false }
+        },
+        strict: false
+    });
+    const explicitFile = args.config ?? env.BOT_CONFIG_FILE;
+    const file = explicitFile || DEFAULT_CONFIG_FILE;
+    const { data: fileConfig = {}, error: fileError } = readConfigFile(file, Boolean(explicitFile));
+
+    const errors = fileError ? [fileError] : [];
+    errors.push(...findUnknownKeys(fileConfig).map((path) => `${path}: unknown setting in ${file}`));
+
+    const config = {};
+    const sources = {};
+    const schema = sections ? Object.fromEntries(sections.map((section) => [section, CONFIG_SCHEMA[section]])) : CONFIG_SCHEMA;
+    for (const [path, spec] of walkSchema(schema, config)) {
+        // An empty variable means unset, except for optional lists where it deliberately clears the default.
+        // Settings with several variables take the first one that is set.
+        const envNames = [].concat(spec.env ?? []);
+        const envName = envNames.find(
+            (name) => env[name] !== undefined && (env[name] !== "" || (spec.type === "list" && !spec.minItems))
+        );
+        const fileRaw = readPath(fileConfig, path);
+        let raw;
+        let source;
+        if (envName) {
+            raw = env[envName];
+            source = `env ${envName}`;
+        } else if (fileRaw !== undefined && fileRaw !== null) {
+            raw = fileRaw;
+            source = file;
+        }
+
+        if (raw === undefined) {
+            if (spec.required) {
+                errors.push(`${path}: required; set ${envNames[0]} or "${path}" in ${file}`);
+            }
+            writePath(config, path, Array.isArray(spec.default) ? [...spec.default] : spec.default);
+            sources[path] = "default";
+            continue;
+        }
+        const { value, error } = coerce(raw, spec);
+        if (error) {
+            errors.push(`${path}: ${error} (from ${source})`);
+            writePath(config, path, spec.default);
+        } else {
+            writePath(config, path, value);
+        }
+        sources[path] = source;
+    }
+
+    return { config, sources, errors, file, printConfig: Boolean(args["print-config"]) };
+}
+
+export function formatConfigErrors(errors) {
+    return `Invalid configuration:\n${errors.map((error) => `  - ${error}`).join("\n")}`;
+}
+
+// One `path = value  (source)` line per setting, secrets masked.
+export function formatConfig({ config, sources }) {
+    const entries = [...walkSchema(CONFIG_SCHEMA, config)].map(([path, spec]) => {
+        const value = readPath(config, path);
+        let shown;
+        if (spec.secret && value) {
+            shown = MASK;
+        } else if (value === undefined) {
+            shown = "(unset)";
+        } else if (Array.isArray(value)) {
+            shown = value.join(",") || "(empty)";
+        } else {
+            shown = String(value);
+        }
+        return [path, shown, sources[path]];
+    });
+    const width = Math.max(...entries.map(([path]) => path.length));
+    return entries.map(([path, shown, source]) => `${path.padEnd(width)} = ${shown}  (${source})`).join("\n");
+}
+
+// Secret values from any source, for the logger to mask alongside credential-looking env variables.
+export function collectConfigSecrets({ config }) {
+    return [...walkSchema(CONFIG_SCHEMA, config)]
+        .filter(([, spec]) => spec.secret)
+        .map(([path]) => readPath(config, path))
+        .filter((value) => typeof value === "string" && value.length >= 6);
+}
@@ -0,0 +1,128 @@
+// # Derivatives market structure: order book, open interest, positioning, funding and basis
+import { formatUsd, formatBigNumber } from "./trading.js";
+
+function formatSignedPct(value, decimals = 2) {
+    if (!Number.isFinite(value)) {
+        return "n/a";
+    }
+    return `${value >= 0 ? "+" : ""}${(value * 100).toFixed(decimals)}%`;
+}
+
+function formatSize(value) {
+    return value >= 1000 ? formatBigNumber(value) : value.toFixed(3);
+}
+
+function pctChange(current, previous) {
+    return previous > 0 ? (current - previous) / previous : null;
+}
+
+export function summarizeOrderBook(book) {
+    if (!book?.bids?.length || !book?.asks?.length) {
+        return null;
+    }
+    const bidSize = book.bids.reduce((sum, [, size]) => sum + size, 0);
+    const askSize = book.asks.reduce((sum, [, size]) => sum + size, 0);
+    const bestBid = book.bids[0][0];
+    const bestAsk = book.asks[0][0];
+    return {
+        levels: Math.min(book.bids.length, book.asks.length),
+        bidSize,
+        askSize,
+        imbalance: bidSize + askSize > 0 ? (bidSize - askSize) / (bidSize + askSize) : 0,
+        spread: bestAsk - bestBid,
+        bidDepthPct: (bestBid - book.bids[book.bids.length - 1][0]) / bestBid,
+        askDepthPct: (book.asks[book.asks.length - 1][0] - bestAsk) / bestAsk
+    };
+}
+
+// Series arrive newest first, as Bybit returns them.
+export function summarizeOpenInterest(entries = []) {
+    if (!entries.length) {
+        return null;
+    }
+    const latest = entries[0].openInterest;
+    return {
+        latest,
+        change1h: entries[1] ? pctChange(latest, entries[1].openInterest) : null,
+        changeWindow: pctChange(latest, entries[entries.length - 1].openInterest),
+        windowHours: entries.length - 1
+    };
+}
+
+export function summarizeLongShortRatio(entries = []) {
+    if (!entries.length) {
+        return null;
+    }
+    const ratio = (entry) => (entry.sellRatio > 0 ? entry.buyRatio / entry.sellRatio : null);
+    const oldest = entries[entries.length - 1];
+    return {
+        longShare: entries[0].buyRatio,
+        shortShare: entries[0].sellRatio,
+        ratio: ratio(entries[0]),
+        previousRatio: ratio(oldest),
+        windowHours: entries.length - 1
+    };
+}
+
+export function summarizeFundingHistory(entries = []) {
+    if (!entries.length) {
+        return null;
+    }
+    const rates = entries.map((entry) => entry.fundingRate);
+    return {
+        latest: rates[0],
+        average: rates.reduce((sum, rate) => sum + rate, 0) / rates.length,
+        positive: rates.filter((rate) => rate > 0).length,
+        count: rates.length
+    };
+}
+
+export function summarizeBasis(market) {
+    const mark = Number(market?.markPrice);
+    const index = Number(market?.indexPrice);
+    if (!(mark > 0) || !(index > 0)) {
+        return null;
+    }
+    return { mark, index, basis: (mark - index) / index };
+}
+
+export function buildMarketStructureSummary(structure = {}, market) {
+    const book = summarizeOrderBook(structure.orderBook);
+    const openInterest = summarizeOpenInterest(structure.openInterest);
+    const positioning = summarizeLongShortRatio(structure.longShortRatio);
+    const funding = summarizeFundingHistory(structure.fundingHistory);
+    const basis = summarizeBasis(market);
+
+    const lines = [
+        book
+            ? `Order book (top ${book.levels} levels, -${(book.bidDepthPct * 100).toFixed(2)}%/+${(book.askDepthPct * 100).toFixed(
+                2
+            )}%): bids ${formatSize(book.bidSize)} vs asks ${formatSize(book.askSize)} | imbalance ${formatSignedPct(
+                book.imbalance,
+                1
+            )} (${book.imbalance >= 0 ? "bid" : "ask"}-heavy) | spread $${formatUsd(book.spread)}`
+            : "Order book: unavailable",
+        openInterest
+            ? `Open interest: ${formatBigNumber(openInterest.latest)} contracts | 1h ${formatSignedPct(openInterest.change1h)} | ${
+                openInterest.windowHours
+            }h ${formatSignedPct(openInterest.changeWindow)}`
+            : "Open interest: unavailable",
+        positioning
+            ? `Account long/short: ${(positioning.longShare * 100).toFixed(1)}% / ${(positioning.shortShare * 100).toFixed(
+                1
+            )}% (ratio ${positioning.ratio?.toFixed(2) ?? "n/a"}, ${positioning.windowHours}h ago ${
+                positioning.previousRatio?.toFixed(2) ?? "n/a"
+            })`
+            : "Account long/short: unavailable",
+        funding
+            ? `Funding (last ${funding.count}): latest ${formatSignedPct(funding.latest, 4)} | avg ${formatSignedPct(
+                funding.average,
+                4
+            )} | ${funding.positive}/${funding.count} positive`
+            : "Funding history: unavailable",
+        basis
+            ? `Mark $${formatUsd(basis.mark)} vs index $${formatUsd(basis.index)} | basis ${formatSignedPct(basis.basis, 3)}`
+            : "Mark/index basis: unavailable"
+    ];
+    return lines.join("\n");
+}
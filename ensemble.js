@@ -0,0 +1,223 @@
+// # Consensus voting across several models' decision sets
+import { resolveDecisionSymbol } from "./trading.js";
+
+export const ENSEMBLE_POLICIES = ["unanimous", "majority", "weighted"];
+const DEFAULT_CONFIDENCE = 0.5;
+// Opening or closing the position: a member may propose at most one of these per symbol.
+const DIRECTION_OPERATIONS = ["buy", "sell", "close"];
+// How an operation changes exposure; a ballot or a resolution may not both raise and cut it for one symbol.
+const EXPOSURE_CHANGE = { buy: "increase", sell: "increase", add: "increase", close: "decrease", partial_close: "decrease" };
+// Operations whose size and leverage are capped at the minimum across agreeing votes.
+const SIZED_OPERATIONS = ["buy", "sell", "add"];
+const OPERATION_ORDER = ["buy", "sell", "close", "add", "partial_close", "move_stop", "move_target"];
+
+function voteWeight(vote, policy) {
+    if (policy !== "weighted") {
+        return 1;
+    }
+    const confidence = Number(vote.decision?.confidence);
+    return Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : DEFAULT_CONFIDENCE;
+}
+
+function isShortPosition(position) {
+    return position?.side?.toUpperCase() === "SELL";
+}
+
+function maxBy(decisions, score) {
+    return decisions.reduce((best, decision) => (score(decision) > score(best) ? decision : best));
+}
+
+// "Most conservative" per operation, i.e. the proposal that leaves the least capital at risk:
+// - move_stop: the tightest stop (highest for a long, lowest for a short)
+// - move_target: the nearest target, which banks profit soonest (lowest for a long, highest for a short)
+// - partial_close: the largest fraction closed
+// - anything else: the proposal with the smallest margin (portion x leverage)
+function pickConservative(operation, decisions, position) {
+    const direction = isShortPosition(position) ? -1 : 1;
+    switch (operation) {
+        case "move_stop":
+            return maxBy(decisions, (decision) => direction * decision.stop_loss_price);
+        case "move_target":
+            return maxBy(decisions, (decision) => -direction * decision.take_profit_price);
+        case "partial_close":
+            return maxBy(decisions, (decision) => decision.target_portion_of_balance);
+        default:
+            return maxBy(decisions, (decision) => -decision.target_portion_of_balance * decision.leverage);
+    }
+}
+
+// The conservative proposal supplies prices and protection; entries also take the minimum size and leverage.
+function mergeConservative(operation, decisions, symbol, members, position) {
+    const base = pickConservative(operation, decisions, position);
+    const sizing = SIZED_OPERATIONS.includes(operation)
+        ? {
+            target_portion_of_balance: Math.min(...decisions.map((decision) => decision.target_portion_of_balance)),
+            leverage: Math.min(...decisions.map((decision) => decision.leverage))
+        }
+        : {};
+    return {
+        ...base,
+        ...sizing,
+        symbol,
+        reason: `Ensemble consensus (${members.join(", ")}): ${base.reason ?? ""}`.trim(),
+        provider: "ensemble",
+        model: members.join("+")
+    };
+}
+
+function holdDecision(symbol, reason) {
+    return {
+        operation: "hold",
+        symbol,
+        target_portion_of_balance: 0,
+        leverage: 1,
+        reason,
+        provider: "ensemble",
+        model: "consensus"
+    };
+}
+
+// One member's proposals for a symbol keyed by operation. A repeated operation or two directions at once is
+// ambiguous, so the whole ballot counts as HOLD rather than guessing which entry the model meant.
+function buildBallot(member, symbol, symbols) {
+    if (member.error) {
+        return { member: member.name, failed: true, proposals: new Map(), fallback: null };
+    }
+    const mine = member.decisions.filter((entry) => resolveDecisionSymbol(entry.symbol, symbols) === symbol);
+    const proposals = new Map();
+    let invalid = null;
+    for (const decision of mine) {
+        const operation = (decision.operation ?? "hold").toLowerCase();
+        if (operation === "hold") {
+            continue;
+        }
+        if (proposals.has(operation)) {
+            invalid = `${operation} proposed twice`;
+        }
+        proposals.set(operation, decision);
+    }
+    const directions = [...proposals.keys()].filter((operation) => DIRECTION_OPERATIONS.includes(operation));
+    const exposureChanges = [...proposals.keys()].filter((operation) => EXPOSURE_CHANGE[operation]);
+    if (directions.length > 1) {
+        invalid = `conflicting ${directions.join("/")}`;
+    } else if (new Set(exposureChanges.map((operation) => EXPOSURE_CHANGE[operation])).size > 1) {
+        invalid = `conflicting ${exposureChanges.join("/")}`;
+    }
+    if (invalid) {
+        console.warn(`Ensemble member ${member.name} ballot for ${symbol} ignored: ${invalid}`);
+    }
+    return { member: member.name, failed: false, invalid, proposals: invalid ? new Map() : proposals, fallback: mine[0] ?? null };
+}
+
+// Each operation proposed for a symbol is voted on separately, so a member's move_stop and partial_close both count.
+// Failed members vote HOLD (zero weight under the weighted policy), so an outage can never manufacture agreement.
+export function resolveConsensus(members, { policy = "majority", symbols, positions = {} }) {
+    const decisions = [];
+    const resolutions = [];
+
+    for (const symbol of symbols) {
+        const ballots = members.map((member) => buildBallot(member, symbol, symbols));
+        const candidates = OPERATION_ORDER.filter((operation) => ballots.some((ballot) => ballot.proposals.has(operation)));
+        if (!candidates.length) {
+            decisions.push(holdDecision(symbol, "Ensemble agreed to hold."));
+            resolutions.push({
+                symbol,
+                policy,
+                operation: "hold",
+                agreed: true,
+                votes: ballots.map((ballot) => ({
+                    member: ballot.member,
+                    operation: ballot.failed ? "failed" : ballot.invalid ? "invalid" : "hold",
+                    portion: 0,
+                    leverage: null,
+                    weight: ballot.failed && policy === "weighted" ? 0 : voteWeight({ decision: ballot.fallback }, policy)
+                }))
+            });
+            continue;
+        }
+
+        const agreedVotes = [];
+        for (const operation of candidates) {
+            const votes = ballots.map((ballot) => {
+                const decision = ballot.proposals.get(operation) ?? null;
+                return {
+                    member: ballot.member,
+                    operation: ballot.failed ? "failed" : decision ? operation : ballot.invalid ? "invalid" : "hold",
+                    decision,
+                    weight: ballot.failed && policy === "weighted" ? 0 : voteWeight({ decision: decision ?? ballot.fallback }, policy)
+                };
+            });
+            const totalWeight = votes.reduce((sum, vote) => sum + vote.weight, 0);
+            const supporting = votes.filter((vote) => vote.decision);
+            const support = supporting.reduce((sum, vote) => sum + vote.weight, 0);
+            const agreed =
+                policy === "unanimous"
+                    ? supporting.length === votes.length && totalWeight > 0
+                    : totalWeight > 0 && support > totalWeight / 2;
+
+            const resolution = {
+                symbol,
+                policy,
+                operation,
+                agreed,
+                votes: votes.map((vote) => ({
+                    member: vote.member,
+                    operation: vote.operation,
+                    portion: vote.decision?.target_portion_of_balance ?? 0,
+                    leverage: vote.decision?.leverage ?? null,
+                    weight: vote.weight
+                }))
+            };
+            resolutions.push(resolution);
+            if (agreed) {
+                agreedVotes.push({ operation, resolution, supporting });
+            }
+        }
+
+        // Valid ballots never back both sides, but the outcome is checked too: raising and cutting exposure at
+        // once is no agreement on direction, so neither goes out.
+        const exposures = new Set(agreedVotes.map(({ operation }) => EXPOSURE_CHANGE[operation]).filter(Boolean));
+        const emitted = agreedVotes.filter(({ operation, resolution }) => {
+            if (exposures.size > 1 && EXPOSURE_CHANGE[operation]) {
+                resolution.agreed = false;
+                resolution.conflict = "agreement both raises and cuts exposure";
+                return false;
+            }
+            return true;
+        });
+        for (const { operation, supporting } of emitted) {
+            decisions.push(
+                mergeConservative(
+                    operation,
+                    supporting.map((vote) => vote.decision),
+                    symbol,
+                    supporting.map((vote) => vote.member),
+                    positions[symbol]
+                )
+            );
+        }
+        if (!emitted.length) {
+            decisions.push(holdDecision(symbol, `No ${policy} agreement between models.`));
+        }
+    }
+
+    return { decisions, resolutions };
+}
+
+export function formatEnsembleResolution(resolution) {
+    const votes = resolution.votes
+        .map((vote) => {
+            const operation = vote.operation.toUpperCase();
+            const sizing =
+                ["hold", "failed", "invalid"].includes(vote.operation)
+                    ? ""
+                    : ` ${(vote.portion * 100).toFixed(1)}%/${vote.leverage}x`;
+            const weight = resolution.policy === "weighted" ? ` w${vote.weight.toFixed(2)}` : "";
+            return `${vote.member}: ${operation}${sizing}${weight}`;
+        })
+        .join(", ");
+    const outcome = resolution.agreed
+        ? `✅ ${resolution.operation.toUpperCase()}`
+        : `⛔ no consensus on ${resolution.operation.toUpperCase()}${resolution.conflict ? ` (${resolution.conflict})` : ""}`;
+    return `• ${resolution.symbol} ${outcome} | ${votes}`;
+}
@@ -0,0 +1,65 @@
+// # Named Bybit environment profiles (hosts, credentials, prompt wording)
+import invariant from "tiny-invariant";
+
+export const BYBIT_ENVIRONMENTS = {
+    mainnet: {
+        label: "MAINNET",
+        restUrl: "https://api.bybit.com",
+        wsPrivateUrl: "wss://stream.bybit.com/v5/private",
+        realCapital: true
+    },
+    testnet: {
+        label: "TESTNET",
+        restUrl: "https://api-testnet.bybit.com",
+        wsPrivateUrl: "wss://stream-testnet.bybit.com/v5/private",
+        realCapital: false
+    },
+    demo: {
+        label: "DEMO TRADING",
+        restUrl: "https://api-demo.bybit.com",
+        wsPrivateUrl: "wss://stream-demo.bybit.com/v5/private",
+        realCapital: false
+    }
+};
+
+export const MAINNET_CONFIRMATION_VALUE = "I_UNDERSTAND_REAL_FUNDS";
+
+// `bybit` is the loaded bybit config section. Profile-specific settings (bybit.profiles.testnet.apiKey, ...) win over
+// the shared bybit.apiKey pair.
+export function resolveBybitEnvironment(bybit) {
+    const name = bybit.environment;
+    const profile = BYBIT_ENVIRONMENTS[name];
+    invariant(
+        profile,
+        `Unsupported BYBIT_ENV ${name}; expected one of ${Object.keys(BYBIT_ENVIRONMENTS).join(", ")}`
+    );
+    const overrides = bybit.profiles?.[name] ?? {};
+    return {
+        name,
+        ...profile,
+        restUrl: overrides.baseUrl || bybit.baseUrl || profile.restUrl,
+        wsPrivateUrl: overrides.wsPrivateUrl || bybit.wsPrivateUrl || profile.wsPrivateUrl,
+        apiKey: overrides.apiKey || bybit.apiKey,
+        apiSecret: overrides.apiSecret || bybit.apiSecret
+    };
+}
+
+export function assertMainnetConfirmed(environment, bybit) {
+    if (environment.name !== "mainnet") {
+        return;
+    }
+    invariant(
+        bybit.mainnetConfirm === MAINNET_CONFIRMATION_VALUE,
+        `Refusing to trade on Bybit mainnet without BYBIT_MAINNET_CONFIRM=${MAINNET_CONFIRMATION_VALUE}; use BYBIT_ENV=testnet or demo for staging`
+    );
+}
+
+export function describeEnvironment(environment, { paper = false } = {}) {
+    if (paper) {
+        return {
+            label: `PAPER (simulated fills on ${environment.label} prices)`,
+            realCapital: false
+        };
+    }
+    return { label: environment.label, realCapital: environment.realCapital };
+}
@@ -1,189 +1,296 @@
-import crypto from "crypto";
-import nodeFetch from "node-fetch";
-import OpenAI from "openai";
 import TelegramBot from "node-telegram-bot-api";
 import invariant from "tiny-invariant";
 import dotenv from "dotenv";
-import { bybit_template } from "./prompts.js";
+import {
+    toNumber,
+    formatUsd,
+    formatPercent,
+    calculateMarginUsage,
+    resolveCloseSide,
+    resolvePositionIdx,
+    fillTemplate,
+    describePosition,
+    formatSymbolSections,
+    resolveDecisionSymbol,
+    buildIndicatorSummary,
+    buildSamplingData,
+    buildTemplateData,
+    parseModelDecisions,
+    mapDecisionsToBybitOrders
+} from "./trading.js";
+import { createPaperExchange, formatPaperEvent, loadPaperState, savePaperState } from "./paper.js";
+import {
+    validateDecisionPayload,
+    describeRejectedDecision,
+    buildRepairPrompt
+} from "./validation.js";
+import { createRiskEngine, formatRiskIntervention } from "./risk.js";
+import { createJournal, createCycleId, createJournalTail, listRecentCycles, readJournal } from "./journal.js";
+import { parseAllowedUserIds, registerTelegramCommands } from "./commands.js";
+import { createBybitPrivateStream } from "./stream.js";
+import {
+    createOrderTracker,
+    reviewOpenOrders,
+    describeOpenOrders,
+    formatOrderMaintenance
+} from "./orders.js";
+import {
+    createProviderChain,
+    createProviderChainFromConfig,
+    createProviderFromConfig
+} from "./providers.js";
+import { createArena, formatLeaderboard } from "./arena.js";
+import { createProtectionEngine } from "./protection.js";
+import { calculateATR, requiredCandles } from "./indicators.js";
+import { buildMarketStructureSummary } from "./derivatives.js";
+import { createNewsAggregator, createNewsSourcesFromConfig } from "./news.js";
+import { createApiServer, summarizeCycleForApi } from "./server.js";
+import { createMetricsRegistry } from "./metrics.js";
+import { createBybitClient } from "./bybit.js";
+import { collectEnvSecrets, createLogger } from "./logger.js";
+import { collectConfigSecrets, formatConfig, formatConfigErrors, loadConfig } from "./config.js";
+import {
+    createTemplateRegistry,
+    createTemplateSelector,
+    describeTemplate,
+    lintTemplates,
+    parseTemplateNames
+} from "./templates.js";
+import { resolveConsensus, formatEnsembleResolution } from "./ensemble.js";
+import { resolveBybitEnvironment, assertMainnetConfirmed, describeEnvironment } from "./environments.js";
 
 dotenv.config();
 
-function requireEnv(name) {
-    const value = process.env[name];
-    invariant(value, `Missing required environment variable ${name}`);
-    return value;
+const loadedConfig = loadConfig();
+if (loadedConfig.printConfig) {
+    console.log(`# Effective configuration (file: ${loadedConfig.file})\n${formatConfig(loadedConfig)}`);
+    if (loadedConfig.errors.length) {
+        console.error(formatConfigErrors(loadedConfig.errors));
+    }
+    process.exit(loadedConfig.errors.length ? 1 : 0);
 }
-
-const TELEGRAM_CHAT_ID = requireEnv("TELEGRAM_CHAT_ID");
-const TELEGRAM_BOT_TOKEN = requireEnv("TELEGRAM_BOT_TOKEN");
-const BYBIT_SYMBOL = "BTCUSDT";
-const BYBIT_ACCOUNT_TYPE = "UNIFIED";
-const BYBIT_CATEGORY = "linear";
-const TARGET_LEVERAGE = 100;
-const BYBIT_BASE_URL = requireEnv("BYBIT_BASE_URL");
-const BYBIT_RECV_WINDOW = "5000";
-const CRYPTO_HORDE_ENDPOINT = requireEnv("CRYPTO_HORDE_ENDPOINT");
-const CRYPTO_HORDE_KEY = requireEnv("CRYPTO_HORDE_KEY");
-const BYBIT_API_KEY = requireEnv("BYBIT_API_KEY");
-const BYBIT_API_SECRET = requireEnv("BYBIT_API_SECRET");
-const OPENAI_API_KEY = requireEnv("OPENAI_API_KEY");
-const OPENAI_BASE_URL = requireEnv("OPENAI_BASE_URL");
-const DEFAULT_QTY_STEP = 0.001; //0.001
-const DEFAULT_TICK_SIZE = 0.5;
-const MIN_EXECUTION_INTERVAL_MS = 2 * 60 * 1000; // 2 minutes
-const EXECUTION_INTERVAL_MS_RAW = requireEnv("EXECUTION_INTERVAL_MS");
-const EXECUTION_INTERVAL_MS = Math.max(
-    Number(EXECUTION_INTERVAL_MS_RAW) || MIN_EXECUTION_INTERVAL_MS,
-    MIN_EXECUTION_INTERVAL_MS
-);
-
-const openai = new OpenAI({
-    apiKey: OPENAI_API_KEY,
-    baseURL: OPENAI_BASE_URL
+invariant(loadedConfig.errors.length === 0, formatConfigErrors(loadedConfig.errors));
+const CONFIG = loadedConfig.config;
+
+const logger = createLogger({
+    level: CONFIG.logging.level,
+    format: CONFIG.logging.format,
+    file: CONFIG.logging.file,
+    maxBytes: CONFIG.logging.maxBytes,
+    maxFiles: CONFIG.logging.maxFiles,
+    secrets: [...collectEnvSecrets(), ...collectConfigSecrets(loadedConfig)]
 });
-
-const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, { polling: false });
-const leverageSettingsCache = new Map();
-
-const SESSION_START = Date.now();
-
-function assertBybitCredentials() {
-    if (!BYBIT_API_KEY || !BYBIT_API_SECRET) {
-        throw new Error(
-            "Missing BYBIT_API_KEY/BYBIT_API_SECRET environment variables for unified account access."
-        );
+logger.captureConsole();
+
+const TELEGRAM_CHAT_ID = CONFIG.telegram.chatId;
+const TELEGRAM_BOT_TOKEN = CONFIG.telegram.botToken;
+const TELEGRAM_ALLOWED_USER_IDS = parseAllowedUserIds(CONFIG.telegram.allowedUserIds.join(","));
+const BYBIT_ACCOUNT_TYPE = CONFIG.bybit.accountType;
+const BYBIT_CATEGORY = CONFIG.bybit.category;
+const TARGET_LEVERAGE = CONFIG.bybit.targetLeverage;
+const DEFAULT_QTY_STEP = CONFIG.bybit.defaultQtyStep;
+const DEFAULT_TICK_SIZE = CONFIG.bybit.defaultTickSize;
+const BYBIT_SYMBOLS = CONFIG.bybit.symbols;
+const BYBIT_ENVIRONMENT = resolveBybitEnvironment(CONFIG.bybit);
+const BYBIT_BASE_URL = BYBIT_ENVIRONMENT.restUrl;
+const BYBIT_RECV_WINDOW = String(CONFIG.bybit.recvWindowMs);
+const BYBIT_PRIVATE_STREAM_ENABLED = CONFIG.bybit.privateStream;
+const BYBIT_WS_PRIVATE_URL = BYBIT_ENVIRONMENT.wsPrivateUrl;
+const TRADING_MODE = CONFIG.trading.mode;
+const PAPER_TRADING = TRADING_MODE === "paper";
+// Paper mode only reads public market data, so Bybit credentials and mainnet confirmation are optional there.
+if (!PAPER_TRADING) {
+    assertMainnetConfirmed(BYBIT_ENVIRONMENT, CONFIG.bybit);
+    invariant(
+        BYBIT_ENVIRONMENT.apiKey && BYBIT_ENVIRONMENT.apiSecret,
+        `Missing Bybit API credentials for ${BYBIT_ENVIRONMENT.name}`
+    );
+}
+const BYBIT_API_KEY = BYBIT_ENVIRONMENT.apiKey;
+const BYBIT_API_SECRET = BYBIT_ENVIRONMENT.apiSecret;
+const ENVIRONMENT = describeEnvironment(BYBIT_ENVIRONMENT, { paper: PAPER_TRADING });
+const TELEGRAM_TAG = `[${PAPER_TRADING ? "PAPER" : BYBIT_ENVIRONMENT.label}] `;
+const MODEL_REPAIR_ATTEMPTS = CONFIG.trading.modelRepairAttempts;
+const EXECUTION_INTERVAL_MS = CONFIG.trading.executionIntervalMs;
+
+const metrics = createMetricsRegistry({ prefix: "bybit_bot_" });
+const telemetry = {
+    cycles: metrics.counter("cycles_total", "Trading cycles by final status"),
+    cycleDuration: metrics.histogram("cycle_duration_seconds", "Trading cycle wall time"),
+    cycleFailures: metrics.counter("cycle_failures_total", "Failed trading cycles by the stage that failed"),
+    lastCycle: metrics.gauge("last_cycle_timestamp_seconds", "Unix time the last trading cycle finished"),
+    bybitLatency: metrics.histogram("bybit_request_duration_seconds", "Bybit REST request latency by path", [
+        0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10
+    ]),
+    bybitErrors: metrics.counter("bybit_request_errors_total", "Bybit REST errors by path and retCode, HTTP status or error kind"),
+    bybitRetries: metrics.counter("bybit_request_retries_total", "Bybit REST attempts after the first, by path"),
+    llmLatency: metrics.histogram("llm_request_duration_seconds", "LLM completion latency by provider and model"),
+    llmErrors: metrics.counter("llm_request_errors_total", "Failed LLM completions by provider and model"),
+    llmTokens: metrics.counter("llm_tokens_total", "LLM token usage by provider, model and type"),
+    decisions: metrics.counter("decisions_total", "Validated model decisions by operation"),
+    decisionsRejected: metrics.counter("decisions_rejected_total", "Model decisions rejected by schema validation"),
+    decisionsSkipped: metrics.counter("decisions_skipped_total", "Decisions dropped while mapping to orders"),
+    orders: metrics.counter("orders_total", "Orders by outcome: placed, failed or risk_rejected"),
+    equity: metrics.gauge("equity_usdt", "Total account equity"),
+    marginUsage: metrics.gauge("margin_usage_ratio", "Used margin over total equity"),
+    unrealisedPnl: metrics.gauge("unrealised_pnl_usdt", "Unrealised PnL per symbol")
+};
+
+function recordLlmAttempt({ provider, model, latencyMs, usage, error }) {
+    const labels = { provider, model };
+    telemetry.llmLatency.observe(labels, latencyMs / 1000);
+    if (error) {
+        telemetry.llmErrors.inc(labels);
+        return;
     }
+    telemetry.llmTokens.inc({ ...labels, type: "prompt" }, usage?.prompt_tokens);
+    telemetry.llmTokens.inc({ ...labels, type: "completion" }, usage?.completion_tokens);
 }
 
-function toNumber(value, fallback = 0) {
-    const parsed = Number(value);
-    return Number.isFinite(parsed) ? parsed : fallback;
+const LLM_ENSEMBLE = CONFIG.llm.ensemble;
+const LLM_ENSEMBLE_POLICY = CONFIG.llm.ensemblePolicy;
+invariant(LLM_ENSEMBLE.length !== 1, "LLM_ENSEMBLE needs at least two providers");
+// Ensemble members are queried independently, so each one is its own single-provider chain.
+const ensembleMembers = LLM_ENSEMBLE.map((id) =>
+    createProviderChain([createProviderFromConfig(id, CONFIG.llm)], { onAttempt: recordLlmAttempt })
+);
+const llm = ensembleMembers.length
+    ? null
+    : createProviderChainFromConfig(CONFIG.llm, { onAttempt: recordLlmAttempt });
+const LLM_ARENA = CONFIG.llm.arena;
+const arenaMembers = LLM_ARENA.map((id) =>
+    createProviderChain([createProviderFromConfig(id, CONFIG.llm)], { onAttempt: recordLlmAttempt })
+);
+const arena = LLM_ARENA.length
+    ? createArena({
+        names: LLM_ARENA,
+        startingBalance: CONFIG.arena.startingBalance,
+        feeRate: CONFIG.paper.feeRate,
+        stateFile: CONFIG.arena.stateFile
+    })
+    : null;
+
+// Commands are only polled for when at least one Telegram user is allow-listed.
+const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, { polling: TELEGRAM_ALLOWED_USER_IDS.size > 0 });
+const leverageSettingsCache = new Map();
+const paperExchange = PAPER_TRADING
+    ? createPaperExchange({
+        startingBalance: CONFIG.paper.startingBalance,
+        feeRate: CONFIG.paper.feeRate,
+        initialState: loadPaperState(CONFIG.paper.stateFile)
+    })
+    : null;
+
+function persistPaperState() {
+    savePaperState(CONFIG.paper.stateFile, paperExchange.exportState());
 }
 
-function formatUsd(value) {
-    return Number(value).toLocaleString("en-US", {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-    });
+// Saves the simulated account and reports any fills it produced.
+async function recordPaperEvents(events) {
+    persistPaperState();
+    if (events.length) {
+        console.log("Paper exchange events:", events);
+        await sendTelegramNotification(
+            [`${TELEGRAM_TAG}Bybit simulated executions:`, ...events.map(formatPaperEvent)].join("\n")
+        );
+    }
 }
 
-function formatPercent(value) {
-    return `${(value * 100).toFixed(1)}%`;
-}
+const RISK_MAX_LEVERAGE = Math.min(TARGET_LEVERAGE, CONFIG.risk.maxLeverage);
+const riskEngine = createRiskEngine({
+    maxLeverage: RISK_MAX_LEVERAGE,
+    maxPortion: CONFIG.risk.maxPortion,
+    maxNotional: CONFIG.risk.maxNotionalUsdt,
+    maxMarginUsage: CONFIG.risk.maxMarginUsage,
+    dailyLossLimitPct: CONFIG.risk.dailyLossLimitPct,
+    dailyLossLimitUsdt: CONFIG.risk.dailyLossLimitUsdt,
+    stateFile: CONFIG.risk.stateFile
+});
 
-function formatBigNumber(value) {
-    const num = Number(value);
-    if (!Number.isFinite(num)) return "0";
-    if (num >= 1e9) return `${(num / 1e9).toFixed(2)}B`;
-    if (num >= 1e6) return `${(num / 1e6).toFixed(2)}M`;
-    if (num >= 1e3) return `${(num / 1e3).toFixed(2)}K`;
-    return num.toFixed(0);
-}
+const privateStream =
+    BYBIT_PRIVATE_STREAM_ENABLED && !PAPER_TRADING
+        ? createBybitPrivateStream({
+            url: BYBIT_WS_PRIVATE_URL,
+            apiKey: BYBIT_API_KEY,
+            apiSecret: BYBIT_API_SECRET,
+            onNotification: ({ message }) => {
+                console.log(`Private stream: ${message}`);
+                sendTelegramNotification(message);
+            },
+            onPositionUpdate: (entry) => {
+                protectOnStreamTick(entry);
+            }
+        })
+        : null;
+
+const ORDER_MAX_AGE_MINUTES = CONFIG.orders.maxAgeMinutes;
+const ORDER_MAX_AGE_CYCLES = CONFIG.orders.maxAgeCycles;
+const ORDER_MAX_DISTANCE_PCT = CONFIG.orders.maxDistancePct;
+const ORDER_STALE_ACTION = CONFIG.orders.staleAction;
+const orderTracker = createOrderTracker();
+
+const PROTECTION_ATR_INTERVAL = CONFIG.protection.atrInterval;
+const PROTECTION_STREAM_INTERVAL_MS = CONFIG.protection.streamIntervalMs;
+const protectionEngine = createProtectionEngine({
+    breakevenR: CONFIG.protection.breakevenR,
+    breakevenOffsetPct: CONFIG.protection.breakevenOffsetPct,
+    trailMode: CONFIG.protection.trailMode,
+    trailDistance: CONFIG.protection.trailDistance,
+    atrMultiple: CONFIG.protection.trailAtrMultiple,
+    trailActivationR: CONFIG.protection.trailActivationR,
+    // The paper exchange has no native trailing stop, so paper runs always trail synthetically.
+    nativeTrailing: CONFIG.protection.nativeTrailing && !PAPER_TRADING
+});
+// Tick size and ATR from the last cycle, reused when stream ticks re-evaluate stops between cycles.
+const protectionInputs = new Map();
+const lastStreamProtectionAt = new Map();
 
-function quantizeToStep(value, step, mode = "floor") {
-    if (!Number.isFinite(value)) {
-        return 0;
-    }
-    if (!Number.isFinite(step) || step <= 0) {
-        return value;
-    }
-    const ratio = value / step;
-    const units =
-        mode === "ceil" ? Math.ceil(ratio) : mode === "round" ? Math.round(ratio) : Math.floor(ratio);
-    return Number((units * step).toFixed(8));
-}
+const INDICATOR_CONFIG = Object.fromEntries(
+    Object.entries(CONFIG.indicators).filter(([label]) => label !== "periods")
+);
+const INDICATOR_PERIODS = CONFIG.indicators.periods;
 
-function fillTemplate(template, params) {
-    const missingKeys = new Set();
-    const filled = template.replace(/\{(\w+)\}/g, (_, key) => {
-        if (params[key] === undefined || params[key] === null || params[key] === "") {
-            missingKeys.add(key);
-            return `{${key}}`;
-        }
-        return params[key];
-    });
+const SIZING_MODE = CONFIG.sizing.mode;
+const SIZING_RISK_PER_TRADE = CONFIG.sizing.riskPerTrade;
+const SIZING_MIN_STOP_ATR = CONFIG.sizing.minStopAtrMultiple;
+const SIZING_ATR_INTERVAL = CONFIG.sizing.atrInterval;
 
-    if (missingKeys.size > 0) {
-        throw new Error(
-            `Missing template values for: ${Array.from(missingKeys).join(", ")}`
-        );
-    }
+const MARKET_DATA = CONFIG.market;
 
-    return filled;
-}
+const newsAggregator = createNewsAggregator({
+    sources: createNewsSourcesFromConfig(CONFIG.news),
+    cacheTtlMs: CONFIG.news.cacheTtlMinutes * 60 * 1000,
+    maxAgeMs: CONFIG.news.maxAgeHours * 60 * 60 * 1000,
+    maxItems: CONFIG.news.maxItems
+});
 
-function createOutputFormatDescriptor() {
-    return `{
-  "decisions": [
-    {
-      "operation": "buy",
-      "symbol": "${BYBIT_SYMBOL}",
-      "target_portion_of_balance": 0.25,
-      "leverage": ${TARGET_LEVERAGE},
-      "max_price": 0,
-      "stop_loss_price": 0,
-      "take_profit_price": 0,
-      "reason": "Concise catalyst describing why exposure is warranted.",
-      "trading_strategy": "Risk outline covering stop level, target, and leverage rationale."
-    },
-    {
-      "operation": "hold",
-      "symbol": "${BYBIT_SYMBOL}",
-      "target_portion_of_balance": 0.0,
-      "leverage": ${TARGET_LEVERAGE},
-      "reason": "Document why no trade is taken despite monitoring the symbol.",
-      "trading_strategy": "Explain what would need to change to trigger an entry."
-    }
-  ]
-}`;
-}
+const HTTP_PORT = CONFIG.http.port;
+const HTTP_HOST = CONFIG.http.host;
+const HTTP_CONTROL_TOKEN = CONFIG.http.controlToken || "";
+
+const templateRegistry = createTemplateRegistry();
+const templateLintErrors = lintTemplates(templateRegistry);
+invariant(templateLintErrors.length === 0, `Prompt template lint failed:\n${templateLintErrors.join("\n")}`);
+// More than one name alternates templates across cycles (A/B mode).
+const templateSelector = createTemplateSelector(
+    templateRegistry,
+    CONFIG.llm.promptTemplates
+);
 
-function formatNewsTimestamp(isoString) {
-    if (!isoString) return "Unknown time";
-    const parsed = new Date(isoString);
-    if (Number.isNaN(parsed.getTime())) return "Unknown time";
-    return parsed.toISOString().replace("T", " ").replace(".000Z", " UTC");
-}
+const journal = createJournal({ file: CONFIG.journal.file });
+const recentCycles = createJournalTail({ limit: 200, project: summarizeCycleForApi });
+const equityHistory = createJournalTail({
+    limit: 5000,
+    project: (cycle) => (Number.isFinite(cycle.account?.totalEquity) ? { time: cycle.startedAt, equity: cycle.account.totalEquity } : null)
+});
+let lastCycle = null;
+let runtimeLeverageCap = null;
 
-function summarizeNewsArticles(articles = []) {
-    const topArticles = articles.slice(0, 4);
-    if (!topArticles.length) {
-        return "No fresh crypto headlines available right now.";
-    }
-
-    return topArticles
-        .map((article) => {
-            const timestamp = formatNewsTimestamp(article.published_at);
-            const themeSuffix = article.theme ? ` (${article.theme})` : "";
-            const bodyText = (article.body || article.title || "").trim();
-            const preview = bodyText
-                .replace(/\s+/g, " ")
-                .slice(0, 160)
-                .trim();
-            return `• ${timestamp}${themeSuffix} – ${preview}`;
-        })
-        .join("\n");
-}
+const SESSION_START = Date.now();
 
 async function fetchLatestNewsSummary() {
-    const fetchImpl = typeof fetch === "function" ? fetch : nodeFetch;
-    const url = `${CRYPTO_HORDE_ENDPOINT}?theme=crypto&lang=en&key=${CRYPTO_HORDE_KEY}`;
-
     try {
-        const response = await fetchImpl(url, { method: "GET" });
-        if (!response.ok) {
-            throw new Error(`CryptoHorde HTTP ${response.status}`);
-        }
-
-        const payload = await response.json();
-        if (!Array.isArray(payload)) {
-            throw new Error("CryptoHorde response is not an array");
-        }
-
-        return {
-            summary: summarizeNewsArticles(payload),
-            articles: payload
-        };
+        return await newsAggregator.collect();
     } catch (error) {
         console.error("Failed to fetch crypto news:", error);
         return {
@@ -193,70 +300,39 @@ async function fetchLatestNewsSummary() {
     }
 }
 
-function buildQueryString(params = {}) {
-    return Object.entries(params)
-        .filter(([, value]) => value !== undefined && value !== null && value !== "")
-        .sort(([a], [b]) => a.localeCompare(b))
-        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
-        .join("&");
+function recordBybitAttempt({ path, attempt, latencyMs, error }) {
+    telemetry.bybitLatency.observe({ path }, latencyMs / 1000);
+    if (attempt > 0) {
+        telemetry.bybitRetries.inc({ path });
+    }
+    if (error) {
+        const code = error.code ?? (error.status ? `http_${error.status}` : error.kind);
+        telemetry.bybitErrors.inc({ path, code: String(code) });
+    }
 }
 
-async function bybitRequest({
-    path,
-    method = "GET",
-    query = {},
-    body,
-    auth = false
-}) {
-    const queryString = buildQueryString(query);
-    const url = `${BYBIT_BASE_URL}${path}${queryString ? `?${queryString}` : ""}`;
-    const headers = { "Content-Type": "application/json" };
-    const options = { method, headers };
-
-    let bodyPayload = "";
-    if (body && method !== "GET") {
-        bodyPayload = JSON.stringify(body);
-        options.body = bodyPayload;
-    }
-
-    if (auth) {
-        assertBybitCredentials();
-        const timestamp = Date.now().toString();
-        const signPayload = `${timestamp}${BYBIT_API_KEY}${BYBIT_RECV_WINDOW}${queryString}${method === "POST" ? bodyPayload : ""}`;
-        const signature = crypto
-            .createHmac("sha256", BYBIT_API_SECRET)
-            .update(signPayload)
-            .digest("hex");
-
-        headers["X-BAPI-API-KEY"] = BYBIT_API_KEY;
-        headers["X-BAPI-SIGN"] = signature;
-        headers["X-BAPI-TIMESTAMP"] = timestamp;
-        headers["X-BAPI-RECV-WINDOW"] = BYBIT_RECV_WINDOW;
-    }
-
-    const fetchImpl = typeof fetch === "function" ? fetch : nodeFetch;
-    const response = await fetchImpl(url, options);
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Bybit HTTP ${response.status}: ${errorText}`);
-    }
-
-    const payload = await response.json();
-    if (payload.retCode !== 0) {
-        const error = new Error(`Bybit API error ${payload.retMsg} (code ${payload.retCode})`);
-        error.code = payload.retCode;
-        error.response = payload;
-        throw error;
-    }
+const bybitClient = createBybitClient({
+    baseUrl: BYBIT_BASE_URL,
+    apiKey: BYBIT_API_KEY,
+    apiSecret: BYBIT_API_SECRET,
+    recvWindow: BYBIT_RECV_WINDOW,
+    timeoutMs: CONFIG.bybit.requestTimeoutMs,
+    maxRetries: CONFIG.bybit.maxRetries,
+    retryBaseMs: CONFIG.bybit.retryBaseDelayMs,
+    retryMaxMs: CONFIG.bybit.retryMaxDelayMs,
+    clockSyncIntervalMs: CONFIG.bybit.clockSyncIntervalMs,
+    onAttempt: recordBybitAttempt
+});
 
-    return payload.result;
+function bybitRequest(params) {
+    return bybitClient.request(params);
 }
 
-function buildLeverageCacheKey(symbol = BYBIT_SYMBOL, category = BYBIT_CATEGORY) {
+function buildLeverageCacheKey(symbol = BYBIT_SYMBOLS[0], category = BYBIT_CATEGORY) {
     return `${category}:${symbol}`;
 }
 
-async function ensureSymbolLeverage(symbol = BYBIT_SYMBOL, leverage, category = BYBIT_CATEGORY) {
+async function ensureSymbolLeverage(symbol = BYBIT_SYMBOLS[0], leverage, category = BYBIT_CATEGORY) {
     const normalizedLeverage = Number.isFinite(leverage)
         ? Math.min(TARGET_LEVERAGE, Math.max(1, Math.round(leverage)))
         : TARGET_LEVERAGE;
@@ -293,6 +369,10 @@ async function ensureSymbolLeverage(symbol = BYBIT_SYMBOL, leverage, category =
 }
 
 async function fetchUnifiedAccountSnapshot() {
+    if (paperExchange) {
+        return paperExchange.getAccountSnapshot();
+    }
+
     const result = await bybitRequest({
         path: "/v5/account/wallet-balance",
         query: { accountType: BYBIT_ACCOUNT_TYPE, coin: "USDT" },
@@ -343,35 +423,37 @@ async function fetchUnifiedAccountSnapshot() {
     };
 }
 
-async function fetchBtcusdtTicker() {
+async function fetchTicker(symbol) {
     const result = await bybitRequest({
         path: "/v5/market/tickers",
-        query: { category: BYBIT_CATEGORY, symbol: BYBIT_SYMBOL }
+        query: { category: BYBIT_CATEGORY, symbol }
     });
 
     const ticker = result?.list?.[0];
     if (!ticker) {
-        throw new Error("Bybit ticker response missing BTCUSDT data.");
+        throw new Error(`Bybit ticker response missing ${symbol} data.`);
     }
 
     return {
-        symbol: BYBIT_SYMBOL,
+        symbol,
         price: toNumber(ticker.lastPrice),
         change24h: toNumber(ticker.price24hPcnt) * 100,
         fundingRate: toNumber(ticker.fundingRate),
-        volume24h: toNumber(ticker.turnover24h)
+        volume24h: toNumber(ticker.turnover24h),
+        markPrice: toNumber(ticker.markPrice),
+        indexPrice: toNumber(ticker.indexPrice)
     };
 }
 
-async function fetchBtcusdtInstrumentMeta() {
+async function fetchInstrumentMeta(symbol) {
     const result = await bybitRequest({
         path: "/v5/market/instruments-info",
-        query: { category: BYBIT_CATEGORY, symbol: BYBIT_SYMBOL }
+        query: { category: BYBIT_CATEGORY, symbol }
     });
 
     const instrument = result?.list?.[0];
     if (!instrument) {
-        throw new Error("Bybit instrument info missing BTCUSDT data.");
+        throw new Error(`Bybit instrument info missing ${symbol} data.`);
     }
 
     const lotSize = instrument.lotSizeFilter ?? {};
@@ -395,10 +477,14 @@ function determinePositionMode(positionEntries = []) {
     return hasHedgeIdx ? "HEDGE" : "ONE_WAY";
 }
 
-async function fetchBtcusdtPositionState() {
+async function fetchPositionState(symbol) {
+    if (paperExchange) {
+        return paperExchange.getPositionState(symbol);
+    }
+
     const result = await bybitRequest({
         path: "/v5/position/list",
-        query: { category: BYBIT_CATEGORY, symbol: BYBIT_SYMBOL },
+        query: { category: BYBIT_CATEGORY, symbol },
         auth: true
     });
 
@@ -425,18 +511,100 @@ async function fetchBtcusdtPositionState() {
             liqPrice: toNumber(rawPosition.liqPrice),
             takeProfit: toNumber(rawPosition.takeProfit),
             stopLoss: toNumber(rawPosition.stopLoss),
+            trailingStop: toNumber(rawPosition.trailingStop),
             positionIdx: Number(rawPosition.positionIdx)
         },
         positionMode
     };
 }
 
-async function fetchBybitKlines(interval, limit = 60) {
+async function fetchOpenOrders(symbol) {
+    if (paperExchange) {
+        return paperExchange.getOpenOrders(symbol);
+    }
+
+    const result = await bybitRequest({
+        path: "/v5/order/realtime",
+        query: { category: BYBIT_CATEGORY, symbol },
+        auth: true
+    });
+
+    const entries = Array.isArray(result?.list) ? result.list : [];
+    return entries.map((entry) => ({
+        orderId: entry.orderId,
+        orderLinkId: entry.orderLinkId,
+        symbol: entry.symbol,
+        side: entry.side,
+        orderType: entry.orderType,
+        qty: toNumber(entry.qty),
+        price: toNumber(entry.price),
+        reduceOnly: Boolean(entry.reduceOnly),
+        takeProfit: toNumber(entry.takeProfit),
+        stopLoss: toNumber(entry.stopLoss),
+        orderStatus: entry.orderStatus,
+        createdAt: Number(entry.createdTime)
+    }));
+}
+
+async function cancelOrder(order) {
+    if (paperExchange) {
+        if (!paperExchange.cancelOrder(order.orderLinkId)) {
+            throw new Error(`order ${order.orderLinkId} is no longer open`);
+        }
+        persistPaperState();
+        return;
+    }
+
+    await bybitRequest({
+        path: "/v5/order/cancel",
+        method: "POST",
+        body: { category: BYBIT_CATEGORY, symbol: order.symbol, orderLinkId: order.orderLinkId },
+        auth: true
+    });
+}
+
+async function amendOrderPrice(order, price) {
+    if (paperExchange) {
+        const { events } = paperExchange.amendOrder(order.orderLinkId, { price });
+        await recordPaperEvents(events);
+        return;
+    }
+
+    await bybitRequest({
+        path: "/v5/order/amend",
+        method: "POST",
+        body: {
+            category: BYBIT_CATEGORY,
+            symbol: order.symbol,
+            orderLinkId: order.orderLinkId,
+            price: price.toString()
+        },
+        auth: true
+    });
+}
+
+async function cancelAllOrders(symbol) {
+    if (paperExchange) {
+        const cancelled = paperExchange.cancelAllOrders(symbol).length;
+        persistPaperState();
+        return cancelled;
+    }
+
+    const result = await bybitRequest({
+        path: "/v5/order/cancel-all",
+        method: "POST",
+        body: { category: BYBIT_CATEGORY, symbol },
+        auth: true
+    });
+    return Array.isArray(result?.list) ? result.list.length : 0;
+}
+
+async function fetchBybitKlines(symbol, interval, limit = 60) {
     const result = await bybitRequest({
         path: "/v5/market/kline",
         query: {
             category: BYBIT_CATEGORY,
-            symbol: BYBIT_SYMBOL,
+            symbol,
             interval,
             limit
         }
@@ -453,7 +621,7 @@ async function fetchBybitKlines(interval, limit = 60) {
     }));
 }
 
-async function fetchIntradaySeries() {
+async function fetchIntradaySeries(symbol) {
     const configs = [
         { label: "1m", interval: "1" },
         { label: "5m", interval: "5" },
@@ -463,10 +631,10 @@ async function fetchIntradaySeries() {
     const results = await Promise.all(
         configs.map(async ({ label, interval }) => {
             try {
-                const candles = await fetchBybitKlines(interval, 60);
+                const candles = await fetchBybitKlines(symbol, interval, requiredCandles(INDICATOR_CONFIG[label], INDICATOR_PERIODS));
                 return [label, candles];
             } catch (error) {
-                console.error(`Failed to load ${label} candles:`, error);
+                console.error(`Failed to load ${symbol} ${label} candles:`, error);
                 return [label, []];
             }
         })
@@ -475,505 +643,6 @@ async function fetchIntradaySeries() {
     return Object.fromEntries(results);
 }
 
-function describePosition(position) {
-    if (!position) {
-        return "- BTCUSDT perp: Flat; ready to deploy 5x leverage on the next setup.";
-    }
-
-    const direction = position.side?.toUpperCase() ?? "LONG";
-    const size = position.size.toFixed(4);
-    const entry = formatUsd(position.entryPrice);
-    const pnl = position.unrealisedPnl.toFixed(2);
-    return `- BTCUSDT perp: ${direction} ${size} @ $${entry} | Lvg ${position.leverage}x | UPNL ${pnl} USDT`;
-}
-
-function formatCandleTimestamp(startTime) {
-    if (!Number.isFinite(startTime)) {
-        return "??:??";
-    }
-    const iso = new Date(startTime).toISOString();
-    return iso.slice(11, 16); // HH:MM
-}
-
-function formatCandlePrice(value) {
-    const num = Number(value);
-    if (!Number.isFinite(num)) {
-        return "0.00";
-    }
-    return num.toFixed(2);
-}
-
-function formatSeriesSection(label, candles = []) {
-    if (!candles.length) {
-        return `${label}: No candle data available.`;
-    }
-
-    const recent = candles
-        .slice()
-        .sort((a, b) => a.startTime - b.startTime)
-        .slice(-3);
-
-    const entries = recent.map((candle) => {
-        const time = formatCandleTimestamp(candle.startTime);
-        return `${time} UTC O${formatCandlePrice(candle.open)} H${formatCandlePrice(
-            candle.high
-        )} L${formatCandlePrice(candle.low)} C${formatCandlePrice(
-            candle.close
-        )} V${formatBigNumber(candle.volume)}`;
-    });
-
-    return `${label} (latest ${entries.length}):\n  ${entries.join("\n  ")}`;
-}
-
-function sortCandlesChronologically(candles = []) {
-    return candles
-        .slice()
-        .filter((candle) => Number.isFinite(candle.startTime))
-        .sort((a, b) => a.startTime - b.startTime);
-}
-
-function calculateVWMA(candles = [], length = 20) {
-    const sorted = sortCandlesChronologically(candles);
-    if (sorted.length < length) {
-        return null;
-    }
-    const recent = sorted.slice(-length);
-    let volumeSum = 0;
-    let weightedSum = 0;
-    for (const candle of recent) {
-        const vol = Number(candle.volume) || 0;
-        const close = Number(candle.close) || 0;
-        volumeSum += vol;
-        weightedSum += close * vol;
-    }
-    if (volumeSum <= 0) {
-        return null;
-    }
-    return weightedSum / volumeSum;
-}
-
-function calculateRSI(candles = [], period = 14) {
-    const sorted = sortCandlesChronologically(candles);
-    if (sorted.length < period + 1) {
-        return null;
-    }
-    const closes = sorted.map((candle) => Number(candle.close) || 0);
-    const slice = closes.slice(-(period + 1));
-    let gains = 0;
-    let losses = 0;
-    for (let i = 1; i < slice.length; i++) {
-        const delta = slice[i] - slice[i - 1];
-        if (delta >= 0) {
-            gains += delta;
-        } else {
-            losses += Math.abs(delta);
-        }
-    }
-    const avgGain = gains / period;
-    const avgLoss = losses / period;
-    if (!Number.isFinite(avgGain) || !Number.isFinite(avgLoss)) {
-        return null;
-    }
-    if (avgLoss === 0) {
-        return 100;
-    }
-    if (avgGain === 0) {
-        return 0;
-    }
-    const rs = avgGain / avgLoss;
-    return 100 - 100 / (1 + rs);
-}
-
-function buildEmaSeries(values = [], period) {
-    if (!Array.isArray(values) || values.length < period) {
-        return [];
-    }
-    const result = new Array(values.length).fill(null);
-    const initialSlice = values.slice(0, period);
-    if (initialSlice.some((value) => !Number.isFinite(value))) {
-        return [];
-    }
-    let ema =
-        initialSlice.reduce((sum, value) => sum + value, 0) / period;
-    result[period - 1] = ema;
-    const multiplier = 2 / (period + 1);
-    for (let i = period; i < values.length; i++) {
-        const value = values[i];
-        if (!Number.isFinite(value)) {
-            result[i] = result[i - 1];
-            continue;
-        }
-        ema = (value - ema) * multiplier + ema;
-        result[i] = ema;
-    }
-    return result;
-}
-
-function calculateMACD(candles = [], fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
-    const sorted = sortCandlesChronologically(candles);
-    if (sorted.length < slowPeriod + signalPeriod) {
-        return null;
-    }
-    const closes = sorted.map((candle) => Number(candle.close) || 0);
-    const emaFastSeries = buildEmaSeries(closes, fastPeriod);
-    const emaSlowSeries = buildEmaSeries(closes, slowPeriod);
-    if (!emaFastSeries.length || !emaSlowSeries.length) {
-        return null;
-    }
-    const macdSeries = closes
-        .map((_, index) => {
-            const fast = emaFastSeries[index];
-            const slow = emaSlowSeries[index];
-            return Number.isFinite(fast) && Number.isFinite(slow)
-                ? fast - slow
-                : null;
-        })
-        .filter((value) => Number.isFinite(value));
-    if (macdSeries.length < signalPeriod) {
-        return null;
-    }
-    const macdLine = macdSeries[macdSeries.length - 1];
-    const signalSeries = buildEmaSeries(macdSeries, signalPeriod);
-    if (!signalSeries.length) {
-        return null;
-    }
-    const signalLine = signalSeries[signalSeries.length - 1];
-    if (!Number.isFinite(macdLine) || !Number.isFinite(signalLine)) {
-        return null;
-    }
-    return {
-        line: macdLine,
-        signal: signalLine,
-        histogram: macdLine - signalLine
-    };
-}
-
-function calculateIndicatorSuite(candles = []) {
-    if (!Array.isArray(candles) || candles.length === 0) {
-        return null;
-    }
-    const vwma20 = calculateVWMA(candles, 20);
-    const rsi14 = calculateRSI(candles, 14);
-    const macd = calculateMACD(candles, 12, 26, 9);
-    if (
-        !Number.isFinite(vwma20) &&
-        !Number.isFinite(rsi14) &&
-        (!macd || !Number.isFinite(macd.line))
-    ) {
-        return null;
-    }
-    return {
-        vwma20,
-        rsi14,
-        macdLine: macd?.line ?? null,
-        macdSignal: macd?.signal ?? null,
-        macdHistogram: macd?.histogram ?? null
-    };
-}
-
-function formatIndicatorValue(value, decimals = 2) {
-    return Number.isFinite(value) ? value.toFixed(decimals) : "n/a";
-}
-
-function buildIndicatorSummary(seriesMap = {}) {
-    const orderedLabels = ["1m", "5m", "1h"];
-    const lines = orderedLabels.map((label) => {
-        const metrics = calculateIndicatorSuite(seriesMap[label]);
-        if (!metrics) {
-            return `${label}: VWMA20 n/a, RSI14 n/a | MACD n/a/n/a/n/a`;
-        }
-        const vwmaText = Number.isFinite(metrics.vwma20)
-            ? `$${formatUsd(metrics.vwma20)}`
-            : "n/a";
-        const rsiText = Number.isFinite(metrics.rsi14)
-            ? formatIndicatorValue(metrics.rsi14, 1)
-            : "n/a";
-        const macdLine = formatIndicatorValue(metrics.macdLine, 2);
-        const macdSignal = formatIndicatorValue(metrics.macdSignal, 2);
-        const macdHistogram = formatIndicatorValue(metrics.macdHistogram, 2);
-        return `${label}: VWMA20 ${vwmaText}, RSI14 ${rsiText} | MACD ${macdLine}/${macdSignal}/${macdHistogram}`;
-    });
-
-    return [
-        "MACD values listed as line/signal/histogram:",
-        ...lines
-    ].join("\n");
-}
-
-function buildSamplingData(seriesMap = {}, market, position) {
-    const orderedLabels = ["1m", "5m", "1h"];
-    const sections = orderedLabels
-        .map((label) => formatSeriesSection(label, seriesMap[label]))
-        .filter(Boolean);
-
-    if (!sections.length) {
-        const price = market ? `$${formatUsd(market.price)}` : "unknown price";
-        const positionNote = position
-            ? `${position.side} ${position.size.toFixed(4)} contracts live`
-            : "Flat stance maintained";
-        sections.push(`No intraday candles available. Latest price ${price}; ${positionNote}.`);
-    }
-
-    return sections.join("\n");
-}
-
-function calculateMarginUsage(account) {
-    const denominator = account.totalEquity || 1;
-    return (account.usedMargin || 0) / denominator;
-}
-
-function buildTemplateData(context) {
-    const runtimeMinutes = Math.max(
-        1,
-        Math.round((Date.now() - SESSION_START) / 60000)
-    );
-    const market = context.market[BYBIT_SYMBOL];
-    if (!market) {
-        throw new Error("Market data for BTCUSDT missing from context.");
-    }
-    const marginUsageRatio = calculateMarginUsage(context.account);
-
-    return {
-        runtime_minutes: runtimeMinutes,
-        current_time_utc: new Date().toISOString(),
-        real_trading_warning: "REAL CAPITAL DEPLOYMENT - confirm entries before transmitting orders.",
-        total_equity: formatUsd(context.account.totalEquity),
-        available_balance: formatUsd(context.account.availableBalance),
-        used_margin: formatUsd(context.account.usedMargin),
-        margin_usage_percent: formatPercent(marginUsageRatio),
-        margin_usage_ratio: marginUsageRatio.toFixed(4),
-        maintenance_margin: formatUsd(context.account.maintenanceMargin),
-        max_leverage: TARGET_LEVERAGE,
-        default_leverage: TARGET_LEVERAGE,
-        positions_detail: context.positionDetail,
-        selected_symbols_count: 1,
-        selected_symbols_detail: `- BTCUSDT: $${formatUsd(market.price)} | 24h ${market.change24h >= 0 ? "+" : ""
-            }${market.change24h.toFixed(2)}% | funding ${market.fundingRate}`,
-        selected_symbols_csv: BYBIT_SYMBOL,
-        market_prices: `BTCUSDT: $${formatUsd(market.price)} (${market.change24h >= 0 ? "+" : ""}${market.change24h.toFixed(
-            2
-        )}% 24h | funding ${market.fundingRate} | vol ${formatBigNumber(
-            market.volume24h
-        )} USDT)`,
-        sampling_data: context.samplingData,
-        indicator_section:
-            context.indicatorSummary ||
-            "Indicator data unavailable for VWMA20/RSI14/MACD.",
-        news_section:
-            context.newsHeadline ||
-            "Spot BTC ETF inflows remain positive; no major macro catalysts scheduled during this session.",
-        output_format: createOutputFormatDescriptor()
-    };
-}
-
-function parseModelDecisions(rawContent) {
-    try {
-        return JSON.parse(rawContent);
-    } catch (error) {
-        console.error("Failed to parse model output", rawContent);
-        throw error;
-    }
-}
-
-function resolveCloseSide(position) {
-    const heldSide = position?.side?.toUpperCase();
-    if (heldSide === "SELL") {
-        return "Buy";
-    }
-    return "Sell";
-}
-
-function resolvePositionIdx(normalizedOperation, side, position, positionMode) {
-    if ((positionMode || "").toUpperCase() !== "HEDGE") {
-        return undefined;
-    }
-    if (normalizedOperation === "close" && position) {
-        return position.side?.toUpperCase() === "SELL" ? 2 : 1;
-    }
-    return side === "Buy" ? 1 : 2;
-}
-
-function mapDecisionsToBybitOrders(decisions, context) {
-    const market = context.market[BYBIT_SYMBOL];
-    const marginBase = context.account.availableBalance;
-    const position = context.position;
-    const positionMode = context.positionMode;
-    const instrumentMeta = context.instrumentMeta || {};
-    const qtyStep = instrumentMeta.qtyStep || DEFAULT_QTY_STEP;
-    const minOrderQty = instrumentMeta.minOrderQty || qtyStep;
-    const maxOrderQty = instrumentMeta.maxOrderQty || Infinity;
-    const tickSize = instrumentMeta.tickSize || DEFAULT_TICK_SIZE;
-
-    return decisions
-        .filter(
-            (decision) =>
-                decision &&
-                decision.operation &&
-                decision.operation.toLowerCase() !== "hold" &&
-                Number(decision.target_portion_of_balance) > 0
-        )
-        .map((decision, index) => {
-            const normalizedOperation = (decision.operation || "").toLowerCase();
-            const portion = Math.max(0, Number(decision.target_portion_of_balance ?? 0));
-
-            if (normalizedOperation === "close" && (!position || !Number(position.size))) {
-                return null;
-            }
-
-            const requestedLeverage = Math.round(
-                Number(decision.leverage ?? TARGET_LEVERAGE)
-            );
-            const side =
-                normalizedOperation === "buy"
-                    ? "Buy"
-                    : normalizedOperation === "close"
-                        ? resolveCloseSide(position)
-                        : "Sell";
-            const positionIdx = resolvePositionIdx(
-                normalizedOperation,
-                side,
-                position,
-                positionMode
-            );
-            const requiresMaxPrice = side === "Buy";
-            const priceCandidate = Number(
-                requiresMaxPrice ? decision.max_price : decision.min_price
-            );
-            const orderPrice =
-                Number.isFinite(priceCandidate) && priceCandidate > 0
-                    ? priceCandidate
-                    : market.price;
-            const price = quantizeToStep(orderPrice, tickSize, "round");
-            if (
-                !Number.isFinite(price) ||
-                price <= 0 ||
-                (instrumentMeta.minPrice && price < instrumentMeta.minPrice) ||
-                (instrumentMeta.maxPrice && price > instrumentMeta.maxPrice)
-            ) {
-                return null;
-            }
-
-            const baseLeverage =
-                Number.isFinite(requestedLeverage) && requestedLeverage >= 1
-                    ? Math.min(requestedLeverage, TARGET_LEVERAGE)
-                    : TARGET_LEVERAGE;
-            const leverage =
-                normalizedOperation === "close" && Number.isFinite(Number(position?.leverage))
-                    ? Math.max(1, Math.round(Number(position.leverage)))
-                    : baseLeverage;
-
-            const needsProtection = normalizedOperation !== "close";
-            const stopLossInput = Number(decision.stop_loss_price);
-            const takeProfitInput = Number(decision.take_profit_price);
-            const stopLossPrice =
-                needsProtection && Number.isFinite(stopLossInput) && stopLossInput > 0
-                    ? quantizeToStep(stopLossInput, tickSize, "round")
-                    : null;
-            const takeProfitPrice =
-                needsProtection && Number.isFinite(takeProfitInput) && takeProfitInput > 0
-                    ? quantizeToStep(takeProfitInput, tickSize, "round")
-                    : null;
-
-            if (needsProtection && (!stopLossPrice || !takeProfitPrice)) {
-                console.warn(
-                    "Skipping decision missing stop loss or take profit",
-                    decision
-                );
-                return null;
-            }
-
-            if (needsProtection) {
-                if (
-                    (side === "Buy" && !(stopLossPrice < price && takeProfitPrice > price)) ||
-                    (side === "Sell" && !(stopLossPrice > price && takeProfitPrice < price))
-                ) {
-                    console.warn(
-                        "Skipping decision with inconsistent TP/SL relative to entry",
-                        decision
-                    );
-                    return null;
-                }
-            }
-
-            let rawQty = 0;
-            if (normalizedOperation === "close") {
-                const liveSize = Number(position?.size);
-                if (!Number.isFinite(liveSize) || liveSize <= 0) {
-                    return null;
-                }
-                const closeFraction = portion > 0 ? Math.min(portion, 1) : 1;
-                rawQty = liveSize * closeFraction;
-            } else {
-                const marginAllocation = marginBase * portion;
-                if (!Number.isFinite(marginAllocation) || marginAllocation <= 0) {
-                    return null;
-                }
-                const minMarginRequirement = (minOrderQty * price) / leverage;
-                const notional = marginAllocation * leverage;
-                const allocationQty = notional / price;
-                if (allocationQty >= minOrderQty) {
-                    rawQty = allocationQty;
-                } else if (marginBase >= minMarginRequirement) {
-                    rawQty = minOrderQty;
-                } else {
-                    console.warn(
-                        "Skipping decision; insufficient margin to meet Bybit min order size",
-                        JSON.stringify({
-                            symbol: decision.symbol || BYBIT_SYMBOL,
-                            operation: decision.operation,
-                            availableBalance: marginBase,
-                            requiredMargin: minMarginRequirement
-                        })
-                    );
-                    return null;
-                }
-            }
-
-            const qty = quantizeToStep(rawQty, qtyStep, "floor");
-            if (
-                !Number.isFinite(qty) ||
-                qty <= 0 ||
-                qty < minOrderQty ||
-                qty > maxOrderQty
-            ) {
-                console.warn(
-                    "Skipping decision due to quantity constraints",
-                    JSON.stringify({
-                        symbol: decision.symbol || BYBIT_SYMBOL,
-                        operation: decision.operation,
-                        portion,
-                        rawQty,
-                        qty,
-                        minOrderQty,
-                        maxOrderQty
-                    })
-                );
-                return null;
-            }
-
-            return {
-                category: BYBIT_CATEGORY,
-                symbol: decision.symbol || BYBIT_SYMBOL,
-                side,
-                orderType: "Limit",
-                qty,
-                price,
-                timeInForce: "GTC",
-                reduceOnly: normalizedOperation === "close",
-                leverage,
-                positionIdx,
-                orderLinkId: `codex-btcusdt-${Date.now()}-${index}`,
-                stopLoss: needsProtection ? stopLossPrice : undefined,
-                takeProfit: needsProtection ? takeProfitPrice : undefined,
-                slTriggerBy: needsProtection ? "LastPrice" : undefined,
-                tpTriggerBy: needsProtection ? "LastPrice" : undefined,
-                reason: decision.reason,
-                trading_strategy: decision.trading_strategy
-            };
-        })
-        .filter(Boolean);
-}
-
 function shouldSkipTelegramNotification(decisions = []) {
     if (!Array.isArray(decisions) || decisions.length === 0) {
         return false;
@@ -984,6 +653,12 @@ function shouldSkipTelegramNotification(decisions = []) {
 }
 
 async function placeOrdersOnBybit(orders = []) {
+    if (paperExchange) {
+        const executions = paperExchange.placeOrders(orders);
+        persistPaperState();
+        return executions;
+    }
+
     const executions = [];
     for (const order of orders) {
         try {
@@ -996,12 +671,15 @@ async function placeOrdersOnBybit(orders = []) {
                 side: order.side,
                 orderType: order.orderType,
                 qty: order.qty.toString(),
-                price: order.price.toString(),
                 timeInForce: order.timeInForce,
                 reduceOnly: order.reduceOnly,
                 orderLinkId: order.orderLinkId
             };
 
+            if (Number.isFinite(order.price)) {
+                body.price = order.price.toString();
+            }
+
             if (typeof order.positionIdx === "number") {
                 body.positionIdx = order.positionIdx;
             }
@@ -1036,29 +714,180 @@ async function placeOrdersOnBybit(orders = []) {
     return executions;
 }
 
-function formatTelegramLog(
-    decisions = [],
-    instructions = [],
-    executions = [],
-    preOrderBalance
-) {
-    const decisionLines = decisions.map((decision) => {
-        const pct = (Number(decision.target_portion_of_balance) * 100).toFixed(1);
-        const leverage = decision.leverage ?? TARGET_LEVERAGE;
-        const symbol = decision.symbol || BYBIT_SYMBOL;
-        return `• ${symbol} → ${decision.operation.toUpperCase()} | ${pct}% bal | lev ${leverage}`;
-    });
+async function applyPositionAdjustments(adjustments = []) {
+    const results = [];
+    for (const adjustment of adjustments) {
+        try {
+            if (paperExchange) {
+                paperExchange.setTradingStop(adjustment.symbol, adjustment);
+                persistPaperState();
+            } else {
+                await bybitRequest({
+                    path: "/v5/position/trading-stop",
+                    method: "POST",
+                    body: {
+                        category: BYBIT_CATEGORY,
+                        symbol: adjustment.symbol,
+                        positionIdx: adjustment.positionIdx,
+                        tpslMode: "Full",
+                        ...(adjustment.trailingStop !== undefined
+                            ? { trailingStop: adjustment.trailingStop.toString() }
+                            : {}),
+                        ...(adjustment.stopLoss !== undefined
+                            ? { stopLoss: adjustment.stopLoss.toString(), slTriggerBy: "LastPrice" }
+                            : {}),
+                        ...(adjustment.takeProfit !== undefined
+                            ? { takeProfit: adjustment.takeProfit.toString(), tpTriggerBy: "LastPrice" }
+                            : {})
+                    },
+                    auth: true
+                });
+            }
+            results.push({ status: "success", adjustment });
+        } catch (error) {
+            console.error(`Failed to ${adjustment.operation} on ${adjustment.symbol}:`, error);
+            results.push({ status: "error", adjustment, error: error.message });
+        }
+    }
+    return results;
+}
 
-    const instructionLines = instructions.map((order) => {
-        const slText =
-            Number.isFinite(Number(order.stopLoss)) && Number(order.stopLoss) > 0
-                ? `$${formatUsd(order.stopLoss)}`
+function formatPositionAdjustment({ status, adjustment, error }) {
+    const labels = { move_stop: "stop", move_target: "target", trailing_stop: "trailing distance" };
+    const previous = Number(adjustment.previous) > 0 ? `$${formatUsd(adjustment.previous)}` : "none";
+    const next = `$${formatUsd(adjustment.stopLoss ?? adjustment.takeProfit ?? adjustment.trailingStop)}`;
+    const rule = adjustment.rule ? ` (${adjustment.rule})` : "";
+    return status === "success"
+        ? `• ✅ ${adjustment.symbol} ${labels[adjustment.operation]} ${previous} → ${next}${rule}`
+        : `• ❌ ${adjustment.symbol} ${labels[adjustment.operation]} ${previous} → ${next}${rule} — ${error}`;
+}
+
+async function reportProtectionResults(results) {
+    if (!results.length) {
+        return;
+    }
+    for (const { status, adjustment, error } of results) {
+        console.log(`Protection ${adjustment.operation} ${adjustment.symbol} (${adjustment.rule}): ${status}${error ? ` - ${error}` : ""}`);
+    }
+    await sendTelegramNotification(
+        [`${TELEGRAM_TAG}🛡️ Protection adjustments:`, ...results.map(formatPositionAdjustment)].join("\n")
+    );
+}
+
+async function runProtection(snapshots) {
+    if (!protectionEngine.enabled) {
+        return [];
+    }
+    const adjustments = [];
+    for (const symbol of BYBIT_SYMBOLS) {
+        const { position, market, instrumentMeta, series } = snapshots[symbol];
+        const inputs = {
+            tickSize: instrumentMeta?.tickSize || DEFAULT_TICK_SIZE,
+            atr: calculateATR(series[PROTECTION_ATR_INTERVAL] ?? [])
+        };
+        protectionInputs.set(symbol, inputs);
+        if (!position) {
+            protectionEngine.forget(symbol);
+            continue;
+        }
+        const adjustment = protectionEngine.plan(symbol, position, {
+            ...inputs,
+            price: market.price,
+            positionIdx: position.positionIdx || 0
+        });
+        if (adjustment) {
+            adjustments.push(adjustment);
+        }
+    }
+
+    const results = await applyPositionAdjustments(adjustments);
+    for (const { status, adjustment } of results) {
+        if (status === "success" && adjustment.stopLoss !== undefined) {
+            snapshots[adjustment.symbol].position.stopLoss = adjustment.stopLoss;
+        }
+    }
+    await reportProtectionResults(results);
+    return results;
+}
+
+async function protectOnStreamTick(entry) {
+    const inputs = protectionInputs.get(entry.symbol);
+    const now = Date.now();
+    // Cycles run their own pass; ticks are throttled so a volatile market cannot flood the REST API.
+    if (!protectionEngine.enabled || !inputs || isCycleRunning || now - (lastStreamProtectionAt.get(entry.symbol) ?? 0) < PROTECTION_STREAM_INTERVAL_MS) {
+        return;
+    }
+    if (!(Number(entry.size) > 0)) {
+        protectionEngine.forget(entry.symbol);
+        return;
+    }
+    lastStreamProtectionAt.set(entry.symbol, now);
+    const position = {
+        side: entry.side,
+        size: toNumber(entry.size),
+        entryPrice: toNumber(entry.entryPrice ?? entry.avgPrice),
+        stopLoss: toNumber(entry.stopLoss),
+        trailingStop: toNumber(entry.trailingStop),
+        positionIdx: Number(entry.positionIdx) || 0
+    };
+    const adjustment = protectionEngine.plan(entry.symbol, position, {
+        ...inputs,
+        price: toNumber(entry.markPrice),
+        positionIdx: position.positionIdx
+    });
+    if (!adjustment) {
+        return;
+    }
+    try {
+        await reportProtectionResults(await applyPositionAdjustments([adjustment]));
+    } catch (error) {
+        console.error("Stream protection pass failed:", error);
+    }
+}
+
+function describeSizingMode() {
+    if (SIZING_MODE === "risk") {
+        return `risk ${formatPercent(SIZING_RISK_PER_TRADE)} of equity per trade, stop ≥ ${SIZING_MIN_STOP_ATR}×ATR ${SIZING_ATR_INTERVAL}`;
+    }
+    return "portion × leverage";
+}
+
+function formatTelegramLog(
+    decisions = [],
+    instructions = [],
+    executions = [],
+    preOrderBalance,
+    {
+        rejections = [],
+        modelAttempts = 1,
+        riskInterventions = [],
+        killSwitch,
+        orderMaintenance = [],
+        modelSource,
+        template,
+        ensemble,
+        adjustments = []
+    } = {}
+) {
+    const decisionLines = decisions.map((decision) => {
+        const pct = (Number(decision.target_portion_of_balance) * 100).toFixed(1);
+        const leverage = decision.leverage ?? TARGET_LEVERAGE;
+        const symbol = decision.symbol || BYBIT_SYMBOLS[0];
+        return `• ${symbol} → ${decision.operation.toUpperCase()} | ${pct}% bal | lev ${leverage}`;
+    });
+
+    const instructionLines = instructions.map((order) => {
+        const slText =
+            Number.isFinite(Number(order.stopLoss)) && Number(order.stopLoss) > 0
+                ? `$${formatUsd(order.stopLoss)}`
                 : "n/a";
         const tpText =
             Number.isFinite(Number(order.takeProfit)) && Number(order.takeProfit) > 0
                 ? `$${formatUsd(order.takeProfit)}`
                 : "n/a";
-        return `• ${order.symbol} ${order.side} ${order.qty} @ ${order.price} (${order.orderType}, lev ${order.leverage} | SL ${slText} | TP ${tpText})`;
+        const riskText = Number(order.stopLoss) > 0 ? ` | risk $${formatUsd(order.qty * Math.abs(order.price - order.stopLoss))}` : "";
+        const capText = order.sizing?.mode === "risk" && order.sizing.cappedBy !== "risk" ? ` (capped by ${order.sizing.cappedBy})` : "";
+        return `• ${order.symbol} ${order.side} ${order.qty} @ ${order.price} (${order.orderType}, lev ${order.leverage} | SL ${slText} | TP ${tpText}${riskText}${capText})`;
     });
 
     const executionLines = executions.map((exec) => {
@@ -1074,17 +903,74 @@ function formatTelegramLog(
             : null;
 
     const segments = [
-        `Bybit ${BYBIT_SYMBOL} decisions @ ${new Date().toUTCString()}`,
+        `${TELEGRAM_TAG}Bybit ${BYBIT_SYMBOLS.join("/")} decisions @ ${new Date().toUTCString()}`,
+        modelSource ? `Model: ${modelSource.model} via ${modelSource.provider}` : null,
+        template ? `Template: ${template.name} v${template.version} (${template.hash})` : null,
         decisionLines.length ? decisionLines.join("\n") : "• HOLD (no actionable trades)",
         ""
     ];
 
+    if (ensemble) {
+        segments.push(
+            `Ensemble votes (${ensemble.policy}):`,
+            ensemble.resolutions.map(formatEnsembleResolution).join("\n"),
+            ""
+        );
+    }
+
+    if (modelSource?.failures?.length) {
+        segments.push(
+            "Provider failover:",
+            modelSource.failures
+                .map((failure) => `• ⚠️ ${failure.provider}/${failure.model}: ${failure.error}`)
+                .join("\n"),
+            ""
+        );
+    }
+
+    if (rejections.length) {
+        segments.push(
+            `Rejected decisions${modelAttempts > 1 ? ` (after ${modelAttempts} model attempts)` : ""}:`,
+            rejections
+                .map(
+                    ({ index, decision, reasons }) =>
+                        `• ⚠️ ${describeRejectedDecision(index, decision)}: ${reasons.join("; ")}`
+                )
+                .join("\n"),
+            ""
+        );
+    }
+
+    if (orderMaintenance.length) {
+        segments.push(
+            "Stale order maintenance:",
+            orderMaintenance.map(formatOrderMaintenance).join("\n"),
+            ""
+        );
+    }
+
+    if (killSwitch?.active) {
+        segments.push(`🛑 Kill switch active since ${killSwitch.since}: ${killSwitch.reason}`, "");
+    }
+
+    if (riskInterventions.length) {
+        segments.push(
+            "Risk interventions:",
+            riskInterventions.map(formatRiskIntervention).join("\n"),
+            ""
+        );
+    }
+
+    if (adjustments.length) {
+        segments.push("Position adjustments:", adjustments.map(formatPositionAdjustment).join("\n"), "");
+    }
+
     if (balanceLine) {
         segments.push(balanceLine, "");
     }
 
     segments.push(
-        "Bybit API instructions:",
+        `Bybit API instructions (sizing: ${describeSizingMode()}):`,
         instructionLines.length
             ? instructionLines.join("\n")
             : "• No orders generated; hold directive received."
@@ -1099,103 +985,555 @@ function formatTelegramLog(
         .join("\n");
 }
 
-async function requestModelDecisions(prompt) {
-    console.log("Prompt sent to model:\n", prompt);
-    const completion = await openai.chat.completions.create({
-        model: "qwen3-max",
-        temperature: 0.2,
-        messages: [
-            {
-                role: "system",
-                content:
-                    "You are a disciplined Bybit trading assistant. Respond with JSON only per the provided schema."
-            },
-            { role: "user", content: prompt }
-        ]
+async function requestModelDecisions(chain, prompt, validationOptions) {
+    const messages = [
+        {
+            role: "system",
+            content:
+                "You are a disciplined Bybit trading assistant. Respond with JSON only per the provided schema."
+        },
+        { role: "user", content: prompt }
+    ];
+
+    let outcome = null;
+    const responses = [];
+    const providerFailures = [];
+    for (let attempt = 1; attempt <= MODEL_REPAIR_ATTEMPTS + 1; attempt++) {
+        const { content, provider, model, failures } = await chain.complete(messages);
+        responses.push(content);
+        providerFailures.push(...failures);
+        let payload = null;
+        let validation;
+        try {
+            payload = parseModelDecisions(content);
+            validation = validateDecisionPayload(payload, validationOptions);
+        } catch (error) {
+            validation = { valid: false, decisions: [], rejections: [], errors: [error.message] };
+        }
+        outcome = {
+            payload,
+            attempts: attempt,
+            responses,
+            provider,
+            model,
+            providerFailures,
+            ...validation,
+            decisions: validation.decisions.map((decision) => ({ ...decision, provider, model }))
+        };
+
+        if (validation.valid) {
+            break;
+        }
+        for (const error of validation.errors) {
+            console.warn(`Model decision rejected (attempt ${attempt}): ${error}`);
+        }
+        if (attempt <= MODEL_REPAIR_ATTEMPTS) {
+            messages.push(
+                { role: "assistant", content },
+                { role: "user", content: buildRepairPrompt(validation.errors) }
+            );
+        }
+    }
+
+    if (!Array.isArray(outcome.payload?.decisions)) {
+        throw new Error(
+            `Model response unusable after ${outcome.attempts} attempt(s): ${outcome.errors.join("; ")}`
+        );
+    }
+
+    return outcome;
+}
+
+async function requestEnsembleDecisions(prompt, validationOptions) {
+    const settled = await Promise.allSettled(
+        ensembleMembers.map((member) => requestModelDecisions(member, prompt, validationOptions))
+    );
+    const members = settled.map((result, index) => {
+        const name = LLM_ENSEMBLE[index];
+        if (result.status === "rejected") {
+            console.error(`Ensemble member ${name} failed:`, result.reason);
+            return { name, error: result.reason?.message ?? String(result.reason), decisions: [] };
+        }
+        return { name, ...result.value };
     });
+    if (members.every((member) => member.error)) {
+        throw new Error(`All ensemble members failed: ${members.map((member) => `${member.name}: ${member.error}`).join("; ")}`);
+    }
+
+    const consensus = resolveConsensus(members, {
+        policy: LLM_ENSEMBLE_POLICY,
+        symbols: validationOptions.symbols,
+        positions: validationOptions.positions
+    });
+    return {
+        payload: { decisions: consensus.decisions },
+        attempts: Math.max(...members.map((member) => member.attempts ?? 1)),
+        responses: members.flatMap((member) => (member.responses ?? []).map((response) => `[${member.name}] ${response}`)),
+        provider: "ensemble",
+        model: `${LLM_ENSEMBLE_POLICY} of ${LLM_ENSEMBLE.join(", ")}`,
+        providerFailures: members.flatMap((member) =>
+            member.error
+                ? [{ provider: member.name, model: "ensemble member", error: member.error }]
+                : member.providerFailures
+        ),
+        decisions: consensus.decisions,
+        rejections: members.flatMap((member) =>
+            (member.rejections ?? []).map((rejection) => ({
+                ...rejection,
+                reasons: rejection.reasons.map((reason) => `${member.name}: ${reason}`)
+            }))
+        ),
+        errors: members.flatMap((member) => member.errors ?? []),
+        ensemble: {
+            policy: LLM_ENSEMBLE_POLICY,
+            resolutions: consensus.resolutions,
+            members: members.map(({ name, provider, model, payload, error }) => ({ name, provider, model, payload, error }))
+        }
+    };
+}
 
-    const content = completion.choices?.[0]?.message?.content?.trim();
+function requestDecisions(prompt, validationOptions) {
+    logger.debug("Prompt sent to model", { prompt });
+    return ensembleMembers.length
+        ? requestEnsembleDecisions(prompt, validationOptions)
+        : requestModelDecisions(llm, prompt, validationOptions);
+}
 
-    if (!content) {
-        throw new Error("Model returned empty response");
+async function syncPaperExchange() {
+    const events = [];
+    for (const symbol of BYBIT_SYMBOLS) {
+        const [ticker, candles] = await Promise.all([
+            fetchTicker(symbol),
+            fetchBybitKlines(symbol, "1", MARKET_DATA.paperKlineLimit)
+        ]);
+        events.push(
+            ...paperExchange.updateMarket(symbol, {
+                price: ticker.price,
+                candles
+            })
+        );
     }
+    await recordPaperEvents(events);
+}
 
-    return parseModelDecisions(content);
+async function fetchOrderBook(symbol) {
+    const result = await bybitRequest({
+        path: "/v5/market/orderbook",
+        query: { category: BYBIT_CATEGORY, symbol, limit: MARKET_DATA.bookDepth }
+    });
+    const levels = (rows) => (Array.isArray(rows) ? rows.map(([price, size]) => [toNumber(price), toNumber(size)]) : []);
+    return { bids: levels(result?.b), asks: levels(result?.a) };
 }
 
-async function executeTradingCycle() {
-    const cycleStartedAt = Date.now();
-    const [
-        accountSnapshot,
-        marketData,
-        instrumentMeta,
-        positionState,
-        news,
-        intradaySeries
-    ] = await Promise.all([
+async function fetchOpenInterest(symbol) {
+    const result = await bybitRequest({
+        path: "/v5/market/open-interest",
+        query: { category: BYBIT_CATEGORY, symbol, intervalTime: "1h", limit: MARKET_DATA.openInterestPoints }
+    });
+    return (result?.list ?? []).map((entry) => ({
+        timestamp: Number(entry.timestamp),
+        openInterest: toNumber(entry.openInterest)
+    }));
+}
+
+async function fetchLongShortRatio(symbol) {
+    const result = await bybitRequest({
+        path: "/v5/market/account-ratio",
+        query: { category: BYBIT_CATEGORY, symbol, period: "1h", limit: MARKET_DATA.longShortPoints }
+    });
+    return (result?.list ?? []).map((entry) => ({
+        timestamp: Number(entry.timestamp),
+        buyRatio: toNumber(entry.buyRatio),
+        sellRatio: toNumber(entry.sellRatio)
+    }));
+}
+
+async function fetchFundingHistory(symbol) {
+    const result = await bybitRequest({
+        path: "/v5/market/funding/history",
+        query: { category: BYBIT_CATEGORY, symbol, limit: MARKET_DATA.fundingHistoryLimit }
+    });
+    return (result?.list ?? []).map((entry) => ({
+        timestamp: Number(entry.fundingRateTimestamp),
+        fundingRate: toNumber(entry.fundingRate)
+    }));
+}
+
+async function fetchMarketStructure(symbol) {
+    const sources = {
+        orderBook: fetchOrderBook,
+        openInterest: fetchOpenInterest,
+        longShortRatio: fetchLongShortRatio,
+        fundingHistory: fetchFundingHistory
+    };
+
+    const results = await Promise.all(
+        Object.entries(sources).map(async ([key, fetcher]) => {
+            try {
+                return [key, await fetcher(symbol)];
+            } catch (error) {
+                console.error(`Failed to load ${symbol} ${key}:`, error);
+                return [key, null];
+            }
+        })
+    );
+
+    return Object.fromEntries(results);
+}
+
+async function fetchSymbolSnapshot(symbol) {
+    const [market, instrumentMeta, positionState, series, openOrders, structure] = await Promise.all([
+        fetchTicker(symbol),
+        fetchInstrumentMeta(symbol),
+        fetchPositionState(symbol),
+        fetchIntradaySeries(symbol),
+        fetchOpenOrders(symbol),
+        fetchMarketStructure(symbol)
+    ]);
+    return { symbol, market, instrumentMeta, ...positionState, series, openOrders, structure };
+}
+
+async function maintainOpenOrders(snapshots) {
+    const openOrders = BYBIT_SYMBOLS.flatMap((symbol) => snapshots[symbol].openOrders);
+    orderTracker.observe(openOrders);
+    const reviews = reviewOpenOrders(openOrders, {
+        markets: Object.fromEntries(BYBIT_SYMBOLS.map((symbol) => [symbol, snapshots[symbol].market])),
+        tickSizes: Object.fromEntries(
+            BYBIT_SYMBOLS.map((symbol) => [symbol, snapshots[symbol].instrumentMeta?.tickSize || DEFAULT_TICK_SIZE])
+        ),
+        cycleAge: orderTracker.cycleAge,
+        maxAgeMs: ORDER_MAX_AGE_MINUTES * 60 * 1000,
+        maxAgeCycles: ORDER_MAX_AGE_CYCLES,
+        maxDistancePct: ORDER_MAX_DISTANCE_PCT,
+        staleAction: ORDER_STALE_ACTION
+    });
+
+    const results = [];
+    for (const review of reviews) {
+        const { order } = review;
+        try {
+            if (review.action === "amend") {
+                await amendOrderPrice(order, review.targetPrice);
+                results.push({ ...review, newPrice: review.targetPrice });
+            } else {
+                await cancelOrder(order);
+                results.push(review);
+            }
+            console.log(`Stale order ${order.orderLinkId} ${review.action}: ${review.reason}`);
+        } catch (error) {
+            console.error(`Failed to ${review.action} stale order ${order.orderLinkId}:`, error);
+            results.push({ ...review, error: error.message });
+        }
+    }
+
+    // Refresh the book so the prompt only lists orders that are still resting.
+    if (results.length) {
+        const refreshed = await Promise.all(BYBIT_SYMBOLS.map(fetchOpenOrders));
+        BYBIT_SYMBOLS.forEach((symbol, index) => {
+            snapshots[symbol].openOrders = refreshed[index];
+        });
+    }
+    return results;
+}
+
+async function runArenaMember(name, chain, context, snapshots, promptTemplate) {
+    const exchange = arena.getExchange(name);
+    const events = [];
+    for (const symbol of BYBIT_SYMBOLS) {
+        events.push(
+            ...exchange.updateMarket(symbol, {
+                price: snapshots[symbol].market.price,
+                candles: snapshots[symbol].series["1m"] ?? []
+            })
+        );
+    }
+
+    const states = Object.fromEntries(BYBIT_SYMBOLS.map((symbol) => [symbol, exchange.getPositionState(symbol)]));
+    const positions = Object.fromEntries(BYBIT_SYMBOLS.map((symbol) => [symbol, states[symbol].position]));
+    // Market data is shared; only the account side of the context belongs to the model.
+    const memberContext = {
+        ...context,
+        environment: { label: `ARENA (${name} virtual account)`, realCapital: false },
+        account: exchange.getAccountSnapshot(),
+        positions,
+        positionModes: Object.fromEntries(BYBIT_SYMBOLS.map((symbol) => [symbol, states[symbol].positionMode])),
+        positionDetail: BYBIT_SYMBOLS.map((symbol) => describePosition(positions[symbol], symbol)).join("\n"),
+        openOrdersDetail: describeOpenOrders(exchange.getOpenOrders()),
+        samplingData: formatSymbolSections(BYBIT_SYMBOLS, (symbol) =>
+            buildSamplingData(snapshots[symbol].series, snapshots[symbol].market, positions[symbol])
+        )
+    };
+    const prompt = fillTemplate(promptTemplate.template, buildTemplateData(memberContext));
+    const result = await requestModelDecisions(chain, prompt, {
+        symbols: BYBIT_SYMBOLS,
+        maxLeverage: memberContext.maxLeverage,
+        positions
+    });
+    const orders = mapDecisionsToBybitOrders(result.decisions, memberContext);
+    const executions = exchange.placeOrders(orders);
+    events.push(...executions.flatMap((execution) => execution.result?.events ?? []));
+    arena.recordEvents(name, events);
+
+    return {
+        name,
+        provider: result.provider,
+        model: result.model,
+        decisions: result.decisions,
+        orders,
+        executions,
+        events,
+        equity: arena.markEquity(name)
+    };
+}
+
+async function runArenaRound(context, snapshots, promptTemplate) {
+    const settled = await Promise.allSettled(
+        LLM_ARENA.map((name, index) => runArenaMember(name, arenaMembers[index], context, snapshots, promptTemplate))
+    );
+    const members = settled.map((result, index) => {
+        if (result.status === "fulfilled") {
+            return result.value;
+        }
+        console.error(`Arena model ${LLM_ARENA[index]} failed:`, result.reason);
+        return { name: LLM_ARENA[index], error: result.reason?.message ?? String(result.reason), equity: arena.markEquity(LLM_ARENA[index]) };
+    });
+    const dailySummaryDue = arena.takeDailySummary();
+    arena.save();
+
+    if (dailySummaryDue) {
+        await sendTelegramNotification(`🏟️ Model arena leaderboard @ ${new Date().toUTCString()}\n${formatLeaderboard(arena.leaderboard())}`);
+    }
+    return { members };
+}
+
+async function performTradingCycle(cycle) {
+    cycle.stage = "fetch";
+    if (paperExchange) {
+        await syncPaperExchange();
+    }
+    const [accountSnapshot, news, symbolSnapshots] = await Promise.all([
         fetchUnifiedAccountSnapshot(),
-        fetchBtcusdtTicker(),
-        fetchBtcusdtInstrumentMeta(),
-        fetchBtcusdtPositionState(),
         fetchLatestNewsSummary(),
-        fetchIntradaySeries()
+        Promise.all(BYBIT_SYMBOLS.map(fetchSymbolSnapshot))
     ]);
-    const { position, positionMode } = positionState;
+    const snapshots = Object.fromEntries(
+        symbolSnapshots.map((snapshot) => [snapshot.symbol, snapshot])
+    );
+    const pick = (key) =>
+        Object.fromEntries(symbolSnapshots.map((snapshot) => [snapshot.symbol, snapshot[key]]));
+    recordAccountGauges(accountSnapshot, symbolSnapshots);
+    cycle.stage = "maintenance";
+    const orderMaintenance = await maintainOpenOrders(snapshots);
+    cycle.orderMaintenance = orderMaintenance;
+    cycle.protection = await runProtection(snapshots);
 
     const context = {
+        cycleId: cycle.cycleId,
+        category: BYBIT_CATEGORY,
+        targetLeverage: TARGET_LEVERAGE,
+        sessionStart: SESSION_START,
+        environment: ENVIRONMENT,
+        symbols: BYBIT_SYMBOLS,
+        maxLeverage: currentMaxLeverage(),
         account: accountSnapshot,
-        market: { [BYBIT_SYMBOL]: marketData },
-        position,
-        positionMode,
-        instrumentMeta,
-        positionDetail: describePosition(position),
-        samplingData: buildSamplingData(intradaySeries, marketData, position),
-        indicatorSummary: buildIndicatorSummary(intradaySeries),
-        newsHeadline: news.summary
+        market: pick("market"),
+        positions: pick("position"),
+        positionModes: pick("positionMode"),
+        instrumentMeta: pick("instrumentMeta"),
+        positionDetail: BYBIT_SYMBOLS.map((symbol) =>
+            describePosition(snapshots[symbol].position, symbol)
+        ).join("\n"),
+        openOrders: pick("openOrders"),
+        openOrdersDetail: describeOpenOrders(
+            BYBIT_SYMBOLS.flatMap((symbol) => snapshots[symbol].openOrders)
+        ),
+        samplingData: formatSymbolSections(BYBIT_SYMBOLS, (symbol) =>
+            buildSamplingData(
+                snapshots[symbol].series,
+                snapshots[symbol].market,
+                snapshots[symbol].position
+            )
+        ),
+        indicatorSummary: formatSymbolSections(BYBIT_SYMBOLS, (symbol) =>
+            buildIndicatorSummary(snapshots[symbol].series, INDICATOR_CONFIG, INDICATOR_PERIODS)
+        ),
+        marketStructureSummary: formatSymbolSections(BYBIT_SYMBOLS, (symbol) =>
+            buildMarketStructureSummary(snapshots[symbol].structure, snapshots[symbol].market)
+        ),
+        newsHeadline: news.summary,
+        sizing: {
+            mode: SIZING_MODE,
+            riskPerTrade: SIZING_RISK_PER_TRADE,
+            minStopAtrMultiple: SIZING_MIN_STOP_ATR,
+            atr: Object.fromEntries(
+                BYBIT_SYMBOLS.map((symbol) => [symbol, calculateATR(snapshots[symbol].series[SIZING_ATR_INTERVAL] ?? [])])
+            )
+        }
     };
+    cycle.account = accountSnapshot;
+    cycle.market = context.market;
+    cycle.positions = context.positions;
+    cycle.instrumentMeta = context.instrumentMeta;
+    cycle.openOrders = context.openOrders;
+    cycle.news = news.summary;
+    // The arena runs alongside the live decision so slow arena models never delay real orders.
+    cycle.stage = "prompt";
+    const promptTemplate = templateSelector.next();
+    cycle.template = describeTemplate(promptTemplate);
+    const arenaRound = arena
+        ? runArenaRound(context, snapshots, promptTemplate).catch((error) => {
+            console.error("Arena round failed:", error);
+            return { error: error.message };
+        })
+        : null;
 
-    const hasProtectedPosition =
-        position &&
-        Number(position.size) > 0 &&
-        Number(position.takeProfit) > 0 &&
-        Number(position.stopLoss) > 0;
-
-    if (hasProtectedPosition) {
-        console.log(
-            "Existing BTCUSDT position already has TP/SL set; skipping new instructions this cycle."
-        );
-        return;
+    const templateParams = buildTemplateData(context);
+    const prompt = fillTemplate(promptTemplate.template, templateParams);
+    cycle.prompt = prompt;
+
+    cycle.stage = "model";
+    const modelResult = await requestDecisions(prompt, {
+        symbols: BYBIT_SYMBOLS,
+        positions: context.positions,
+        maxLeverage: currentMaxLeverage()
+    });
+    const decisions = modelResult.decisions.map((decision) => ({ ...decision, template: cycle.template }));
+    cycle.modelResponses = modelResult.responses;
+    cycle.model = {
+        provider: modelResult.provider,
+        model: modelResult.model,
+        failures: modelResult.providerFailures
+    };
+    cycle.payload = modelResult.payload;
+    cycle.ensemble = modelResult.ensemble;
+    cycle.decisions = decisions;
+    cycle.rejections = modelResult.rejections;
+    for (const decision of decisions) {
+        telemetry.decisions.inc({ operation: (decision.operation ?? "unknown").toLowerCase() });
+    }
+    telemetry.decisionsRejected.inc({}, modelResult.rejections.length);
+
+    cycle.stage = "mapping";
+    const skippedDecisions = [];
+    const adjustments = [];
+    const mappedOrders = mapDecisionsToBybitOrders(decisions, context, skippedDecisions, adjustments);
+    cycle.orders = mappedOrders;
+    cycle.skippedDecisions = skippedDecisions;
+    cycle.adjustments = adjustments;
+    telemetry.decisionsSkipped.inc({}, skippedDecisions.length);
+
+    cycle.stage = "risk";
+    const riskReview = riskEngine.evaluate(mappedOrders, context);
+    cycle.riskInterventions = riskReview.interventions;
+    cycle.killSwitch = riskReview.killSwitch;
+    const orderInstructions = riskReview.approved;
+    for (const intervention of riskReview.interventions) {
+        console.warn(`Risk ${intervention.action}: ${intervention.message}`, intervention.order);
+    }
+    if (riskReview.killSwitchTriggered) {
+        console.error(`Kill switch latched: ${riskReview.killSwitch.reason}`);
     }
 
-    const templateParams = buildTemplateData(context);
-    const prompt = fillTemplate(bybit_template, templateParams);
+    telemetry.orders.inc(
+        { outcome: "risk_rejected" },
+        riskReview.interventions.filter((intervention) => intervention.action === "rejected").length
+    );
 
-    const decisionPayload = await requestModelDecisions(prompt);
-    const decisions = decisionPayload.decisions ?? [];
-    const orderInstructions = mapDecisionsToBybitOrders(decisions, context);
+    cycle.stage = "execution";
+    // Protective changes go out first; they are not entries, so the kill switch does not block them.
+    const adjustmentResults = await applyPositionAdjustments(adjustments);
+    cycle.adjustmentResults = adjustmentResults;
 
     let executionResults = [];
     if (orderInstructions.length) {
         executionResults = await placeOrdersOnBybit(orderInstructions);
     }
+    cycle.submittedOrders = orderInstructions;
+    cycle.executions = executionResults;
+    for (const execution of executionResults) {
+        telemetry.orders.inc({ outcome: execution.status === "success" ? "placed" : "failed" });
+    }
+
+    cycle.stage = "notify";
 
     const telegramMessage = formatTelegramLog(
         decisions,
         orderInstructions,
         executionResults,
-        context.account?.availableBalance
+        context.account?.availableBalance,
+        {
+            rejections: modelResult.rejections,
+            modelAttempts: modelResult.attempts,
+            riskInterventions: riskReview.interventions,
+            killSwitch: riskReview.killSwitch,
+            orderMaintenance,
+            modelSource: cycle.model,
+            template: cycle.template,
+            ensemble: modelResult.ensemble,
+            adjustments: adjustmentResults
+        }
     );
 
-    console.log("Model decisions:", JSON.stringify(decisionPayload, null, 2));
-    console.log("Bybit order instructions:", orderInstructions);
-    console.log("Execution results:", executionResults);
-    if (shouldSkipTelegramNotification(decisions)) {
+    logger.debug("Model decisions", { payload: modelResult.payload });
+    logger.info("Bybit order instructions", { orders: orderInstructions });
+    logger.info("Execution results", { executions: executionResults });
+    const hasWarnings =
+        modelResult.rejections.length > 0 ||
+        riskReview.interventions.length > 0 ||
+        riskReview.killSwitchTriggered ||
+        orderMaintenance.length > 0 ||
+        modelResult.providerFailures.length > 0 ||
+        Boolean(modelResult.ensemble?.resolutions.some((resolution) => !resolution.agreed));
+    if (!hasWarnings && shouldSkipTelegramNotification(decisions)) {
         console.log("All decisions are HOLD; skipping Telegram notification.");
     } else {
         await sendTelegramNotification(telegramMessage);
     }
-    const durationMs = Date.now() - cycleStartedAt;
-    console.log(`Cycle completed in ${durationMs}ms`);
+    if (arenaRound) {
+        cycle.stage = "arena";
+        cycle.arena = await arenaRound;
+    }
+}
+
+function recordAccountGauges(account, symbolSnapshots) {
+    telemetry.equity.set({}, account.totalEquity);
+    telemetry.marginUsage.set({}, calculateMarginUsage(account));
+    for (const snapshot of symbolSnapshots) {
+        telemetry.unrealisedPnl.set({ symbol: snapshot.symbol }, snapshot.position?.unrealisedPnl ?? 0);
+    }
+}
+
+async function executeTradingCycle() {
+    const cycleStartedAt = Date.now();
+    const cycle = {
+        cycleId: createCycleId(cycleStartedAt),
+        startedAt: new Date(cycleStartedAt).toISOString(),
+        mode: TRADING_MODE,
+        status: "running"
+    };
+
+    try {
+        await logger.runWithContext({ cycleId: cycle.cycleId }, () => performTradingCycle(cycle));
+        if (cycle.status === "running") {
+            cycle.status = "completed";
+        }
+    } catch (error) {
+        cycle.status = "failed";
+        cycle.error = error.message;
+        telemetry.cycleFailures.inc({ stage: cycle.stage ?? "setup" });
+        throw error;
+    } finally {
+        cycle.finishedAt = new Date().toISOString();
+        cycle.durationMs = Date.now() - cycleStartedAt;
+        telemetry.cycles.inc({ status: cycle.status });
+        telemetry.cycleDuration.observe({}, cycle.durationMs / 1000);
+        telemetry.lastCycle.set({}, Date.now() / 1000);
+        journal.record(cycle);
+        recentCycles.push(cycle);
+        equityHistory.push(cycle);
+        lastCycle = cycle;
+        logger.info(`Cycle ${cycle.status}`, { cycleId: cycle.cycleId, status: cycle.status, durationMs: cycle.durationMs });
+    }
 }
 
 async function sendTelegramNotification(message) {
@@ -1207,7 +1545,7 @@ async function sendTelegramNotification(message) {
 }
 
 async function reportCycleError(error) {
-    console.error("Trading cycle failed:", error);
+    logger.error("Trading cycle failed", { cycleId: lastCycle?.cycleId, error });
     try {
         await bot.sendMessage(
             TELEGRAM_CHAT_ID,
@@ -1219,7 +1557,9 @@ async function reportCycleError(error) {
 }
 
 let cycleTimer = null;
+let nextCycleAt = null;
 let isCycleRunning = false;
+let isPaused = false;
 let shuttingDown = false;
 
 async function runScheduledCycle() {
@@ -1244,19 +1584,33 @@ async function runScheduledCycle() {
 }
 
 function scheduleNextCycle() {
-    if (shuttingDown) {
+    if (shuttingDown || isPaused) {
         return;
     }
     clearTimeout(cycleTimer);
+    nextCycleAt = Date.now() + EXECUTION_INTERVAL_MS;
     cycleTimer = setTimeout(runScheduledCycle, EXECUTION_INTERVAL_MS);
 }
 
 function startScheduler() {
     console.log(
-        `Starting trading loop; interval set to ${Math.round(
+        `Starting ${TRADING_MODE} trading loop on ${ENVIRONMENT.label}; interval set to ${Math.round(
             EXECUTION_INTERVAL_MS / 1000
         )} seconds`
     );
+    if (llm) {
+        console.log(`LLM provider chain: ${llm.describe()}`);
+    } else {
+        console.log(
+            `LLM ensemble (${LLM_ENSEMBLE_POLICY}): ${ensembleMembers.map((member) => member.describe()).join(", ")}`
+        );
+    }
+    if (privateStream) {
+        console.log(`Connecting to Bybit private stream at ${BYBIT_WS_PRIVATE_URL}`);
+        privateStream.start();
+    } else if (BYBIT_PRIVATE_STREAM_ENABLED) {
+        console.warn("BYBIT_PRIVATE_STREAM ignored in paper mode; simulated fills are reported each cycle.");
+    }
     runScheduledCycle();
 }
 
@@ -1267,6 +1621,11 @@ async function shutdown(signal) {
     shuttingDown = true;
     console.log(`Received ${signal}; stopping scheduler...`);
     clearTimeout(cycleTimer);
+    privateStream?.stop();
+    apiServer?.stop();
+    if (bot.isPolling()) {
+        bot.stopPolling().catch(() => {});
+    }
 
     if (!isCycleRunning) {
         process.exit(0);
@@ -1281,6 +1640,302 @@ async function shutdown(signal) {
     }, 500);
 }
 
+function currentMaxLeverage() {
+    return Math.min(RISK_MAX_LEVERAGE, runtimeLeverageCap ?? Infinity);
+}
+
+async function flattenPosition(symbol) {
+    const { position, positionMode } = await fetchPositionState(symbol);
+    if (!position || !Number(position.size)) {
+        return null;
+    }
+    const side = resolveCloseSide(position);
+    const [execution] = await placeOrdersOnBybit([
+        {
+            category: BYBIT_CATEGORY,
+            symbol,
+            side,
+            orderType: "Market",
+            qty: position.size,
+            timeInForce: "IOC",
+            reduceOnly: true,
+            positionIdx: resolvePositionIdx("close", side, position, positionMode),
+            orderLinkId: `codex-${symbol.toLowerCase()}-${Date.now()}-close`
+        }
+    ]);
+    return execution;
+}
+
+function resolveCommandSymbols(args) {
+    if (!args.length) {
+        return BYBIT_SYMBOLS;
+    }
+    const symbol = resolveDecisionSymbol(args[0], BYBIT_SYMBOLS);
+    if (!symbol) {
+        throw new Error(`Unknown symbol ${args[0]}; trading ${BYBIT_SYMBOLS.join(", ")}`);
+    }
+    return [symbol];
+}
+
+function formatSchedulerState() {
+    if (isPaused) {
+        return "Scheduler: PAUSED";
+    }
+    if (isCycleRunning) {
+        return "Scheduler: cycle running now";
+    }
+    return `Next cycle: ${nextCycleAt ? new Date(nextCycleAt).toUTCString() : "pending"}`;
+}
+
+// Shared by Telegram commands and the HTTP control endpoints.
+function pauseScheduler() {
+    isPaused = true;
+    nextCycleAt = null;
+    clearTimeout(cycleTimer);
+    return isCycleRunning
+        ? "Scheduler paused; the running cycle will finish first."
+        : "Scheduler paused.";
+}
+
+function resumeScheduler() {
+    if (!isPaused) {
+        return `Scheduler already running. ${formatSchedulerState()}`;
+    }
+    isPaused = false;
+    if (!isCycleRunning) {
+        scheduleNextCycle();
+    }
+    return `Scheduler resumed. ${formatSchedulerState()}`;
+}
+
+function resetKillSwitch() {
+    const wasActive = riskEngine.resetKillSwitch();
+    console.log(wasActive ? "Kill switch reset by operator" : "Kill switch reset requested while inactive");
+    return wasActive
+        ? "Kill switch reset; new entries allowed. The daily loss is counted again from the next cycle's equity."
+        : "Kill switch was not active.";
+}
+
+function runCycleNow() {
+    if (isCycleRunning) {
+        return "A trading cycle is already running.";
+    }
+    clearTimeout(cycleTimer);
+    runScheduledCycle();
+    return "Trading cycle started.";
+}
+
+function formatLastCycle(cycle) {
+    if (!cycle) {
+        return "No trading cycle has completed yet.";
+    }
+    const header = `Cycle ${cycle.cycleId} (${cycle.status}) @ ${cycle.startedAt}${
+        cycle.model ? ` | ${cycle.model.model} via ${cycle.model.provider}` : ""
+    }${cycle.template ? ` | template ${cycle.template.name} v${cycle.template.version}` : ""}`;
+    const decisions = cycle.decisions ?? [];
+    if (!decisions.length) {
+        return [header, cycle.skipReason || cycle.error || "No decisions returned."].join("\n");
+    }
+    const lines = decisions.map((decision) => {
+        const pct = (Number(decision.target_portion_of_balance) * 100).toFixed(1);
+        return [
+            `• ${decision.symbol} → ${(decision.operation ?? "?").toUpperCase()} | ${pct}% bal | lev ${decision.leverage}`,
+            decision.reason ? `  Reason: ${decision.reason}` : null,
+            decision.trading_strategy ? `  Strategy: ${decision.trading_strategy}` : null
+        ]
+            .filter(Boolean)
+            .join("\n");
+    });
+    return [header, ...lines].join("\n");
+}
+
+const telegramCommands = {
+    status: {
+        description: "equity, margin usage, positions, open orders and next cycle time",
+        handler: async () => {
+            const [account, positionStates, openOrders] = await Promise.all([
+                fetchUnifiedAccountSnapshot(),
+                Promise.all(BYBIT_SYMBOLS.map(fetchPositionState)),
+                Promise.all(BYBIT_SYMBOLS.map(fetchOpenOrders))
+            ]);
+            const orders = openOrders.flat();
+            const killSwitch = riskEngine.getState().killSwitch;
+            return [
+                `${TELEGRAM_TAG}Bot status @ ${new Date().toUTCString()}`,
+                `Equity $${formatUsd(account.totalEquity)} | available $${formatUsd(account.availableBalance)} | margin usage ${formatPercent(calculateMarginUsage(account))}`,
+                "Positions:",
+                ...BYBIT_SYMBOLS.map((symbol, index) =>
+                    describePosition(positionStates[index].position, symbol)
+                ),
+                "Open orders:",
+                orders.length
+                    ? orders
+                        .map((order) => `• ${order.symbol} ${order.side} ${order.qty} @ ${order.price}${order.reduceOnly ? " (reduce-only)" : ""}`)
+                        .join("\n")
+                    : "• none",
+                `Leverage cap: ${currentMaxLeverage()}x`,
+                killSwitch.active ? `🛑 Kill switch active: ${killSwitch.reason}` : null,
+                formatSchedulerState()
+            ]
+                .filter(Boolean)
+                .join("\n");
+        }
+    },
+    pause: {
+        description: "stop scheduling new cycles",
+        handler: async () => pauseScheduler()
+    },
+    resume: {
+        description: "resume the scheduler",
+        handler: async () => resumeScheduler()
+    },
+    resetkill: {
+        description: "clear the daily loss kill switch",
+        handler: async () => resetKillSwitch()
+    },
+    runnow: {
+        description: "run a trading cycle immediately",
+        handler: async () => runCycleNow()
+    },
+    close: {
+        usage: "[symbol]",
+        description: "flatten open positions with a reduce-only market order",
+        handler: async (args) => {
+            const lines = [];
+            for (const symbol of resolveCommandSymbols(args)) {
+                const execution = await flattenPosition(symbol);
+                if (!execution) {
+                    lines.push(`• ${symbol}: no open position`);
+                } else if (execution.status === "success") {
+                    lines.push(`• ✅ ${symbol} ${execution.order.side} ${execution.order.qty} reduce-only (orderId ${execution.orderId})`);
+                } else {
+                    lines.push(`• ❌ ${symbol} close failed — ${execution.error}`);
+                }
+            }
+            return ["Close requested:", ...lines].join("\n");
+        }
+    },
+    cancelall: {
+        usage: "[symbol]",
+        description: "cancel all open orders",
+        handler: async (args) => {
+            const lines = [];
+            for (const symbol of resolveCommandSymbols(args)) {
+                const cancelled = await cancelAllOrders(symbol);
+                lines.push(`• ${symbol}: ${cancelled} order(s) cancelled`);
+            }
+            return ["Cancel all:", ...lines].join("\n");
+        }
+    },
+    leverage: {
+        usage: "<n|off>",
+        description: `set a runtime leverage cap (max ${RISK_MAX_LEVERAGE}x)`,
+        handler: async (args) => {
+            const [value] = args;
+            if (!value) {
+                return `Leverage cap: ${currentMaxLeverage()}x (configured max ${RISK_MAX_LEVERAGE}x).`;
+            }
+            if (value.toLowerCase() === "off") {
+                runtimeLeverageCap = null;
+                return `Runtime leverage cap cleared; using ${currentMaxLeverage()}x.`;
+            }
+            const leverage = Number(value);
+            if (!Number.isInteger(leverage) || leverage < 1 || leverage > RISK_MAX_LEVERAGE) {
+                throw new Error(`leverage must be an integer between 1 and ${RISK_MAX_LEVERAGE}`);
+            }
+            runtimeLeverageCap = leverage;
+            return `Runtime leverage cap set to ${leverage}x.`;
+        }
+    },
+    arena: {
+        description: "model arena leaderboard",
+        handler: async () => (arena ? formatLeaderboard(arena.leaderboard()) : "Arena is disabled; set LLM_ARENA to enable it.")
+    },
+    template: {
+        usage: "[name[,name...]]",
+        description: "show or switch the prompt template; several names alternate per cycle",
+        handler: async (args) => {
+            const names = parseTemplateNames(args.join(","));
+            if (names.length) {
+                templateSelector.select(names);
+            }
+            return [
+                `${names.length ? "Prompt template set to" : "Prompt template:"} ${templateSelector.describe()}`,
+                ...templateRegistry
+                    .list()
+                    .map((entry) => `• ${entry.name} v${entry.version} (${entry.hash}) - ${entry.description}`)
+            ].join("\n");
+        }
+    },
+    last: {
+        description: "most recent decisions with reasoning",
+        handler: async () => {
+            const cycle = lastCycle ?? (await listRecentCycles(1, journal.file))[0];
+            return formatLastCycle(cycle);
+        }
+    }
+};
+
+if (TELEGRAM_ALLOWED_USER_IDS.size > 0) {
+    registerTelegramCommands(bot, {
+        allowedUserIds: TELEGRAM_ALLOWED_USER_IDS,
+        commands: telegramCommands
+    });
+}
+
+const apiServer = HTTP_PORT
+    ? createApiServer({
+        port: HTTP_PORT,
+        host: HTTP_HOST,
+        controlToken: HTTP_CONTROL_TOKEN,
+        metrics,
+        routes: {
+            "/api/status": async () => ({
+                environment: ENVIRONMENT.label,
+                tradingMode: TRADING_MODE,
+                symbols: BYBIT_SYMBOLS,
+                scheduler: {
+                    paused: isPaused,
+                    running: isCycleRunning,
+                    nextCycleAt: nextCycleAt ? new Date(nextCycleAt).toISOString() : null,
+                    intervalMs: EXECUTION_INTERVAL_MS
+                },
+                leverageCap: currentMaxLeverage(),
+                killSwitch: riskEngine.getState().killSwitch,
+                template: templateSelector.describe(),
+                lastCycle: lastCycle ? summarizeCycleForApi(lastCycle) : null
+            }),
+            "/api/account": async () => fetchUnifiedAccountSnapshot(),
+            "/api/positions": async () => {
+                const states = await Promise.all(BYBIT_SYMBOLS.map(fetchPositionState));
+                return Object.fromEntries(
+                    BYBIT_SYMBOLS.map((symbol, index) => [
+                        symbol,
+                        { ...states[index], detail: describePosition(states[index].position, symbol) }
+                    ])
+                );
+            },
+            "/api/orders": async () => (await Promise.all(BYBIT_SYMBOLS.map(fetchOpenOrders))).flat(),
+            "/api/cycles": async (query) => recentCycles.list(Math.max(1, Number(query.get("limit")) || 20)),
+            "/api/equity": async (query) => equityHistory.list(Math.max(1, Number(query.get("limit")) || 500))
+        },
+        controls: {
+            pause: async () => pauseScheduler(),
+            resume: async () => resumeScheduler(),
+            "reset-kill-switch": async () => resetKillSwitch(),
+            "run-now": async () => runCycleNow()
+        }
+    })
+    : null;
+if (apiServer) {
+    // One pass over the journal at startup; afterwards each finished cycle is appended in memory.
+    for await (const entry of readJournal(journal.file)) {
+        recentCycles.push(entry);
+        equityHistory.push(entry);
+    }
+    apiServer.start();
+}
+
 process.on("SIGINT", () => {
     shutdown("SIGINT");
 });
@@ -0,0 +1,339 @@
+// # Technical indicator calculations and per-timeframe indicator selection
+
+export const INDICATOR_TIMEFRAMES = ["1m", "5m", "1h"];
+
+// Minimum candles each indicator needs, including warm-up for Wilder/EMA smoothing to settle.
+export const INDICATOR_LOOKBACKS = {
+    vwma: 20,
+    rsi: 100,
+    macd: 100,
+    atr: 100,
+    bollinger: 20,
+    ema: 250,
+    stochrsi: 120,
+    obv: 21,
+    adx: 120
+};
+
+// Periods used when rendering the prompt's indicator lines; INDICATOR_LOOKBACKS assume these values.
+export const INDICATOR_PERIODS = {
+    vwma: 20,
+    rsi: 14,
+    stochRsi: 14,
+    macdFast: 12,
+    macdSlow: 26,
+    macdSignal: 9,
+    atr: 14,
+    bollinger: 20,
+    bollingerStdDev: 2,
+    obv: 20,
+    adx: 14,
+    emaFast: 9,
+    emaSlow: 21,
+    emaTrendFast: 50,
+    emaTrendSlow: 200
+};
+
+// The period that drives each indicator's warm-up.
+const LOOKBACK_PERIOD_KEYS = {
+    vwma: "vwma",
+    rsi: "rsi",
+    macd: "macdSlow",
+    atr: "atr",
+    ema: "emaTrendSlow",
+    bollinger: "bollinger",
+    stochrsi: "stochRsi",
+    obv: "obv",
+    adx: "adx"
+};
+
+export const DEFAULT_INDICATOR_CONFIG = {
+    "1m": ["vwma", "rsi", "macd", "atr", "bollinger", "stochrsi"],
+    "5m": ["vwma", "rsi", "macd", "atr", "bollinger", "ema", "stochrsi", "obv", "adx"],
+    "1h": ["vwma", "rsi", "macd", "atr", "bollinger", "ema", "obv", "adx"]
+};
+
+const MIN_CANDLES = 60;
+const MAX_KLINE_LIMIT = 1000;
+
+export function requiredCandles(names = [], periods = INDICATOR_PERIODS) {
+    // Longer periods than the defaults stretch the warm-up proportionally.
+    const scaled = (name) => {
+        const key = LOOKBACK_PERIOD_KEYS[name];
+        const ratio = key ? Math.max(1, periods[key] / INDICATOR_PERIODS[key]) : 1;
+        return Math.ceil((INDICATOR_LOOKBACKS[name] ?? 0) * ratio);
+    };
+    const lookback = Math.max(MIN_CANDLES, ...names.map(scaled));
+    return Math.min(MAX_KLINE_LIMIT, lookback);
+}
+
+export function sortCandlesChronologically(candles = []) {
+    return candles
+        .slice()
+        .filter((candle) => Number.isFinite(candle.startTime))
+        .sort((a, b) => a.startTime - b.startTime);
+}
+
+function closesOf(candles) {
+    return sortCandlesChronologically(candles).map((candle) => Number(candle.close) || 0);
+}
+
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+export function calculateVWMA(candles = [], length = 20) {
+    const sorted = sortCandlesChronologically(candles);
+    if (sorted.length < length) {
+        return null;
+    }
+    const recent = sorted.slice(-length);
+    let volumeSum = 0;
+    let weightedSum = 0;
+    for (const candle of recent) {
+        const vol = Number(candle.volume) || 0;
+        const close = Number(candle.close) || 0;
+        volumeSum += vol;
+        weightedSum += close * vol;
+    }
+    if (volumeSum <= 0) {
+        return null;
+    }
+    return weightedSum / volumeSum;
+}
+
+export function buildEmaSeries(values = [], period) {
+    if (!Array.isArray(values) || values.length < period) {
+        return [];
+    }
+    const result = new Array(values.length).fill(null);
+    const initialSlice = values.slice(0, period);
+    if (initialSlice.some((value) => !Number.isFinite(value))) {
+        return [];
+    }
+    let ema =
+        initialSlice.reduce((sum, value) => sum + value, 0) / period;
+    result[period - 1] = ema;
+    const multiplier = 2 / (period + 1);
+    for (let i = period; i < values.length; i++) {
+        const value = values[i];
+        if (!Number.isFinite(value)) {
+            result[i] = result[i - 1];
+            continue;
+        }
+        ema = (value - ema) * multiplier + ema;
+        result[i] = ema;
+    }
+    return result;
+}
+
+// Wilder's RSI: simple average seed over the first period, then (prev * (n - 1) + current) / n.
+export function buildRsiSeries(closes = [], period = 14) {
+    if (closes.length < period + 1) {
+        return [];
+    }
+    let avgGain = 0;
+    let avgLoss = 0;
+    for (let i = 1; i <= period; i++) {
+        const delta = closes[i] - closes[i - 1];
+        avgGain += Math.max(delta, 0) / period;
+        avgLoss += Math.max(-delta, 0) / period;
+    }
+    const toRsi = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+    const series = [toRsi()];
+    for (let i = period + 1; i < closes.length; i++) {
+        const delta = closes[i] - closes[i - 1];
+        avgGain = (avgGain * (period - 1) + Math.max(delta, 0)) / period;
+        avgLoss = (avgLoss * (period - 1) + Math.max(-delta, 0)) / period;
+        series.push(toRsi());
+    }
+    return series;
+}
+
+export function calculateRSI(candles = [], period = 14) {
+    const series = buildRsiSeries(closesOf(candles), period);
+    return series.length ? series[series.length - 1] : null;
+}
+
+export function calculateStochRSI(candles = [], rsiPeriod = 14, stochPeriod = 14, kPeriod = 3, dPeriod = 3) {
+    const rsi = buildRsiSeries(closesOf(candles), rsiPeriod);
+    if (rsi.length < stochPeriod + kPeriod + dPeriod - 2) {
+        return null;
+    }
+    const stoch = [];
+    for (let i = stochPeriod - 1; i < rsi.length; i++) {
+        const window = rsi.slice(i - stochPeriod + 1, i + 1);
+        const low = Math.min(...window);
+        const high = Math.max(...window);
+        stoch.push(high === low ? 0 : ((rsi[i] - low) / (high - low)) * 100);
+    }
+    const k = [];
+    for (let i = kPeriod - 1; i < stoch.length; i++) {
+        k.push(average(stoch.slice(i - kPeriod + 1, i + 1)));
+    }
+    const d = average(k.slice(-dPeriod));
+    return { k: k[k.length - 1], d };
+}
+
+export function calculateMACD(candles = [], fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    const closes = closesOf(candles);
+    if (closes.length < slowPeriod + signalPeriod) {
+        return null;
+    }
+    const emaFastSeries = buildEmaSeries(closes, fastPeriod);
+    const emaSlowSeries = buildEmaSeries(closes, slowPeriod);
+    if (!emaFastSeries.length || !emaSlowSeries.length) {
+        return null;
+    }
+    const macdSeries = closes
+        .map((_, index) => {
+            const fast = emaFastSeries[index];
+            const slow = emaSlowSeries[index];
+            return Number.isFinite(fast) && Number.isFinite(slow)
+                ? fast - slow
+                : null;
+        })
+        .filter((value) => Number.isFinite(value));
+    if (macdSeries.length < signalPeriod) {
+        return null;
+    }
+    const macdLine = macdSeries[macdSeries.length - 1];
+    const signalSeries = buildEmaSeries(macdSeries, signalPeriod);
+    if (!signalSeries.length) {
+        return null;
+    }
+    const signalLine = signalSeries[signalSeries.length - 1];
+    if (!Number.isFinite(macdLine) || !Number.isFinite(signalLine)) {
+        return null;
+    }
+    return {
+        line: macdLine,
+        signal: signalLine,
+        histogram: macdLine - signalLine
+    };
+}
+
+function trueRanges(sorted) {
+    const ranges = [];
+    for (let i = 1; i < sorted.length; i++) {
+        const high = Number(sorted[i].high);
+        const low = Number(sorted[i].low);
+        const previousClose = Number(sorted[i - 1].close);
+        ranges.push(Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose)));
+    }
+    return ranges;
+}
+
+export function calculateATR(candles = [], period = 14) {
+    const sorted = sortCandlesChronologically(candles);
+    if (sorted.length < period + 1) {
+        return null;
+    }
+    const ranges = trueRanges(sorted);
+    // Wilder smoothing, seeded with the simple average of the first period.
+    let atr = average(ranges.slice(0, period));
+    for (let i = period; i < ranges.length; i++) {
+        atr = (atr * (period - 1) + ranges[i]) / period;
+    }
+    return Number.isFinite(atr) ? atr : null;
+}
+
+export function calculateBollinger(candles = [], period = 20, multiplier = 2) {
+    const closes = closesOf(candles);
+    if (closes.length < period) {
+        return null;
+    }
+    const window = closes.slice(-period);
+    const middle = average(window);
+    const deviation = Math.sqrt(average(window.map((close) => (close - middle) ** 2)));
+    const upper = middle + multiplier * deviation;
+    const lower = middle - multiplier * deviation;
+    return { upper, middle, lower, bandwidth: middle ? (upper - lower) / middle : null };
+}
+
+// Reports the latest EMA values and, per fast/slow pair, the current regime and bars since the last cross.
+export function calculateEmaCrossovers(candles = [], pairs = [[9, 21], [50, 200]]) {
+    const closes = closesOf(candles);
+    const periods = [...new Set(pairs.flat())];
+    const series = Object.fromEntries(periods.map((period) => [period, buildEmaSeries(closes, period)]));
+    const values = Object.fromEntries(
+        periods.map((period) => [period, series[period].length ? series[period][series[period].length - 1] : null])
+    );
+    const crossovers = pairs.map(([fast, slow]) => {
+        const fastSeries = series[fast];
+        const slowSeries = series[slow];
+        if (!fastSeries?.length || !slowSeries?.length) {
+            return { fast, slow, trend: null, barsSinceCross: null };
+        }
+        const spread = (index) => fastSeries[index] - slowSeries[index];
+        const last = closes.length - 1;
+        const trend = spread(last) >= 0 ? "bullish" : "bearish";
+        let barsSinceCross = null;
+        for (let i = last; i > slow - 1; i--) {
+            if (Math.sign(spread(i)) !== Math.sign(spread(i - 1))) {
+                barsSinceCross = last - i;
+                break;
+            }
+        }
+        return { fast, slow, trend, barsSinceCross };
+    });
+    return { values, crossovers };
+}
+
+export function calculateOBV(candles = [], changeWindow = 20) {
+    const sorted = sortCandlesChronologically(candles);
+    if (sorted.length < 2) {
+        return null;
+    }
+    const series = [0];
+    for (let i = 1; i < sorted.length; i++) {
+        const close = Number(sorted[i].close);
+        const previous = Number(sorted[i - 1].close);
+        const volume = Number(sorted[i].volume) || 0;
+        series.push(series[i - 1] + (close > previous ? volume : close < previous ? -volume : 0));
+    }
+    const value = series[series.length - 1];
+    const reference = series[Math.max(0, series.length - 1 - changeWindow)];
+    return { value, change: value - reference, changeWindow: Math.min(changeWindow, series.length - 1) };
+}
+
+export function calculateADX(candles = [], period = 14) {
+    const sorted = sortCandlesChronologically(candles);
+    if (sorted.length < period * 2 + 1) {
+        return null;
+    }
+    const ranges = trueRanges(sorted);
+    const plusDm = [];
+    const minusDm = [];
+    for (let i = 1; i < sorted.length; i++) {
+        const up = Number(sorted[i].high) - Number(sorted[i - 1].high);
+        const down = Number(sorted[i - 1].low) - Number(sorted[i].low);
+        plusDm.push(up > down && up > 0 ? up : 0);
+        minusDm.push(down > up && down > 0 ? down : 0);
+    }
+
+    // Wilder's running sums: first value is a plain sum, then S - S / n + current.
+    let tr = ranges.slice(0, period).reduce((sum, value) => sum + value, 0);
+    let plus = plusDm.slice(0, period).reduce((sum, value) => sum + value, 0);
+    let minus = minusDm.slice(0, period).reduce((sum, value) => sum + value, 0);
+    const directional = () => {
+        const plusDi = tr ? (100 * plus) / tr : 0;
+        const minusDi = tr ? (100 * minus) / tr : 0;
+        const dx = plusDi + minusDi ? (100 * Math.abs(plusDi - minusDi)) / (plusDi + minusDi) : 0;
+        return { plusDi, minusDi, dx };
+    };
+    const dxSeries = [directional()];
+    for (let i = period; i < ranges.length; i++) {
+        tr = tr - tr / period + ranges[i];
+        plus = plus - plus / period + plusDm[i];
+        minus = minus - minus / period + minusDm[i];
+        dxSeries.push(directional());
+    }
+
+    let adx = average(dxSeries.slice(0, period).map((entry) => entry.dx));
+    for (let i = period; i < dxSeries.length; i++) {
+        adx = (adx * (period - 1) + dxSeries[i].dx) / period;
+    }
+    const latest = dxSeries[dxSeries.length - 1];
+    return { adx, plusDi: latest.plusDi, minusDi: latest.minusDi };
+}
@@ -0,0 +1,146 @@
+// # Append-only JSONL journal with one record per trading cycle
+import crypto from "crypto";
+import fs from "fs";
+import readline from "readline";
+import { pathToFileURL } from "url";
+import { parseArgs } from "util";
+
+export const DEFAULT_JOURNAL_FILE = "trade-journal.jsonl";
+
+export function createCycleId(timestamp = Date.now()) {
+    return `c${timestamp.toString(36)}${crypto.randomBytes(2).toString("hex")}`;
+}
+
+export function createJournal({ file = DEFAULT_JOURNAL_FILE } = {}) {
+    function record(entry) {
+        try {
+            fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+        } catch (error) {
+            console.error(`Failed to write cycle ${entry?.cycleId} to journal ${file}:`, error);
+        }
+    }
+
+    return { file, record };
+}
+
+export async function* readJournal(file = DEFAULT_JOURNAL_FILE) {
+    if (!fs.existsSync(file)) {
+        return;
+    }
+    const lines = readline.createInterface({
+        input: fs.createReadStream(file, { encoding: "utf8" }),
+        crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+        if (!line.trim()) {
+            continue;
+        }
+        try {
+            yield JSON.parse(line);
+        } catch (error) {
+            console.warn(`Skipping malformed journal line: ${error.message}`);
+        }
+    }
+}
+
+export async function findCycle(cycleId, file = DEFAULT_JOURNAL_FILE) {
+    for await (const entry of readJournal(file)) {
+        if (entry.cycleId === cycleId) {
+            return entry;
+        }
+    }
+    return null;
+}
+
+export async function listRecentCycles(limit = 20, file = DEFAULT_JOURNAL_FILE) {
+    const recent = [];
+    for await (const entry of readJournal(file)) {
+        recent.push(entry);
+        if (recent.length > limit) {
+            recent.shift();
+        }
+    }
+    return recent;
+}
+
+// The last `limit` journal entries reduced by `project` (null skips an entry), so readers such as the dashboard
+// keep a few fields per cycle in memory instead of re-reading full records with prompts and model output.
+export function createJournalTail({ limit, project }) {
+    let items = [];
+    return {
+        push(entry) {
+            const item = project(entry);
+            if (item === null || item === undefined) {
+                return;
+            }
+            items.push(item);
+            if (items.length > limit * 2) {
+                items = items.slice(-limit);
+            }
+        },
+        list(count = limit) {
+            return items.slice(-Math.min(count, limit));
+        }
+    };
+}
+
+function summarizeCycle(entry) {
+    const decisions = (entry.decisions ?? [])
+        .map((decision) => `${decision.symbol ?? "?"}:${(decision.operation ?? "?").toUpperCase()}`)
+        .join(",");
+    const executions = entry.executions ?? [];
+    const filled = executions.filter((execution) => execution.status === "success").length;
+    return [
+        entry.cycleId,
+        entry.startedAt,
+        entry.status,
+        `${entry.durationMs ?? "?"}ms`,
+        `decisions ${decisions || "-"}`,
+        `orders ${(entry.orders ?? []).length}`,
+        `exec ${filled}/${executions.length}`,
+        entry.error ? `error: ${entry.error}` : ""
+    ]
+        .filter(Boolean)
+        .join(" | ");
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            file: { type: "string", default: process.env.JOURNAL_FILE || DEFAULT_JOURNAL_FILE },
+            limit: { type: "string", default: "20" }
+        }
+    });
+    const [command = "list", cycleId] = positionals;
+
+    if (command === "list") {
+        const cycles = await listRecentCycles(Math.max(1, Number(values.limit) || 20), values.file);
+        if (!cycles.length) {
+            console.log(`No cycles recorded in ${values.file}.`);
+            return;
+        }
+        cycles.forEach((entry) => console.log(summarizeCycle(entry)));
+        return;
+    }
+
+    if (command === "show" && cycleId) {
+        const entry = await findCycle(cycleId, values.file);
+        if (!entry) {
+            console.error(`Cycle ${cycleId} not found in ${values.file}.`);
+            process.exit(1);
+        }
+        console.log(JSON.stringify(entry, null, 2));
+        return;
+    }
+
+    console.error("Usage: node journal.js [list [--limit 20] | show <cycleId>] [--file trade-journal.jsonl]");
+    process.exit(1);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch((error) => {
+        console.error("Journal CLI failed:", error);
+        process.exit(1);
+    });
+}
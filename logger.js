@@ -0,0 +1,186 @@
+// # Structured logger: levels, JSON or text lines, per-cycle correlation context, secret redaction and file rotation
+import { AsyncLocalStorage } from "async_hooks";
+import fs from "fs";
+import util from "util";
+import invariant from "tiny-invariant";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+export const LOG_FORMATS = ["json", "text"];
+
+const REDACTED = "[REDACTED]";
+const SECRET_KEY_PATTERN = /(secret|password|passphrase|authorization|signature|sign|api[-_]?key|access[-_]?key|token)$/i;
+const SECRET_ENV_PATTERN = /(_KEY|SECRET|TOKEN|PASSWORD)$/;
+const SECRET_VALUE_PATTERNS = [
+    [/(Bearer\s+)[^\s"']+/gi, `$1${REDACTED}`],
+    [/\bsk-[A-Za-z0-9_-]{16,}/g, REDACTED],
+    // Telegram bot tokens: numeric bot id, colon, 35-character secret.
+    [/\b\d{6,}:[A-Za-z0-9_-]{30,}\b/g, REDACTED],
+    // HMAC-SHA256 request signatures.
+    [/\b[a-f0-9]{64}\b/gi, REDACTED],
+    [/([?&](?:api_?key|key|token|sign|signature)=)[^&\s"']+/gi, `$1${REDACTED}`]
+];
+const CONSOLE_LEVELS = { debug: "debug", log: "info", info: "info", warn: "warn", error: "error" };
+
+// Values of env vars whose names look like credentials; the logger masks them wherever they appear.
+export function collectEnvSecrets(env = process.env) {
+    return Object.entries(env)
+        .filter(([name, value]) => SECRET_ENV_PATTERN.test(name) && typeof value === "string" && value.length >= 6)
+        .map(([, value]) => value);
+}
+
+function createRedactor(secrets = []) {
+    const literals = [...new Set(secrets)].sort((a, b) => b.length - a.length);
+
+    function redactString(text) {
+        let result = text;
+        for (const secret of literals) {
+            result = result.split(secret).join(REDACTED);
+        }
+        for (const [pattern, replacement] of SECRET_VALUE_PATTERNS) {
+            result = result.replace(pattern, replacement);
+        }
+        return result;
+    }
+
+    function redact(value, seen = new WeakSet()) {
+        if (typeof value === "string") {
+            return redactString(value);
+        }
+        if (value instanceof Error) {
+            return redact({ name: value.name, message: value.message, code: value.code, stack: value.stack }, seen);
+        }
+        if (!value || typeof value !== "object") {
+            return value;
+        }
+        if (seen.has(value)) {
+            return "[Circular]";
+        }
+        seen.add(value);
+        if (Array.isArray(value)) {
+            return value.map((item) => redact(item, seen));
+        }
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [
+                key,
+                SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined && item !== "" ? REDACTED : redact(item, seen)
+            ])
+        );
+    }
+
+    return redact;
+}
+
+// Size-based rotation: app.log -> app.log.1 -> ... -> app.log.<maxFiles>, oldest dropped.
+function createRotatingFileSink({ file, maxBytes = 10 * 1024 * 1024, maxFiles = 5 }) {
+    let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+    function rotate() {
+        for (let index = maxFiles - 1; index >= 1; index--) {
+            if (fs.existsSync(`${file}.${index}`)) {
+                fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+            }
+        }
+        if (maxFiles > 0) {
+            fs.renameSync(file, `${file}.1`);
+        } else {
+            fs.unlinkSync(file);
+        }
+        size = 0;
+    }
+
+    return {
+        write(line) {
+            const bytes = Buffer.byteLength(line);
+            try {
+                if (size > 0 && size + bytes > maxBytes) {
+                    rotate();
+                }
+                fs.appendFileSync(file, line);
+                size += bytes;
+            } catch (error) {
+                process.stderr.write(`Failed to write log file ${file}: ${error.message}\n`);
+            }
+        }
+    };
+}
+
+function formatText(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const scope = fields.cycleId ? ` [${fields.cycleId}]` : "";
+    delete fields.cycleId;
+    const extra = Object.keys(fields).length ? ` ${util.inspect(fields, { depth: 6, breakLength: Infinity })}` : "";
+    return `${time} ${level.toUpperCase()}${scope} ${msg}${extra}\n`;
+}
+
+// console.* arguments become a message (strings and numbers) plus structured `error` and `data` fields.
+function splitConsoleArgs(args) {
+    const words = [];
+    const data = [];
+    let error;
+    for (const arg of args) {
+        if (arg instanceof Error && !error) {
+            error = arg;
+        } else if (arg !== null && typeof arg === "object") {
+            data.push(arg);
+        } else {
+            words.push(String(arg));
+        }
+    }
+    const fields = {};
+    if (error) fields.error = error;
+    if (data.length) fields.data = data.length === 1 ? data[0] : data;
+    return { message: words.join(" ").trim().replace(/:$/, "") || error?.message || "", fields };
+}
+
+export function createLogger({
+    level = "info",
+    format = "json",
+    file,
+    maxBytes,
+    maxFiles,
+    secrets = [],
+    stdout = process.stdout,
+    stderr = process.stderr
+} = {}) {
+    invariant(LOG_LEVELS.includes(level), `Unsupported log level ${level}; expected ${LOG_LEVELS.join(", ")}`);
+    invariant(LOG_FORMATS.includes(format), `Unsupported log format ${format}; expected ${LOG_FORMATS.join(" or ")}`);
+    const threshold = LOG_LEVELS.indexOf(level);
+    const redact = createRedactor(secrets);
+    const sink = file ? createRotatingFileSink({ file, maxBytes, maxFiles }) : null;
+    const scope = new AsyncLocalStorage();
+
+    function write(entryLevel, message, fields = {}) {
+        if (LOG_LEVELS.indexOf(entryLevel) < threshold) {
+            return;
+        }
+        const entry = redact({
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg: String(message),
+            ...scope.getStore(),
+            ...fields
+        });
+        const line = format === "json" ? `${JSON.stringify(entry)}\n` : formatText(entry);
+        (entryLevel === "warn" || entryLevel === "error" ? stderr : stdout).write(line);
+        // The file always gets JSON so it stays machine-readable whatever the console format.
+        sink?.write(format === "json" ? line : `${JSON.stringify(entry)}\n`);
+    }
+
+    return {
+        debug: (message, fields) => write("debug", message, fields),
+        info: (message, fields) => write("info", message, fields),
+        warn: (message, fields) => write("warn", message, fields),
+        error: (message, fields) => write("error", message, fields),
+        // Every line logged while `fn` runs, including awaited work, carries `context` (e.g. the cycle ID).
+        runWithContext: (context, fn) => scope.run({ ...scope.getStore(), ...context }, fn),
+        // Routes console.* from every module through this logger so third-party and legacy output is structured too.
+        captureConsole() {
+            for (const [method, target] of Object.entries(CONSOLE_LEVELS)) {
+                console[method] = (...args) => {
+                    const { message, fields } = splitConsoleArgs(args);
+                    write(target, message, fields);
+                };
+            }
+        }
+    };
+}
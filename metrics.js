@@ -0,0 +1,103 @@
+// # Minimal Prometheus registry: counters, gauges and histograms rendered in text exposition format
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function labelKey(labels = {}) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels = {}, extra = {}) {
+    const entries = Object.entries({ ...labels, ...extra });
+    if (!entries.length) {
+        return "";
+    }
+    const escapeValue = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+    return `{${entries.map(([key, value]) => `${key}="${escapeValue(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return "+Inf";
+    if (value === -Infinity) return "-Inf";
+    return String(value);
+}
+
+export function createMetricsRegistry({ prefix = "" } = {}) {
+    const metrics = [];
+
+    function register(type, name, help, extend) {
+        const series = new Map();
+        const metric = { type, name: `${prefix}${name}`, help, series, ...extend(series) };
+        metrics.push(metric);
+        return metric;
+    }
+
+    function entry(series, labels, create) {
+        const key = labelKey(labels);
+        if (!series.has(key)) {
+            series.set(key, { labels, ...create() });
+        }
+        return series.get(key);
+    }
+
+    function counter(name, help) {
+        return register("counter", name, help, (series) => ({
+            inc(labels = {}, amount = 1) {
+                if (Number.isFinite(amount) && amount > 0) {
+                    entry(series, labels, () => ({ value: 0 })).value += amount;
+                }
+            }
+        }));
+    }
+
+    function gauge(name, help) {
+        return register("gauge", name, help, (series) => ({
+            set(labels, value) {
+                if (Number.isFinite(value)) {
+                    entry(series, labels, () => ({ value: 0 })).value = value;
+                }
+            }
+        }));
+    }
+
+    function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        return register("histogram", name, help, (series) => ({
+            observe(labels = {}, value) {
+                if (!Number.isFinite(value)) {
+                    return;
+                }
+                const target = entry(series, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+                buckets.forEach((bound, index) => {
+                    if (value <= bound) {
+                        target.counts[index] += 1;
+                    }
+                });
+                target.sum += value;
+                target.count += 1;
+            },
+            buckets
+        }));
+    }
+
+    function render() {
+        const lines = [];
+        for (const metric of metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+            for (const sample of metric.series.values()) {
+                if (metric.type !== "histogram") {
+                    lines.push(`${metric.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+                    continue;
+                }
+                metric.buckets.forEach((bound, index) => {
+                    lines.push(`${metric.name}_bucket${formatLabels(sample.labels, { le: bound })} ${sample.counts[index]}`);
+                });
+                lines.push(
+                    `${metric.name}_bucket${formatLabels(sample.labels, { le: "+Inf" })} ${sample.count}`,
+                    `${metric.name}_sum${formatLabels(sample.labels)} ${sample.sum}`,
+                    `${metric.name}_count${formatLabels(sample.labels)} ${sample.count}`
+                );
+            }
+        }
+        return `${lines.join("\n")}\n`;
+    }
+
+    return { counter, gauge, histogram, render };
+}
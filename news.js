@@ -0,0 +1,281 @@
+// # News aggregation: pluggable JSON and RSS/Atom sources, dedupe, age filter, caching and sentiment tags
+import nodeFetch from "node-fetch";
+import invariant from "tiny-invariant";
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DUPLICATE_SIMILARITY = 0.6;
+export const SOURCE_TYPES = ["json", "rss"];
+
+const BULLISH_TERMS = [
+    "surge", "surges", "soar", "soars", "rally", "rallies", "jump", "jumps", "gain", "gains", "rise", "rises",
+    "record", "high", "bull", "bullish", "breakout", "inflow", "inflows", "approve", "approves", "approval",
+    "approved", "adopt", "adopts", "adoption", "upgrade", "partnership", "buy", "buys", "accumulate", "rebound"
+];
+const BEARISH_TERMS = [
+    "crash", "crashes", "plunge", "plunges", "drop", "drops", "fall", "falls", "slump", "slumps", "decline",
+    "declines", "bear", "bearish", "sell-off", "selloff", "outflow", "outflows", "hack", "hacked", "exploit",
+    "ban", "bans", "lawsuit", "sue", "sues", "fraud", "liquidation", "liquidations", "reject", "rejects",
+    "rejected", "delay", "delays", "warning", "collapse", "low"
+];
+const STOPWORDS = new Set(["the", "a", "an", "to", "of", "in", "on", "for", "and", "as", "at", "is", "by", "with", "from"]);
+
+function formatNewsTimestamp(timestamp) {
+    if (!Number.isFinite(timestamp)) return "Unknown time";
+    return new Date(timestamp).toISOString().replace("T", " ").replace(/:\d{2}\.\d{3}Z$/, " UTC");
+}
+
+function parseTimestamp(value) {
+    if (value === undefined || value === null || value === "") {
+        return null;
+    }
+    const numeric = Number(value);
+    if (Number.isFinite(numeric)) {
+        // Unix seconds vs milliseconds.
+        return numeric < 1e12 ? numeric * 1000 : numeric;
+    }
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, "\"")
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, "&")
+        // Feeds often carry escaped HTML in descriptions, so tags are stripped after decoding.
+        .replace(/<[^>]+>/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+function readTag(block, names) {
+    for (const name of names) {
+        const match = block.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, "i"));
+        if (match) {
+            return decodeEntities(match[1]);
+        }
+    }
+    return "";
+}
+
+// Handles RSS 2.0 <item> and Atom <entry> documents with plain pattern matching; no XML dependency needed.
+export function parseFeed(xml, source) {
+    const blocks = xml.match(/<(item|entry)[\s>][\s\S]*?<\/\1>/gi) ?? [];
+    return blocks.map((block) => {
+        const atomLink = block.match(/<link[^>]*href="([^"]+)"/i)?.[1];
+        return {
+            source,
+            title: readTag(block, ["title"]),
+            body: readTag(block, ["description", "summary", "content"]),
+            url: atomLink ?? readTag(block, ["link", "guid"]),
+            publishedAt: parseTimestamp(readTag(block, ["pubDate", "published", "updated", "dc:date"]))
+        };
+    });
+}
+
+export function normalizeJsonArticles(payload, source) {
+    const list = Array.isArray(payload)
+        ? payload
+        : payload?.articles ?? payload?.items ?? payload?.data ?? payload?.results ?? payload?.Data;
+    invariant(Array.isArray(list), `News source ${source} did not return an article array`);
+    return list.map((article) => ({
+        source,
+        title: String(article.title ?? article.headline ?? "").trim(),
+        body: String(article.body ?? article.description ?? article.summary ?? "").trim(),
+        url: article.url ?? article.link ?? null,
+        theme: article.theme ?? null,
+        publishedAt: parseTimestamp(
+            article.published_at ?? article.publishedAt ?? article.published_on ?? article.date ?? article.time
+        )
+    }));
+}
+
+function tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9$][a-z0-9$'-]*/g) ?? []).filter((token) => !STOPWORDS.has(token));
+}
+
+export function tagSentiment(article) {
+    const tokens = tokenize(`${article.title} ${article.body}`);
+    const bullish = tokens.filter((token) => BULLISH_TERMS.includes(token)).length;
+    const bearish = tokens.filter((token) => BEARISH_TERMS.includes(token)).length;
+    if (bullish > bearish) return "bullish";
+    if (bearish > bullish) return "bearish";
+    return "neutral";
+}
+
+function headlineSimilarity(a, b) {
+    const left = new Set(tokenize(a));
+    const right = new Set(tokenize(b));
+    if (!left.size || !right.size) {
+        return 0;
+    }
+    const shared = [...left].filter((token) => right.has(token)).length;
+    return shared / (left.size + right.size - shared);
+}
+
+// Near-identical headlines collapse into the newest copy, which remembers every source that ran it.
+export function dedupeArticles(articles) {
+    const kept = [];
+    for (const article of articles.slice().sort((a, b) => b.publishedAt - a.publishedAt)) {
+        const headline = article.title || article.body;
+        const duplicate = kept.find((entry) => headlineSimilarity(entry.title || entry.body, headline) >= DUPLICATE_SIMILARITY);
+        if (duplicate) {
+            duplicate.sources = [...new Set([...duplicate.sources, article.source])];
+            duplicate.duplicates += 1;
+        } else {
+            kept.push({ ...article, sources: [article.source], duplicates: 0 });
+        }
+    }
+    return kept;
+}
+
+function describeAge(ms) {
+    const minutes = Math.max(0, Math.round(ms / 60000));
+    return minutes < 90 ? `${minutes}m` : `${(minutes / 60).toFixed(1)}h`;
+}
+
+export function createNewsSource({
+    name,
+    type = "json",
+    url,
+    apiKey,
+    keyParam = "key",
+    keyHeader,
+    query = {},
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    fetchImpl = typeof fetch === "function" ? fetch : nodeFetch
+}) {
+    invariant(SOURCE_TYPES.includes(type), `News source ${name} has unsupported type ${type}; expected ${SOURCE_TYPES.join(" or ")}`);
+    invariant(url, `News source ${name} is missing a URL`);
+    const target = new URL(url);
+    for (const [key, value] of Object.entries(query)) {
+        target.searchParams.set(key, value);
+    }
+    const headers = {};
+    if (apiKey && keyHeader) {
+        headers[keyHeader] = apiKey;
+    } else if (apiKey) {
+        target.searchParams.set(keyParam, apiKey);
+    }
+
+    return {
+        name,
+        type,
+        async fetchArticles() {
+            let response;
+            try {
+                response = await fetchImpl(target.toString(), {
+                    method: "GET",
+                    headers,
+                    signal: AbortSignal.timeout(timeoutMs)
+                });
+            } catch (error) {
+                // Fetch errors can echo the request URL, which carries the key when it goes in the query string.
+                const message = apiKey ? String(error.message).split(apiKey).join("[REDACTED]") : error.message;
+                throw new Error(`${name} request failed: ${message}`);
+            }
+            if (!response.ok) {
+                throw new Error(`${name} HTTP ${response.status}`);
+            }
+            return type === "rss" ? parseFeed(await response.text(), name) : normalizeJsonArticles(await response.json(), name);
+        }
+    };
+}
+
+// `news` is the loaded news config section. Without NEWS_SOURCES the single CryptoHorde endpoint the bot always
+// used is the only source. Keys go in the `key` query parameter unless NEWS_<ID>_KEY_HEADER names a header.
+export function createNewsSourcesFromConfig(news, { fetchImpl } = {}) {
+    return news.sources.map((id) => {
+        const settings = news.sourceSettings?.[id] ?? {};
+        return createNewsSource({
+            name: id,
+            type: settings.type,
+            url: settings.url,
+            apiKey: settings.apiKey,
+            keyParam: settings.keyParam || "key",
+            keyHeader: settings.keyHeader || undefined,
+            query: id === "cryptohorde" ? { theme: "crypto", lang: "en" } : {},
+            timeoutMs: settings.timeoutMs,
+            fetchImpl
+        });
+    });
+}
+
+export function createNewsAggregator({ sources, cacheTtlMs = 10 * 60 * 1000, maxAgeMs = 12 * 60 * 60 * 1000, maxItems = 6, now = () => Date.now() }) {
+    invariant(sources.length > 0, "At least one news source must be configured");
+    // Per-source cache; a failed refresh keeps serving the last good copy until it ages out.
+    const cache = new Map();
+
+    async function refreshSource(source) {
+        const cached = cache.get(source.name);
+        if (cached && now() - cached.fetchedAt < cacheTtlMs) {
+            return { ...cached, fromCache: true };
+        }
+        try {
+            const entry = { articles: await source.fetchArticles(), fetchedAt: now() };
+            cache.set(source.name, entry);
+            return { ...entry, fromCache: false };
+        } catch (error) {
+            console.error(`Failed to fetch news from ${source.name}:`, error.message);
+            return { articles: cached?.articles ?? [], fetchedAt: cached?.fetchedAt ?? null, fromCache: Boolean(cached), error: error.message };
+        }
+    }
+
+    async function collect() {
+        const results = await Promise.all(sources.map(async (source) => ({ source: source.name, ...(await refreshSource(source)) })));
+        const current = now();
+        const fresh = results
+            .flatMap((result) => result.articles)
+            .filter((article) => (article.title || article.body) && Number.isFinite(article.publishedAt))
+            .filter((article) => current - article.publishedAt <= maxAgeMs && article.publishedAt <= current + 60000);
+        // Stories carried by more sources rank first, then the newest.
+        const ranked = dedupeArticles(fresh)
+            .sort((a, b) => b.sources.length - a.sources.length || b.publishedAt - a.publishedAt)
+            .slice(0, maxItems)
+            .map((article) => ({ ...article, sentiment: tagSentiment(article) }));
+
+        return {
+            articles: ranked,
+            summary: formatNewsSummary(ranked, results, { now: current, maxAgeMs }),
+            sources: results.map(({ source, articles, fetchedAt, fromCache, error }) => ({
+                source,
+                count: articles.length,
+                fetchedAt,
+                fromCache,
+                error
+            }))
+        };
+    }
+
+    return { collect };
+}
+
+export function formatNewsSummary(articles, sourceResults, { now, maxAgeMs }) {
+    const failed = sourceResults.filter((result) => result.error);
+    const fetchedAt = sourceResults.map((result) => result.fetchedAt).filter(Number.isFinite);
+    const freshness = articles.length
+        ? `Freshness: ${articles.length} headline(s) from the last ${describeAge(maxAgeMs)}, newest ${describeAge(
+            now - articles.reduce((newest, article) => Math.max(newest, article.publishedAt), 0)
+        )} ago; oldest feed refresh ${fetchedAt.length ? `${describeAge(now - Math.min(...fetchedAt))} ago` : "never"}.`
+        : `Freshness: no headlines newer than ${describeAge(maxAgeMs)}; operating with default bias.`;
+    const failures = failed.length
+        ? `Unavailable sources: ${failed.map((result) => `${result.source}${result.fromCache ? " (serving cached copy)" : ""}`).join(", ")}.`
+        : null;
+
+    const lines = articles.map((article) => {
+        const themeSuffix = article.theme ? ` (${article.theme})` : "";
+        const coverage = article.sources.length > 1 ? `, ${article.sources.length} sources` : "";
+        const text = [article.title, article.body]
+            .filter(Boolean)
+            .join(" – ")
+            .slice(0, 160)
+            .trim();
+        return `• [${article.sentiment}] ${formatNewsTimestamp(article.publishedAt)}${themeSuffix} (${article.sources[0]}${coverage}) – ${text}`;
+    });
+
+    return [...lines, freshness, failures].filter(Boolean).join("\n");
+}
@@ -0,0 +1,135 @@
+// # Lifecycle rules for the bot's own resting limit orders
+import { formatUsd, formatPercent, quantizeToStep } from "./trading.js";
+
+export const BOT_ORDER_LINK_PREFIX = "codex-";
+
+export function isBotOrder(order) {
+    return String(order?.orderLinkId ?? "").startsWith(BOT_ORDER_LINK_PREFIX);
+}
+
+export function createOrderTracker() {
+    const firstSeenCycle = new Map();
+    let cycle = 0;
+
+    // Cycle ages are counted from the first cycle that saw the order resting on the book.
+    function observe(orders) {
+        cycle += 1;
+        const live = new Set();
+        for (const order of orders) {
+            live.add(order.orderLinkId);
+            if (!firstSeenCycle.has(order.orderLinkId)) {
+                firstSeenCycle.set(order.orderLinkId, cycle);
+            }
+        }
+        for (const orderLinkId of firstSeenCycle.keys()) {
+            if (!live.has(orderLinkId)) {
+                firstSeenCycle.delete(orderLinkId);
+            }
+        }
+    }
+
+    function cycleAge(order) {
+        const seen = firstSeenCycle.get(order.orderLinkId);
+        return seen === undefined ? 0 : cycle - seen;
+    }
+
+    return { observe, cycleAge };
+}
+
+// Attached TP/SL that would land on the wrong side of `price`; Bybit rejects such an amend.
+function misplacedProtection(order, price) {
+    const buy = order.side === "Buy";
+    const takeProfit = Number(order.takeProfit) || 0;
+    const stopLoss = Number(order.stopLoss) || 0;
+    return [
+        takeProfit > 0 && (buy ? takeProfit <= price : takeProfit >= price) ? `take-profit $${formatUsd(takeProfit)}` : null,
+        stopLoss > 0 && (buy ? stopLoss >= price : stopLoss <= price) ? `stop-loss $${formatUsd(stopLoss)}` : null
+    ].filter(Boolean);
+}
+
+export function reviewOpenOrders(orders = [], {
+    now = Date.now(),
+    markets = {},
+    tickSizes = {},
+    cycleAge = () => 0,
+    maxAgeMs = Infinity,
+    maxAgeCycles = Infinity,
+    maxDistancePct = Infinity,
+    staleAction = "cancel"
+} = {}) {
+    const actions = [];
+    for (const order of orders) {
+        if (!isBotOrder(order) || order.reduceOnly) {
+            continue;
+        }
+        const ageMs = Number.isFinite(order.createdAt) ? now - order.createdAt : 0;
+        const ageCycles = cycleAge(order);
+        if (ageMs > maxAgeMs) {
+            actions.push({ order, action: "cancel", reason: `resting ${Math.round(ageMs / 60000)}m (max ${Math.round(maxAgeMs / 60000)}m)` });
+            continue;
+        }
+        if (ageCycles > maxAgeCycles) {
+            actions.push({ order, action: "cancel", reason: `resting ${ageCycles} cycles (max ${maxAgeCycles})` });
+            continue;
+        }
+
+        const marketPrice = markets[order.symbol]?.price;
+        if (!Number.isFinite(marketPrice) || marketPrice <= 0) {
+            continue;
+        }
+        const distance = Math.abs(order.price - marketPrice) / marketPrice;
+        if (distance > maxDistancePct) {
+            const reason = `${formatPercent(distance)} from market $${formatUsd(marketPrice)} (max ${formatPercent(maxDistancePct)})`;
+            if (staleAction !== "amend") {
+                actions.push({ order, action: "cancel", reason });
+                continue;
+            }
+            // Amending reprices to the edge of the allowed band rather than chasing the market.
+            const targetPrice = quantizeToStep(
+                marketPrice * (order.side === "Buy" ? 1 - maxDistancePct : 1 + maxDistancePct),
+                tickSizes[order.symbol],
+                order.side === "Buy" ? "ceil" : "floor"
+            );
+            const misplaced = misplacedProtection(order, targetPrice);
+            if (misplaced.length) {
+                actions.push({
+                    order,
+                    action: "cancel",
+                    reason: `${reason}; ${misplaced.join(" and ")} would be on the wrong side of $${formatUsd(targetPrice)}`
+                });
+                continue;
+            }
+            actions.push({ order, action: "amend", reason, targetPrice });
+        }
+    }
+    return actions;
+}
+
+export function describeOpenOrders(orders = [], now = Date.now()) {
+    if (!orders.length) {
+        return "No pending orders.";
+    }
+    return orders
+        .map((order) => {
+            const age = Number.isFinite(order.createdAt)
+                ? `${Math.max(0, Math.round((now - order.createdAt) / 60000))}m old`
+                : "age unknown";
+            const flags = [order.reduceOnly ? "reduce-only" : null, isBotOrder(order) ? null : "external"]
+                .filter(Boolean)
+                .join(", ");
+            return `- ${order.symbol} ${order.side} ${order.qty} @ $${formatUsd(order.price)} (${age}${flags ? `, ${flags}` : ""})`;
+        })
+        .join("\n");
+}
+
+export function formatOrderMaintenance(result) {
+    const { order, action, reason } = result;
+    const label = `${order.symbol} ${order.side} ${order.qty} @ ${order.price}`;
+    if (result.error) {
+        return `• ❌ ${action} ${label} failed — ${result.error}`;
+    }
+    if (action === "amend") {
+        return `• ✏️ Amended ${label} → ${result.newPrice}: ${reason}`;
+    }
+    return `• 🗑️ Cancelled ${label}: ${reason}`;
+}
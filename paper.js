@@ -0,0 +1,473 @@
+// # Simulated Bybit exchange used for paper trading and offline replays
+import fs from "fs";
+
+export const DEFAULT_PAPER_STATE_FILE = ".paper-state.json";
+const DEFAULT_FEE_RATE = 0.00055;
+const MAINTENANCE_MARGIN_RATE = 0.005;
+
+function roundAmount(value) {
+    return Number(Number(value).toFixed(8));
+}
+
+function isBuySide(side) {
+    return (side || "").toLowerCase() === "buy";
+}
+
+function estimateLiquidationPrice(side, entryPrice, leverage) {
+    if (!Number.isFinite(entryPrice) || entryPrice <= 0 || !Number.isFinite(leverage) || leverage <= 0) {
+        return 0;
+    }
+    const buffer = 1 / leverage - MAINTENANCE_MARGIN_RATE;
+    const price = isBuySide(side) ? entryPrice * (1 - buffer) : entryPrice * (1 + buffer);
+    return Math.max(0, roundAmount(price));
+}
+
+function calculateUnrealisedPnl(position, markPrice) {
+    if (!position || !Number.isFinite(markPrice) || markPrice <= 0) {
+        return 0;
+    }
+    const direction = isBuySide(position.side) ? 1 : -1;
+    return (markPrice - position.entryPrice) * position.size * direction;
+}
+
+// Wallet, positions and resting orders of a paper run, so a restart picks up the same simulated account.
+export function loadPaperState(stateFile = DEFAULT_PAPER_STATE_FILE) {
+    if (!stateFile || !fs.existsSync(stateFile)) {
+        return undefined;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(stateFile, "utf8"));
+    } catch (error) {
+        console.error(`Failed to read paper state from ${stateFile}:`, error);
+        return undefined;
+    }
+}
+
+export function savePaperState(stateFile = DEFAULT_PAPER_STATE_FILE, state) {
+    if (!stateFile) {
+        return;
+    }
+    try {
+        fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+    } catch (error) {
+        console.error(`Failed to write paper state to ${stateFile}:`, error);
+    }
+}
+
+export function createPaperExchange({
+    startingBalance = 10000,
+    feeRate = DEFAULT_FEE_RATE,
+    accountCurrency = "USDT",
+    now = () => Date.now(),
+    initialState
+} = {}) {
+    let walletBalance = initialState?.walletBalance ?? startingBalance;
+    let orderSequence = initialState?.orderSequence ?? 0;
+    const positions = new Map(Object.entries(initialState?.positions ?? {}));
+    const openOrders = [...(initialState?.openOrders ?? [])];
+    const lastPrices = new Map(Object.entries(initialState?.lastPrices ?? {}));
+    const lastCandleTimes = new Map(Object.entries(initialState?.lastCandleTimes ?? {}));
+
+    function reservedOrderMargin() {
+        return openOrders
+            .filter((order) => !order.reduceOnly)
+            .reduce((sum, order) => sum + (order.qty * order.price) / order.leverage, 0);
+    }
+
+    function positionMargin() {
+        let total = 0;
+        for (const position of positions.values()) {
+            total += (position.size * position.entryPrice) / position.leverage;
+        }
+        return total;
+    }
+
+    function totalUnrealisedPnl() {
+        let total = 0;
+        for (const [symbol, position] of positions) {
+            total += calculateUnrealisedPnl(position, lastPrices.get(symbol) ?? position.entryPrice);
+        }
+        return total;
+    }
+
+    function getAccountSnapshot() {
+        const totalEquity = walletBalance + totalUnrealisedPnl();
+        const usedMargin = positionMargin() + reservedOrderMargin();
+        let maintenanceMargin = 0;
+        for (const [symbol, position] of positions) {
+            const markPrice = lastPrices.get(symbol) ?? position.entryPrice;
+            maintenanceMargin += position.size * markPrice * MAINTENANCE_MARGIN_RATE;
+        }
+        return {
+            totalEquity: roundAmount(totalEquity),
+            availableBalance: roundAmount(Math.max(0, totalEquity - usedMargin)),
+            usedMargin: roundAmount(usedMargin),
+            maintenanceMargin: roundAmount(maintenanceMargin),
+            accountType: "PAPER",
+            accountCurrency
+        };
+    }
+
+    function getPositionState(symbol) {
+        const position = positions.get(symbol);
+        if (!position) {
+            return { position: null, positionMode: "ONE_WAY" };
+        }
+        const markPrice = lastPrices.get(symbol) ?? position.entryPrice;
+        return {
+            position: {
+                side: position.side,
+                size: position.size,
+                entryPrice: position.entryPrice,
+                leverage: position.leverage,
+                unrealisedPnl: roundAmount(calculateUnrealisedPnl(position, markPrice)),
+                positionValue: roundAmount(position.size * position.entryPrice),
+                markPrice,
+                liqPrice: estimateLiquidationPrice(position.side, position.entryPrice, position.leverage),
+                takeProfit: position.takeProfit ?? 0,
+                stopLoss: position.stopLoss ?? 0,
+                positionIdx: 0
+            },
+            positionMode: "ONE_WAY"
+        };
+    }
+
+    function getOpenOrders(symbol) {
+        return openOrders
+            .filter((order) => !symbol || order.symbol === symbol)
+            .map((order) => ({ ...order }));
+    }
+
+    function closePosition(symbol, price, reason, events) {
+        const position = positions.get(symbol);
+        if (!position) {
+            return;
+        }
+        applyFill(
+            { symbol, side: isBuySide(position.side) ? "Sell" : "Buy", qty: position.size, reduceOnly: true },
+            price,
+            events,
+            reason
+        );
+    }
+
+    function applyFill(order, fillPrice, events, trigger = "limit") {
+        const symbol = order.symbol;
+        const position = positions.get(symbol);
+        let realisedPnl = 0;
+        let filledQty = order.qty;
+        let closedQty = 0;
+        let entryFee = 0;
+        const fee = (qty) => qty * fillPrice * feeRate;
+
+        if (!position || position.side === order.side) {
+            if (order.reduceOnly) {
+                events.push({ type: "rejected", symbol, order, reason: "reduce-only order without position" });
+                return;
+            }
+            const existingSize = position?.size ?? 0;
+            const size = roundAmount(existingSize + order.qty);
+            const entryPrice = position
+                ? (position.entryPrice * existingSize + fillPrice * order.qty) / size
+                : fillPrice;
+            const orderLeverage = order.leverage || position?.leverage || 1;
+            // An add at another leverage keeps the margin already posted: notional over total margin.
+            const leverage = position
+                ? (position.entryPrice * existingSize + fillPrice * order.qty) /
+                  ((position.entryPrice * existingSize) / position.leverage + (fillPrice * order.qty) / orderLeverage)
+                : orderLeverage;
+            positions.set(symbol, {
+                side: order.side,
+                size,
+                entryPrice: roundAmount(entryPrice),
+                leverage: roundAmount(leverage),
+                takeProfit: order.takeProfit ?? position?.takeProfit ?? 0,
+                stopLoss: order.stopLoss ?? position?.stopLoss ?? 0,
+                // Entry fees paid so far, charged to the trade when the position is closed.
+                fees: (position?.fees ?? 0) + fee(order.qty)
+            });
+        } else {
+            const closingQty = Math.min(order.qty, position.size);
+            closedQty = closingQty;
+            entryFee = ((position.fees ?? 0) * closingQty) / position.size;
+            const direction = isBuySide(position.side) ? 1 : -1;
+            realisedPnl = (fillPrice - position.entryPrice) * closingQty * direction;
+            walletBalance += realisedPnl;
+            const remaining = roundAmount(position.size - closingQty);
+            const flipQty = order.reduceOnly ? 0 : roundAmount(order.qty - closingQty);
+            filledQty = order.reduceOnly ? closingQty : order.qty;
+
+            if (remaining > 0) {
+                positions.set(symbol, { ...position, size: remaining, fees: (position.fees ?? 0) - entryFee });
+            } else if (flipQty > 0) {
+                positions.set(symbol, {
+                    side: order.side,
+                    size: flipQty,
+                    entryPrice: fillPrice,
+                    leverage: order.leverage || position.leverage,
+                    takeProfit: order.takeProfit ?? 0,
+                    stopLoss: order.stopLoss ?? 0,
+                    fees: fee(flipQty)
+                });
+            } else {
+                positions.delete(symbol);
+            }
+        }
+
+        const fillFee = fee(filledQty);
+        walletBalance -= fillFee;
+        events.push({
+            type: trigger === "limit" ? "fill" : trigger,
+            symbol,
+            side: order.side,
+            qty: filledQty,
+            price: fillPrice,
+            fee: roundAmount(fillFee),
+            realisedPnl: roundAmount(realisedPnl),
+            closedQty,
+            entryFee: roundAmount(entryFee),
+            orderLinkId: order.orderLinkId,
+            timestamp: now()
+        });
+    }
+
+    function checkProtection(symbol, high, low, events) {
+        const position = positions.get(symbol);
+        if (!position) {
+            return;
+        }
+        const long = isBuySide(position.side);
+        const liqPrice = estimateLiquidationPrice(position.side, position.entryPrice, position.leverage);
+        const stopLoss = Number(position.stopLoss) || 0;
+        const takeProfit = Number(position.takeProfit) || 0;
+
+        // Within a single candle we cannot know the path, so adverse exits win ties.
+        if (liqPrice > 0 && (long ? low <= liqPrice : high >= liqPrice)) {
+            const stopFirst = stopLoss > 0 && (long ? stopLoss > liqPrice : stopLoss < liqPrice);
+            if (!stopFirst) {
+                closePosition(symbol, liqPrice, "liquidation", events);
+                return;
+            }
+        }
+        if (stopLoss > 0 && (long ? low <= stopLoss : high >= stopLoss)) {
+            closePosition(symbol, stopLoss, "stop_loss", events);
+            return;
+        }
+        if (takeProfit > 0 && (long ? high >= takeProfit : low <= takeProfit)) {
+            closePosition(symbol, takeProfit, "take_profit", events);
+        }
+    }
+
+    function matchOpenOrders(symbol, high, low, events) {
+        for (const order of openOrders.slice()) {
+            if (order.symbol !== symbol) {
+                continue;
+            }
+            const touched = isBuySide(order.side) ? low <= order.price : high >= order.price;
+            if (!touched) {
+                continue;
+            }
+            openOrders.splice(openOrders.indexOf(order), 1);
+            applyFill(order, order.price, events);
+        }
+    }
+
+    function processBar(symbol, { high, low, close }) {
+        const events = [];
+        matchOpenOrders(symbol, high, low, events);
+        checkProtection(symbol, high, low, events);
+        if (Number.isFinite(close) && close > 0) {
+            lastPrices.set(symbol, close);
+        }
+        return events;
+    }
+
+    function updateMarket(symbol, { price, candles = [] } = {}) {
+        const events = [];
+        const lastSeen = lastCandleTimes.get(symbol) ?? 0;
+        const fresh = candles
+            .filter((candle) => Number.isFinite(candle.startTime) && candle.startTime > lastSeen)
+            .sort((a, b) => a.startTime - b.startTime);
+
+        // On the very first sync only the latest price matters; older candles predate the account.
+        const replay = lastCandleTimes.has(symbol) ? fresh : [];
+        for (const candle of replay) {
+            events.push(...processBar(symbol, candle));
+        }
+        if (fresh.length) {
+            lastCandleTimes.set(symbol, fresh[fresh.length - 1].startTime);
+        }
+        if (Number.isFinite(price) && price > 0) {
+            events.push(...processBar(symbol, { high: price, low: price, close: price }));
+        }
+        return events;
+    }
+
+    function placeOrder(order) {
+        const events = [];
+        const lastPrice = lastPrices.get(order.symbol);
+        if (!Number.isFinite(lastPrice)) {
+            throw new Error(`Paper exchange has no market price for ${order.symbol}`);
+        }
+        const isMarket = order.orderType === "Market";
+        const price = isMarket ? lastPrice : order.price;
+        if (!Number.isFinite(order.qty) || order.qty <= 0 || !Number.isFinite(price) || price <= 0) {
+            throw new Error("Paper exchange rejected order with invalid qty/price");
+        }
+
+        const leverage = Math.max(1, Number(order.leverage) || 1);
+        if (!order.reduceOnly) {
+            const { availableBalance } = getAccountSnapshot();
+            const requiredMargin = (order.qty * price) / leverage;
+            if (requiredMargin > availableBalance) {
+                const error = new Error(
+                    `Paper exchange: insufficient available balance (${requiredMargin.toFixed(2)} > ${availableBalance.toFixed(2)})`
+                );
+                error.code = 110007;
+                throw error;
+            }
+        } else if (!positions.has(order.symbol)) {
+            const error = new Error("Paper exchange: reduce-only order without open position");
+            error.code = 110017;
+            throw error;
+        }
+
+        orderSequence += 1;
+        const orderId = `paper-${orderSequence}`;
+        const resting = {
+            orderId,
+            orderLinkId: order.orderLinkId,
+            symbol: order.symbol,
+            side: order.side,
+            qty: order.qty,
+            price,
+            leverage,
+            reduceOnly: Boolean(order.reduceOnly),
+            takeProfit: Number.isFinite(order.takeProfit) && order.takeProfit > 0 ? order.takeProfit : undefined,
+            stopLoss: Number.isFinite(order.stopLoss) && order.stopLoss > 0 ? order.stopLoss : undefined,
+            createdAt: now()
+        };
+
+        const marketable = isMarket || (isBuySide(order.side) ? lastPrice <= price : lastPrice >= price);
+        if (marketable) {
+            applyFill(resting, lastPrice, events);
+        } else {
+            openOrders.push(resting);
+        }
+
+        return { orderId, orderLinkId: order.orderLinkId, events };
+    }
+
+    function placeOrders(orders = []) {
+        return orders.map((order) => {
+            try {
+                const result = placeOrder(order);
+                return { status: "success", order, orderId: result.orderId, result };
+            } catch (error) {
+                return { status: "error", order, error: error.message };
+            }
+        });
+    }
+
+    function cancelOrder(orderLinkId) {
+        const index = openOrders.findIndex((order) => order.orderLinkId === orderLinkId);
+        if (index === -1) {
+            return false;
+        }
+        openOrders.splice(index, 1);
+        return true;
+    }
+
+    function amendOrder(orderLinkId, { price }) {
+        const order = openOrders.find((entry) => entry.orderLinkId === orderLinkId);
+        if (!order) {
+            throw new Error(`Paper exchange: order ${orderLinkId} not found`);
+        }
+        if (!Number.isFinite(price) || price <= 0) {
+            throw new Error("Paper exchange rejected amend with invalid price");
+        }
+        order.price = price;
+        const events = [];
+        const lastPrice = lastPrices.get(order.symbol);
+        if (Number.isFinite(lastPrice) && (isBuySide(order.side) ? lastPrice <= price : lastPrice >= price)) {
+            openOrders.splice(openOrders.indexOf(order), 1);
+            applyFill(order, lastPrice, events);
+        }
+        return { orderId: order.orderId, orderLinkId, events };
+    }
+
+    function setTradingStop(symbol, { stopLoss, takeProfit } = {}) {
+        const position = positions.get(symbol);
+        if (!position) {
+            throw new Error(`Paper exchange: no open ${symbol} position to protect`);
+        }
+        positions.set(symbol, {
+            ...position,
+            stopLoss: stopLoss ?? position.stopLoss,
+            takeProfit: takeProfit ?? position.takeProfit
+        });
+    }
+
+    function cancelAllOrders(symbol) {
+        const cancelled = openOrders.filter((order) => !symbol || order.symbol === symbol);
+        for (const order of cancelled) {
+            openOrders.splice(openOrders.indexOf(order), 1);
+        }
+        return cancelled;
+    }
+
+    function exportState() {
+        return {
+            walletBalance,
+            orderSequence,
+            positions: Object.fromEntries(positions),
+            openOrders: openOrders.map((order) => ({ ...order })),
+            lastPrices: Object.fromEntries(lastPrices),
+            lastCandleTimes: Object.fromEntries(lastCandleTimes)
+        };
+    }
+
+    return {
+        getAccountSnapshot,
+        getPositionState,
+        getOpenOrders,
+        updateMarket,
+        processBar,
+        placeOrders,
+        cancelOrder,
+        amendOrder,
+        setTradingStop,
+        cancelAllOrders,
+        exportState,
+        closePosition(symbol, price, reason = "manual") {
+            const events = [];
+            closePosition(symbol, price, reason, events);
+            return events;
+        }
+    };
+}
+
+// A fill that reduces a position closes a trade; its fee covers the exit and the share of entry fees it closes.
+export function describeClosedTrade(event) {
+    if (event.type === "rejected" || !(event.closedQty > 0)) {
+        return null;
+    }
+    const fee = (event.fee * event.closedQty) / event.qty + (event.entryFee ?? 0);
+    return { qty: event.closedQty, fee: roundAmount(fee), netPnl: roundAmount(event.realisedPnl - fee) };
+}
+
+export function formatPaperEvent(event) {
+    const label = {
+        fill: "Filled",
+        stop_loss: "Stop loss hit",
+        take_profit: "Take profit hit",
+        liquidation: "Liquidated",
+        rejected: "Rejected",
+        manual: "Closed"
+    }[event.type] ?? event.type;
+    if (event.type === "rejected") {
+        return `• ${label}: ${event.symbol} — ${event.reason}`;
+    }
+    const pnl = event.realisedPnl ? ` | PnL ${event.realisedPnl.toFixed(2)} USDT` : "";
+    return `• ${label}: ${event.symbol} ${event.side} ${event.qty} @ ${event.price}${pnl}`;
+}
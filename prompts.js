@@ -1,11 +1,11 @@
-// # Bybit-specific prompt template for perpetual contract trading
+// # Bybit-specific prompt templates for perpetual contract trading
 export const bybit_template = `=== SESSION CONTEXT ===
 Runtime: {runtime_minutes} minutes since trading started
 Current UTC time: {current_time_utc}
 
 === TRADING ENVIRONMENT ===
 Platform: Bybit Perpetual Contracts
-Environment: MAINNET
+Environment: {environment_label}
 ⚠️ {real_trading_warning}
 
 === ACCOUNT STATE ===
@@ -23,6 +23,10 @@ Account Leverage Settings:
 === OPEN POSITIONS ===
 {positions_detail}
 
+=== OPEN ORDERS ===
+Resting limit orders still on the book. Do not stack a new entry on top of a pending one; stale orders are cancelled automatically.
+{open_orders_detail}
+
 === SYMBOLS IN PLAY ===
 Monitoring {selected_symbols_count} Bybit contracts (multi-coin decisioning is the default):
 {selected_symbols_detail}
@@ -31,11 +35,15 @@ Monitoring {selected_symbols_count} Bybit contracts (multi-coin decisioning is t
 Current prices (USD):
 {market_prices}
 
+=== DERIVATIVES MARKET STRUCTURE ===
+Order book depth and imbalance, open-interest trend, account long/short ratio, recent funding and mark/index basis:
+{market_structure_section}
+
 === INTRADAY PRICE SERIES ===
 {sampling_data}
 
 === TECHNICAL INDICATORS ===
-VWMA20, RSI14, and MACD(12/26/9) computed for 1m, 5m, and 1h intervals (MACD reported as line/signal/histogram):
+Per-timeframe indicators computed from the 1m, 5m, and 1h candles (a timeframe may list a different set):
 {indicator_section}
 
 === LATEST CRYPTO NEWS ===
@@ -85,13 +93,19 @@ You are trading real perpetual contracts on Bybit. Key concepts:
 === DECISION REQUIREMENTS ===
 - You must analyze every coin listed above and return decisions for each relevant opportunity (multi-coin output is required every cycle).
 - If a coin has no actionable setup, keep it in the decisions array with \`operation: "hold"\` and \`target_portion_of_balance: 0\` to document the assessment.
-- Choose operation: "buy" (long), "sell" (short), "hold", or "close"
+- Choose operation: "buy" (long), "sell" (short), "hold", "close", or one of the position management operations below
 - For "buy" (long): target_portion_of_balance is % of available balance to use (0.0-1.0)
 - For "sell" (short): target_portion_of_balance is % of available balance to use (0.0-1.0)
 - For "close": target_portion_of_balance is % of position to close (0.0-1.0, typically 1.0) and you must include the same price guardrail you would use if initiating that directional action (see below).
 - For "hold": target_portion_of_balance must be 0
+- Position management (only for symbols with an open position listed under OPEN POSITIONS):
+  - "move_stop": set a new \`stop_loss_price\` for the open position (must stay on the losing side of the current price and may only tighten an existing stop, never move it further from the price); target_portion_of_balance 0
+  - "move_target": set a new \`take_profit_price\` for the open position (must stay on the winning side of the current price); target_portion_of_balance 0
+  - "partial_close": target_portion_of_balance is the fraction of the position to close (strictly between 0.0 and 1.0), with the same price guardrail as "close"
+  - "add": increase the open position in its current direction; target_portion_of_balance is % of available balance, with the guardrail, \`stop_loss_price\` and \`take_profit_price\` of a new entry in that direction; its \`stop_loss_price\` replaces the position's stop, so like "move_stop" it may only tighten an existing stop
+  - Use these to react to news, reversals or momentum while a position is open instead of holding by default.
 - leverage: integer 1-{max_leverage} (lower = safer, higher = more risk)
-- Every non-HOLD entry must include explicit \`stop_loss_price\` (where the trade is invalidated) and \`take_profit_price\` (first target); omit both only when operation is "hold".
+- Every buy/sell/close/add entry must include explicit \`stop_loss_price\` (where the trade is invalidated) and \`take_profit_price\` (first target); omit both only when operation is "hold".
 - Price guardrails:
   - Provide \`max_price\` whenever the execution requires buying (operations "buy" plus any \`close\` that covers a short).
   - Provide \`min_price\` whenever the execution requires selling (operations "sell" plus any \`close\` that reduces a long).
@@ -145,14 +159,78 @@ Example output with multiple simultaneous orders (use plain single braces exactl
 
 FIELD TYPE REQUIREMENTS:
 - decisions: array (one entry per supported symbol; include HOLD entries with zero allocation when you choose not to act)
-- operation: string ("buy" for long, "sell" for short, "hold", or "close")
+- operation: string ("buy" for long, "sell" for short, "hold", "close", "move_stop", "move_target", "partial_close", or "add")
 - symbol: string (must match one of: {selected_symbols_csv})
 - target_portion_of_balance: number (float between 0.0 and 1.0)
 - leverage: integer (between 1 and {max_leverage}, REQUIRED field)
 - max_price: number (required whenever the instruction buys contracts - opening longs or covering shorts - and caps acceptable fill price)
 - min_price: number (required whenever the instruction sells contracts - opening shorts or reducing longs - and sets the lowest acceptable fill)
-- stop_loss_price: number (required for every buy/sell/close and must reflect the invalidation level; omit for holds)
-- take_profit_price: number (required for every buy/sell/close and must reflect the first target; omit for holds)
+- stop_loss_price: number (required for every buy/sell/close/add and for move_stop; must reflect the invalidation level; omit for holds)
+- take_profit_price: number (required for every buy/sell/close/add and for move_target; must reflect the first target; omit for holds)
+- confidence: number (optional, 0.0-1.0 conviction in this instruction)
 - reason: string explaining the key catalyst, risk, or signal (no strict length limit, but stay focused)
 - trading_strategy: string covering entry thesis, leverage reasoning, liquidation awareness, and exit plan
 `;
+
+function withStrategyProfile(profile) {
+    return bybit_template.replace(
+        "=== PERPETUAL CONTRACT TRADING RULES ===",
+        `=== STRATEGY PROFILE ===
+${profile}
+
+=== PERPETUAL CONTRACT TRADING RULES ===`
+    );
+}
+
+// Bump a template's version whenever its text changes and record the new hash in TEMPLATE_VERSION_HASHES.
+export const PROMPT_TEMPLATES = {
+    default: {
+        version: "1.8.0",
+        description: "Balanced multi-coin perpetuals trader",
+        template: bybit_template
+    },
+    aggressive_scalper: {
+        version: "1.2.0",
+        description: "Short-horizon momentum scalps on the 1m/5m structure",
+        template: withStrategyProfile(`Aggressive scalper:
+- Trade the 1m and 5m structure; ignore 1h trend unless it is extreme.
+- Prefer quick entries on momentum bursts, order book imbalance and VWMA reclaims.
+- Keep stops tight (within roughly 1x 5m ATR) and take profit at 1.5-2R; move the stop to breakeven early.
+- Leverage up to the maximum allowed is acceptable on high-conviction setups, but size each entry small (0.05-0.15 of balance).`)
+    },
+    conservative_swing: {
+        version: "1.2.0",
+        description: "Low-frequency swing trades aligned with the 1h trend",
+        template: withStrategyProfile(`Conservative swing:
+- Only trade in the direction of the 1h trend (EMA alignment, ADX above 20); otherwise hold.
+- Enter on pullbacks toward value (VWMA, middle Bollinger band), never on extended candles.
+- Place stops beyond the last 1h swing and target at least 2.5R.
+- Keep leverage at 2-3x and total allocation below 0.30 of balance; it is fine to hold for many cycles.`)
+    }
+};
+
+// Content hash of every released template version. The startup lint fails when a template no longer matches the
+// hash recorded for its version, so edited text cannot ship under an old version.
+export const TEMPLATE_VERSION_HASHES = {
+    default: {
+        "1.0.0": "ffbb455c850c",
+        "1.1.0": "1aca336f8797", // open orders section
+        "1.2.0": "b061fae3107a", // environment label
+        "1.3.0": "d5eb4996c356", // optional decision confidence
+        "1.4.0": "04a6a4d0b86b", // position management operations
+        "1.5.0": "f539d55dad93", // per-timeframe indicators
+        "1.6.0": "a6cdaa4d8a6b", // market structure section
+        "1.7.0": "d85b515ae56d", // move_stop may only tighten
+        "1.8.0": "7c49a0f64085" // add may only tighten the stop
+    },
+    aggressive_scalper: {
+        "1.0.0": "7f70e1df7f1a",
+        "1.1.0": "4cf6c75d5040", // default 1.7.0 rules
+        "1.2.0": "5c7608563985" // default 1.8.0 rules
+    },
+    conservative_swing: {
+        "1.0.0": "74ad3ce235ab",
+        "1.1.0": "67603dfc3e42", // default 1.7.0 rules
+        "1.2.0": "46188dd5462f" // default 1.8.0 rules
+    }
+};
@@ -0,0 +1,119 @@
+// # Deterministic breakeven and trailing-stop rules, independent of the model
+import { formatUsd, quantizeToStep } from "./trading.js";
+
+export const TRAIL_MODES = ["off", "fixed", "percent", "atr"];
+
+function isLong(position) {
+    return position.side?.toUpperCase() !== "SELL";
+}
+
+function positionKey(symbol, position) {
+    return `${symbol}:${position.positionIdx ?? 0}:${position.side}`;
+}
+
+export function createProtectionEngine({
+    breakevenR = Infinity,
+    breakevenOffsetPct = 0.0005,
+    trailMode = "off",
+    trailDistance = 0,
+    atrMultiple = 2,
+    trailActivationR = 0,
+    nativeTrailing = false
+} = {}) {
+    // Initial risk (entry to first stop) is remembered per position so R-multiples survive later stop moves.
+    const initialRisk = new Map();
+    const enabled = Number.isFinite(breakevenR) || trailMode !== "off";
+
+    function resolveTrailDistance(price, atr) {
+        if (trailMode === "fixed") {
+            return trailDistance;
+        }
+        if (trailMode === "percent") {
+            return price * trailDistance;
+        }
+        if (trailMode === "atr") {
+            return Number.isFinite(atr) ? atr * atrMultiple : null;
+        }
+        return null;
+    }
+
+    function plan(symbol, position, { price, atr, tickSize, positionIdx = 0 }) {
+        if (!enabled || !position || !(Number(position.size) > 0) || !(price > 0)) {
+            return null;
+        }
+        const long = isLong(position);
+        const entry = Number(position.entryPrice);
+        const currentStop = Number(position.stopLoss) || 0;
+        const key = positionKey(symbol, position);
+        if (!initialRisk.has(key) && currentStop > 0) {
+            initialRisk.set(key, Math.abs(entry - currentStop));
+        }
+        const risk = initialRisk.get(key);
+        const profit = long ? price - entry : entry - price;
+        const rMultiple = risk > 0 ? profit / risk : null;
+
+        const candidates = [];
+        if (Number.isFinite(breakevenR) && rMultiple !== null && rMultiple >= breakevenR) {
+            candidates.push({
+                stop: entry * (long ? 1 + breakevenOffsetPct : 1 - breakevenOffsetPct),
+                rule: `breakeven at ${rMultiple.toFixed(2)}R`
+            });
+        }
+
+        const distance = resolveTrailDistance(price, atr);
+        const trailActive = distance > 0 && (trailActivationR <= 0 || (rMultiple !== null && rMultiple >= trailActivationR));
+        if (trailActive && nativeTrailing) {
+            const nativeDistance = quantizeToStep(distance, tickSize, "round");
+            if (nativeDistance > 0 && Math.abs(nativeDistance - (Number(position.trailingStop) || 0)) >= tickSize) {
+                return {
+                    operation: "trailing_stop",
+                    symbol,
+                    positionIdx,
+                    trailingStop: nativeDistance,
+                    previous: Number(position.trailingStop) || 0,
+                    rule: `native trailing ${trailMode} distance`
+                };
+            }
+        } else if (trailActive) {
+            candidates.push({ stop: long ? price - distance : price + distance, rule: `trail ${trailMode} ${formatUsd(distance)}` });
+        }
+
+        // Stops only ever tighten, and never cross the current price.
+        const best = candidates
+            .map((candidate) => ({ ...candidate, stop: quantizeToStep(candidate.stop, tickSize, long ? "floor" : "ceil") }))
+            .filter((candidate) => (long ? candidate.stop < price : candidate.stop > price))
+            .filter((candidate) => !currentStop || (long ? candidate.stop - currentStop : currentStop - candidate.stop) >= tickSize)
+            .reduce((tightest, candidate) => {
+                if (!tightest) {
+                    return candidate;
+                }
+                return (long ? candidate.stop > tightest.stop : candidate.stop < tightest.stop) ? candidate : tightest;
+            }, null);
+        if (!best) {
+            return null;
+        }
+
+        return {
+            operation: "move_stop",
+            symbol,
+            positionIdx,
+            stopLoss: best.stop,
+            previous: currentStop,
+            rule: best.rule
+        };
+    }
+
+    function forget(symbol, position) {
+        if (position) {
+            initialRisk.delete(positionKey(symbol, position));
+            return;
+        }
+        for (const key of initialRisk.keys()) {
+            if (key.startsWith(`${symbol}:`)) {
+                initialRisk.delete(key);
+            }
+        }
+    }
+
+    return { enabled, plan, forget };
+}
@@ -0,0 +1,141 @@
+// # LLM provider layer: OpenAI-compatible endpoints, scripted stand-in and ordered failover
+import fs from "fs";
+import OpenAI from "openai";
+import invariant from "tiny-invariant";
+
+export const PROVIDER_TYPES = ["openai", "scripted"];
+const DEFAULT_MODEL = "qwen3-max";
+const DEFAULT_TEMPERATURE = 0.2;
+const DEFAULT_TIMEOUT_MS = 60000;
+const EMPTY_DECISIONS_RESPONSE = JSON.stringify({ decisions: [] });
+
+function extractContent(completion) {
+    const content = completion.choices?.[0]?.message?.content?.trim();
+    if (!content) {
+        throw new Error("Model returned empty response");
+    }
+    return { content, usage: completion.usage ?? null };
+}
+
+export function createOpenAIProvider({
+    name = "openai",
+    baseURL,
+    apiKey,
+    model = DEFAULT_MODEL,
+    temperature = DEFAULT_TEMPERATURE,
+    maxTokens,
+    timeoutMs = DEFAULT_TIMEOUT_MS
+}) {
+    invariant(baseURL, `LLM provider ${name} is missing a base URL`);
+    invariant(apiKey, `LLM provider ${name} is missing an API key`);
+    // Retries are left to the fallback chain so a dead endpoint fails over quickly.
+    const client = new OpenAI({ apiKey, baseURL, timeout: timeoutMs, maxRetries: 0 });
+
+    return {
+        name,
+        model,
+        async complete(messages) {
+            const completion = await client.chat.completions.create({
+                model,
+                temperature,
+                ...(Number.isFinite(maxTokens) ? { max_tokens: maxTokens } : {}),
+                messages
+            });
+            return extractContent(completion);
+        }
+    };
+}
+
+function loadScript(file) {
+    const raw = fs.readFileSync(file, "utf8").trim();
+    if (raw.startsWith("[")) {
+        return JSON.parse(raw).map((entry) => (typeof entry === "string" ? entry : JSON.stringify(entry)));
+    }
+    // Same `{ "response": "<raw model JSON>" }` lines the backtest's recorded source reads.
+    return raw
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line).response);
+}
+
+export function createScriptedProvider({ name = "scripted", model = "scripted", file, responses } = {}) {
+    const script = responses ?? (file ? loadScript(file) : [EMPTY_DECISIONS_RESPONSE]);
+    invariant(script.length > 0, `Scripted LLM provider ${name} has no responses`);
+    let cursor = 0;
+
+    return {
+        name,
+        model,
+        async complete() {
+            const content = script[cursor % script.length];
+            cursor += 1;
+            return { content, usage: null };
+        }
+    };
+}
+
+// `onAttempt` sees every provider call, successful or not, with its latency and token usage.
+export function createProviderChain(providers, { onAttempt } = {}) {
+    invariant(providers.length > 0, "At least one LLM provider must be configured");
+    const report = (attempt) => {
+        try {
+            onAttempt?.(attempt);
+        } catch (error) {
+            console.error("LLM attempt hook failed:", error);
+        }
+    };
+
+    return {
+        providers,
+        describe: () => providers.map((provider) => `${provider.name}/${provider.model}`).join(" → "),
+        async complete(messages) {
+            const failures = [];
+            for (const provider of providers) {
+                const startedAt = Date.now();
+                try {
+                    const { content, usage } = await provider.complete(messages);
+                    report({ provider: provider.name, model: provider.model, latencyMs: Date.now() - startedAt, usage });
+                    return { content, usage, provider: provider.name, model: provider.model, failures };
+                } catch (error) {
+                    report({ provider: provider.name, model: provider.model, latencyMs: Date.now() - startedAt, error });
+                    console.warn(`LLM provider ${provider.name}/${provider.model} failed: ${error.message}`);
+                    failures.push({ provider: provider.name, model: provider.model, error: error.message });
+                }
+            }
+            throw new Error(
+                `All LLM providers failed: ${failures
+                    .map((failure) => `${failure.provider}/${failure.model}: ${failure.error}`)
+                    .join("; ")}`
+            );
+        }
+    };
+}
+
+// `llm` is the loaded llm config section; a provider's own settings win over the section-wide values.
+export function createProviderFromConfig(id, llm) {
+    const settings = llm.providerSettings?.[id] ?? {};
+    const type = settings.type || (id === "scripted" ? "scripted" : "openai");
+
+    if (type === "scripted") {
+        return createScriptedProvider({
+            name: id,
+            model: settings.model || "scripted",
+            file: settings.script
+        });
+    }
+    invariant(type === "openai", `Unsupported LLM provider type ${type} for ${id}; expected "openai" or "scripted"`);
+    return createOpenAIProvider({
+        name: id,
+        baseURL: settings.baseUrl || llm.baseUrl,
+        apiKey: settings.apiKey || llm.apiKey,
+        model: settings.model || llm.model || DEFAULT_MODEL,
+        temperature: settings.temperature ?? llm.temperature ?? DEFAULT_TEMPERATURE,
+        maxTokens: settings.maxTokens ?? llm.maxTokens,
+        timeoutMs: settings.timeoutMs ?? llm.timeoutMs ?? DEFAULT_TIMEOUT_MS
+    });
+}
+
+// Without LLM_PROVIDERS the chain is the single OPENAI_BASE_URL endpoint the bot always used.
+export function createProviderChainFromConfig(llm, { ids = llm.providers, onAttempt } = {}) {
+    return createProviderChain(ids.map((id) => createProviderFromConfig(id, llm)), { onAttempt });
+}
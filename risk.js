@@ -0,0 +1,224 @@
+// # Pre-trade risk checks applied between order mapping and order placement
+import fs from "fs";
+import { pathToFileURL } from "url";
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+import { formatConfigErrors, loadConfig } from "./config.js";
+import { DEFAULT_QTY_STEP, TARGET_LEVERAGE, formatUsd, formatPercent, quantizeToStep } from "./trading.js";
+
+export const DEFAULT_RISK_STATE_FILE = ".risk-state.json";
+
+function utcDate(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function emptyState() {
+    return {
+        day: null,
+        killSwitch: { active: false, reason: null, since: null }
+    };
+}
+
+export function loadRiskState(stateFile = DEFAULT_RISK_STATE_FILE) {
+    if (!stateFile || !fs.existsSync(stateFile)) {
+        return emptyState();
+    }
+    try {
+        return { ...emptyState(), ...JSON.parse(fs.readFileSync(stateFile, "utf8")) };
+    } catch (error) {
+        console.error(`Failed to read risk state from ${stateFile}:`, error);
+        return emptyState();
+    }
+}
+
+function saveRiskState(stateFile, state) {
+    if (!stateFile) {
+        return;
+    }
+    fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+}
+
+export function resetKillSwitch(stateFile = DEFAULT_RISK_STATE_FILE) {
+    const state = loadRiskState(stateFile);
+    const wasActive = state.killSwitch.active;
+    state.killSwitch = { active: false, reason: null, since: null };
+    // The loss that latched the switch would latch it again; the next check restarts the day from current equity.
+    if (state.day) {
+        state.day.rebase = true;
+    }
+    saveRiskState(stateFile, state);
+    return wasActive;
+}
+
+function describeOrder(order) {
+    return `${order.symbol} ${order.side} ${order.qty} @ ${order.price}`;
+}
+
+export function createRiskEngine({
+    maxLeverage = TARGET_LEVERAGE,
+    maxPortion = 1,
+    maxNotional = Infinity,
+    maxMarginUsage = 0.7,
+    dailyLossLimitPct = Infinity,
+    dailyLossLimitUsdt = Infinity,
+    stateFile = DEFAULT_RISK_STATE_FILE,
+    now = () => Date.now()
+} = {}) {
+    // State is re-read every cycle so a reset from the CLI takes effect without a restart.
+    function updateDailyLoss(state, account) {
+        const today = utcDate(now());
+        const equity = Number(account?.totalEquity) || 0;
+        if (!state.day || state.day.date !== today || state.day.rebase) {
+            state.day = { date: today, startEquity: equity };
+        }
+        const loss = Math.max(0, state.day.startEquity - equity);
+        const limit = Math.min(dailyLossLimitUsdt, state.day.startEquity * dailyLossLimitPct);
+        return { loss, limit };
+    }
+
+    function evaluate(orders = [], context) {
+        const state = loadRiskState(stateFile);
+        const interventions = [];
+        const { loss, limit } = updateDailyLoss(state, context.account);
+        let killSwitchTriggered = false;
+
+        if (!state.killSwitch.active && Number.isFinite(limit) && loss >= limit) {
+            state.killSwitch = {
+                active: true,
+                reason: `daily loss ${formatUsd(loss)} USDT reached limit ${formatUsd(limit)} USDT`,
+                since: new Date(now()).toISOString()
+            };
+            killSwitchTriggered = true;
+        }
+        saveRiskState(stateFile, state);
+
+        const account = context.account ?? {};
+        const equity = Number(account.totalEquity) || 0;
+        const availableBalance = Number(account.availableBalance) || 0;
+        let projectedMargin = Number(account.usedMargin) || 0;
+        const approved = [];
+        // A runtime cap (e.g. from a Telegram command) can only tighten the configured limit.
+        const leverageCap = Math.min(maxLeverage, context.maxLeverage ?? Infinity);
+
+        for (const original of orders) {
+            const order = { ...original };
+            const notes = [];
+
+            if (order.reduceOnly) {
+                approved.push(order);
+                continue;
+            }
+            if (state.killSwitch.active) {
+                interventions.push({
+                    action: "rejected",
+                    order: original,
+                    message: `kill switch active (${state.killSwitch.reason}); new entries halted`
+                });
+                continue;
+            }
+
+            const meta = context.instrumentMeta?.[order.symbol] ?? {};
+            const qtyStep = meta.qtyStep || DEFAULT_QTY_STEP;
+            const minOrderQty = meta.minOrderQty || qtyStep;
+
+            if (order.leverage > leverageCap) {
+                notes.push(`leverage ${order.leverage}x capped at ${leverageCap}x`);
+                order.leverage = leverageCap;
+            }
+
+            const limits = [];
+            if (Number.isFinite(maxNotional)) {
+                limits.push({ qty: maxNotional / order.price, label: `max notional ${formatUsd(maxNotional)} USDT` });
+            }
+            if (Number.isFinite(maxPortion) && availableBalance > 0) {
+                limits.push({
+                    qty: (availableBalance * maxPortion * order.leverage) / order.price,
+                    label: `max ${formatPercent(maxPortion)} of available balance per trade`
+                });
+            }
+            if (equity > 0) {
+                const marginRoom = Math.max(0, equity * maxMarginUsage - projectedMargin);
+                limits.push({
+                    qty: (marginRoom * order.leverage) / order.price,
+                    label: `projected margin usage above ${formatPercent(maxMarginUsage)}`
+                });
+            }
+
+            const binding = limits.reduce(
+                (tightest, limit) => (limit.qty < (tightest?.qty ?? Infinity) ? limit : tightest),
+                null
+            );
+            if (binding && order.qty > binding.qty) {
+                const qty = quantizeToStep(binding.qty, qtyStep, "floor");
+                if (!(qty >= minOrderQty)) {
+                    interventions.push({
+                        action: "rejected",
+                        order: original,
+                        message: [...notes, `${binding.label}; remaining size below min order qty ${minOrderQty}`].join("; ")
+                    });
+                    continue;
+                }
+                notes.push(`qty ${order.qty} → ${qty} (${binding.label})`);
+                order.qty = qty;
+            }
+
+            projectedMargin += (order.qty * order.price) / order.leverage;
+            if (notes.length) {
+                interventions.push({ action: "downsized", order, message: notes.join("; ") });
+            }
+            approved.push(order);
+        }
+
+        return {
+            approved,
+            interventions,
+            killSwitch: state.killSwitch,
+            killSwitchTriggered,
+            dailyLoss: loss,
+            dailyLossLimit: limit,
+            projectedMarginUsage: equity > 0 ? projectedMargin / equity : 0
+        };
+    }
+
+    return {
+        evaluate,
+        getState: () => loadRiskState(stateFile),
+        resetKillSwitch: () => resetKillSwitch(stateFile)
+    };
+}
+
+export function formatRiskIntervention(intervention) {
+    const icon = intervention.action === "rejected" ? "⛔" : "✂️";
+    return `• ${icon} ${describeOrder(intervention.order)} ${intervention.action}: ${intervention.message}`;
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            reset: { type: "boolean", default: false },
+            state: { type: "string" },
+            config: { type: "string" }
+        }
+    });
+    // Same .env, config file and RISK_STATE_FILE as the bot, so the reset reaches the file the bot reads.
+    dotenv.config();
+    const loaded = loadConfig({ sections: ["risk"] });
+    if (loaded.errors.length) {
+        console.error(formatConfigErrors(loaded.errors));
+        process.exit(1);
+    }
+    const stateFile = values.state ?? loaded.config.risk.stateFile ?? DEFAULT_RISK_STATE_FILE;
+    if (values.reset) {
+        const wasActive = resetKillSwitch(stateFile);
+        console.log(wasActive ? "Kill switch reset; new entries allowed." : "Kill switch was not active.");
+        return;
+    }
+    console.log(JSON.stringify(loadRiskState(stateFile), null, 2));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch((error) => {
+        console.error("Risk CLI failed:", error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,187 @@
+// # Embedded HTTP API and dashboard; data and control come from callbacks supplied by index.js
+import crypto from "crypto";
+import http from "http";
+
+const JSON_HEADERS = { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" };
+
+function sendJson(response, status, payload) {
+    response.writeHead(status, JSON_HEADERS);
+    response.end(JSON.stringify(payload));
+}
+
+function tokenMatches(expected, header = "") {
+    const provided = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export function summarizeCycleForApi(cycle) {
+    return {
+        cycleId: cycle.cycleId,
+        startedAt: cycle.startedAt,
+        finishedAt: cycle.finishedAt,
+        status: cycle.status,
+        durationMs: cycle.durationMs,
+        model: cycle.model,
+        template: cycle.template,
+        equity: cycle.account?.totalEquity ?? null,
+        decisions: cycle.decisions ?? [],
+        orders: cycle.orders ?? [],
+        executions: (cycle.executions ?? []).map(({ status, order, orderId, error }) => ({ status, order, orderId, error })),
+        adjustments: cycle.adjustmentResults ?? [],
+        error: cycle.error ?? cycle.skipReason ?? null
+    };
+}
+
+export function createApiServer({ port, host = "127.0.0.1", controlToken, routes, controls, metrics }) {
+    const server = http.createServer(async (request, response) => {
+        const url = new URL(request.url, "http://localhost");
+        try {
+            if (request.method === "GET" && (url.pathname === "/" || url.pathname === "/dashboard")) {
+                response.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+                response.end(DASHBOARD_HTML);
+                return;
+            }
+
+            if (request.method === "GET" && url.pathname === "/metrics" && metrics) {
+                response.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+                response.end(metrics.render());
+                return;
+            }
+
+            const controlMatch = url.pathname.match(/^\/api\/control\/([a-z-]+)$/);
+            if (controlMatch) {
+                if (request.method !== "POST") {
+                    sendJson(response, 405, { error: "Control endpoints require POST" });
+                    return;
+                }
+                if (!controlToken) {
+                    sendJson(response, 403, { error: "Control endpoints are disabled; set HTTP_CONTROL_TOKEN" });
+                    return;
+                }
+                if (!tokenMatches(controlToken, request.headers.authorization)) {
+                    sendJson(response, 401, { error: "Missing or invalid bearer token" });
+                    return;
+                }
+                const control = controls[controlMatch[1]];
+                if (!control) {
+                    sendJson(response, 404, { error: `Unknown control ${controlMatch[1]}` });
+                    return;
+                }
+                console.log(`HTTP control ${controlMatch[1]} from ${request.socket.remoteAddress}`);
+                sendJson(response, 200, { ok: true, message: await control() });
+                return;
+            }
+
+            const route = routes[url.pathname];
+            if (!route) {
+                sendJson(response, 404, { error: `No route ${url.pathname}` });
+                return;
+            }
+            if (request.method !== "GET") {
+                sendJson(response, 405, { error: `${url.pathname} only supports GET` });
+                return;
+            }
+            sendJson(response, 200, await route(url.searchParams));
+        } catch (error) {
+            console.error(`HTTP ${request.method} ${url.pathname} failed:`, error);
+            sendJson(response, 500, { error: error.message });
+        }
+    });
+
+    return {
+        start() {
+            server.listen(port, host, () => {
+                console.log(`HTTP API and dashboard listening on http://${host}:${port}`);
+            });
+            server.on("error", (error) => {
+                console.error("HTTP server error:", error);
+            });
+        },
+        stop() {
+            server.close();
+        }
+    };
+}
+
+const DASHBOARD_HTML = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Bybit bot dashboard</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 1.5rem; background: #111; color: #ddd; }
+  h1 { font-size: 1.2rem; } h2 { font-size: 1rem; margin-top: 1.5rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+  td, th { border-bottom: 1px solid #333; padding: 0.3rem 0.5rem; text-align: left; }
+  pre { white-space: pre-wrap; background: #1b1b1b; padding: 0.75rem; font-size: 0.85rem; }
+  svg { background: #1b1b1b; width: 100%; height: 220px; }
+  .muted { color: #888; }
+</style>
+</head>
+<body>
+<h1 id="title">Bybit bot</h1>
+<div id="status" class="muted">Loading…</div>
+<h2>Equity</h2>
+<svg id="equity" viewBox="0 0 1000 220" preserveAspectRatio="none"></svg>
+<div id="equity-range" class="muted"></div>
+<h2>Positions</h2>
+<table id="positions"></table>
+<h2>Recent orders</h2>
+<div class="muted">Orders the bot sent; fills are reported in Telegram.</div>
+<table id="orders"></table>
+<h2>Last model reasoning</h2>
+<pre id="reasoning">-</pre>
+<script>
+const get = (path) => fetch(path).then((response) => response.json());
+const escape = (value) => String(value ?? "").replace(/[&<>"]/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[char]);
+const row = (cells, tag = "td") => "<tr>" + cells.map((cell) => "<" + tag + ">" + escape(cell) + "</" + tag + ">").join("") + "</tr>";
+
+async function refresh() {
+  const [status, positions, cycles, equity] = await Promise.all([
+    get("/api/status"), get("/api/positions"), get("/api/cycles?limit=20"), get("/api/equity")
+  ]);
+  document.getElementById("title").textContent = status.environment + " · " + status.symbols.join(", ");
+  document.getElementById("status").textContent = [
+    status.scheduler.paused ? "PAUSED" : status.scheduler.running ? "cycle running" : "next cycle " + (status.scheduler.nextCycleAt ?? "pending"),
+    "leverage cap " + status.leverageCap + "x",
+    "template " + status.template,
+    status.killSwitch?.active ? "KILL SWITCH: " + status.killSwitch.reason : null
+  ].filter(Boolean).join(" | ");
+
+  const points = equity.filter((point) => Number.isFinite(point.equity));
+  const svg = document.getElementById("equity");
+  if (points.length > 1) {
+    const values = points.map((point) => point.equity);
+    const min = Math.min(...values), max = Math.max(...values), span = max - min || 1;
+    const coords = points.map((point, index) =>
+      (index / (points.length - 1)) * 1000 + "," + (210 - ((point.equity - min) / span) * 200));
+    svg.innerHTML = '<polyline fill="none" stroke="#4caf50" stroke-width="2" points="' + coords.join(" ") + '"/>';
+    document.getElementById("equity-range").textContent =
+      "min $" + min.toFixed(2) + " · max $" + max.toFixed(2) + " · last $" + values[values.length - 1].toFixed(2);
+  }
+
+  document.getElementById("positions").innerHTML = row(["Symbol", "Position"], "th") +
+    Object.entries(positions).map(([symbol, state]) => row([symbol, state.detail])).join("");
+
+  const orders = cycles.flatMap((cycle) => cycle.executions.map((execution) => ({ cycle, execution }))).reverse();
+  document.getElementById("orders").innerHTML = row(["Time", "Symbol", "Side", "Qty", "Price", "Status"], "th") +
+    orders.map(({ cycle, execution }) => row([
+      cycle.startedAt, execution.order?.symbol, execution.order?.side, execution.order?.qty, execution.order?.price,
+      execution.status === "success" ? "placed" : "failed: " + execution.error
+    ])).join("");
+
+  const last = cycles.filter((cycle) => cycle.decisions.length).pop();
+  document.getElementById("reasoning").textContent = last
+    ? last.cycleId + " @ " + last.startedAt + "\\n\\n" + last.decisions.map((decision) =>
+      decision.symbol + " " + decision.operation.toUpperCase() + "\\n  " + (decision.reason ?? "") + "\\n  " + (decision.trading_strategy ?? "")).join("\\n\\n")
+    : "-";
+}
+
+refresh().catch((error) => { document.getElementById("status").textContent = "Failed to load: " + error.message; });
+setInterval(() => refresh().catch(() => {}), 15000);
+</script>
+</body>
+</html>
+`;
@@ -0,0 +1,251 @@
+// # Bybit v5 private WebSocket client (order, execution, position, wallet topics)
+import crypto from "crypto";
+import WebSocket from "ws";
+
+const DEFAULT_TOPICS = ["order", "execution", "position", "wallet"];
+const PROTECTIVE_STOP_TYPES = {
+    TakeProfit: "Take profit",
+    PartialTakeProfit: "Partial take profit",
+    StopLoss: "Stop loss",
+    PartialStopLoss: "Partial stop loss",
+    TrailingStop: "Trailing stop"
+};
+const LIQUIDATION_CREATE_TYPES = ["CreateByLiq", "CreateByTakeOver_PassThrough", "CreateByAdl_PassThrough"];
+
+export function signStreamAuth(apiKey, apiSecret, expires) {
+    const signature = crypto
+        .createHmac("sha256", apiSecret)
+        .update(`GET/realtime${expires}`)
+        .digest("hex");
+    return { op: "auth", args: [apiKey, expires, signature] };
+}
+
+function describeOrderLabel(entry) {
+    return `${entry.symbol} ${entry.side}`;
+}
+
+export function createBybitPrivateStream({
+    url,
+    apiKey,
+    apiSecret,
+    topics = DEFAULT_TOPICS,
+    onNotification = () => {},
+    onPositionUpdate = () => {},
+    WebSocketImpl = WebSocket,
+    pingIntervalMs = 20000,
+    reconnectDelayMs = 1000,
+    maxReconnectDelayMs = 30000,
+    now = () => Date.now()
+}) {
+    const state = {
+        connected: false,
+        authenticated: false,
+        orders: new Map(),
+        positions: new Map(),
+        wallet: null,
+        lastMessageAt: null
+    };
+    let socket = null;
+    let pingTimer = null;
+    let reconnectTimer = null;
+    let reconnectAttempts = 0;
+    let stopped = true;
+    let awaitingPong = false;
+
+    function notify(type, message, data) {
+        try {
+            onNotification({ type, message, data });
+        } catch (error) {
+            console.error("Private stream notification handler failed:", error);
+        }
+    }
+
+    function handleExecution(entries) {
+        for (const entry of entries) {
+            const qty = Number(entry.execQty);
+            const leavesQty = Number(entry.leavesQty);
+            const label = describeOrderLabel(entry);
+            const liquidation = entry.execType === "BustTrade" || entry.execType === "AdlTrade";
+            if (liquidation) {
+                notify("liquidation", `🚨 ${entry.execType === "AdlTrade" ? "Auto-deleveraged" : "Liquidated"}: ${label} ${qty} @ ${entry.execPrice}`, entry);
+                continue;
+            }
+            if (entry.execType !== "Trade") {
+                continue;
+            }
+            const stopLabel = PROTECTIVE_STOP_TYPES[entry.stopOrderType];
+            if (stopLabel) {
+                notify("protective_fill", `🎯 ${stopLabel} filled: ${label} ${qty} @ ${entry.execPrice}`, entry);
+            } else if (leavesQty > 0) {
+                notify("partial_fill", `◐ Partial fill: ${label} ${qty} @ ${entry.execPrice} (${leavesQty} remaining)`, entry);
+            } else {
+                notify("fill", `✅ Filled: ${label} ${qty} @ ${entry.execPrice}`, entry);
+            }
+        }
+    }
+
+    function handleOrder(entries) {
+        for (const entry of entries) {
+            const previous = state.orders.get(entry.orderId);
+            if (["New", "PartiallyFilled", "Untriggered"].includes(entry.orderStatus)) {
+                state.orders.set(entry.orderId, entry);
+            } else {
+                state.orders.delete(entry.orderId);
+            }
+
+            const stopLabel = PROTECTIVE_STOP_TYPES[entry.stopOrderType];
+            if (stopLabel && entry.orderStatus === "Triggered" && previous?.orderStatus !== "Triggered") {
+                notify("protective_trigger", `⚡ ${stopLabel} triggered: ${describeOrderLabel(entry)} ${entry.qty} @ trigger ${entry.triggerPrice}`, entry);
+            }
+            if (LIQUIDATION_CREATE_TYPES.includes(entry.createType) && !previous) {
+                notify("liquidation", `🚨 Liquidation order created: ${describeOrderLabel(entry)} ${entry.qty}`, entry);
+            }
+        }
+    }
+
+    function handlePosition(entries) {
+        for (const entry of entries) {
+            const key = `${entry.symbol}:${entry.positionIdx ?? 0}`;
+            const previous = state.positions.get(key);
+            if (Number(entry.size) > 0) {
+                state.positions.set(key, entry);
+            } else {
+                state.positions.delete(key);
+            }
+            try {
+                onPositionUpdate(entry);
+            } catch (error) {
+                console.error("Private stream position handler failed:", error);
+            }
+            const status = entry.positionStatus;
+            if ((status === "Liq" || status === "Adl") && previous?.positionStatus !== status) {
+                notify("liquidation", `🚨 Position ${entry.symbol} entered ${status === "Liq" ? "liquidation" : "auto-deleveraging"} (liq ${entry.liqPrice})`, entry);
+            }
+        }
+    }
+
+    function handleMessage(raw) {
+        state.lastMessageAt = now();
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            console.warn("Ignoring malformed private stream message:", error.message);
+            return;
+        }
+
+        if (message.op === "pong" || message.ret_msg === "pong") {
+            awaitingPong = false;
+            return;
+        }
+        if (message.op === "auth") {
+            if (!message.success) {
+                console.error(`Private stream authentication failed: ${message.ret_msg}`);
+                notify("error", `❌ Bybit private stream auth failed: ${message.ret_msg}`, message);
+                socket?.close();
+                return;
+            }
+            state.authenticated = true;
+            reconnectAttempts = 0;
+            socket.send(JSON.stringify({ op: "subscribe", args: topics }));
+            return;
+        }
+        if (message.op === "subscribe") {
+            if (!message.success) {
+                console.error(`Private stream subscription failed: ${message.ret_msg}`);
+            }
+            return;
+        }
+
+        const entries = Array.isArray(message.data) ? message.data : [];
+        switch (message.topic) {
+            case "execution":
+                handleExecution(entries);
+                break;
+            case "order":
+                handleOrder(entries);
+                break;
+            case "position":
+                handlePosition(entries);
+                break;
+            case "wallet":
+                state.wallet = entries[0] ?? state.wallet;
+                break;
+            default:
+                break;
+        }
+    }
+
+    function clearTimers() {
+        clearInterval(pingTimer);
+        clearTimeout(reconnectTimer);
+        pingTimer = null;
+        reconnectTimer = null;
+    }
+
+    function scheduleReconnect() {
+        if (stopped) {
+            return;
+        }
+        const delay = Math.min(maxReconnectDelayMs, reconnectDelayMs * 2 ** reconnectAttempts);
+        reconnectAttempts += 1;
+        console.warn(`Private stream disconnected; reconnecting in ${delay}ms`);
+        reconnectTimer = setTimeout(connect, delay);
+    }
+
+    function connect() {
+        clearTimers();
+        awaitingPong = false;
+        socket = new WebSocketImpl(url);
+
+        socket.on("open", () => {
+            state.connected = true;
+            const expires = now() + 10000;
+            socket.send(JSON.stringify(signStreamAuth(apiKey, apiSecret, expires)));
+            pingTimer = setInterval(() => {
+                // A missed pong means the connection is half-open; drop it and reconnect.
+                if (awaitingPong) {
+                    console.warn("Private stream heartbeat timed out");
+                    socket.terminate();
+                    return;
+                }
+                awaitingPong = true;
+                socket.send(JSON.stringify({ op: "ping" }));
+            }, pingIntervalMs);
+        });
+        socket.on("message", handleMessage);
+        socket.on("error", (error) => {
+            console.error("Private stream error:", error.message ?? error);
+        });
+        socket.on("close", () => {
+            state.connected = false;
+            state.authenticated = false;
+            clearInterval(pingTimer);
+            pingTimer = null;
+            scheduleReconnect();
+        });
+    }
+
+    return {
+        state,
+        start() {
+            if (!stopped) {
+                return;
+            }
+            stopped = false;
+            connect();
+        },
+        stop() {
+            stopped = true;
+            clearTimers();
+            socket?.close();
+            socket = null;
+        },
+        getOpenOrders(symbol) {
+            return Array.from(state.orders.values()).filter((order) => !symbol || order.symbol === symbol);
+        },
+        getPositions() {
+            return Array.from(state.positions.values());
+        }
+    };
+}
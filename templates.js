@@ -0,0 +1,98 @@
+// # Prompt template registry: versions, content hashes, placeholder lint and A/B rotation
+import crypto from "crypto";
+import invariant from "tiny-invariant";
+import { PROMPT_TEMPLATES, TEMPLATE_VERSION_HASHES } from "./prompts.js";
+import { buildTemplateData } from "./trading.js";
+
+export const DEFAULT_TEMPLATE_NAME = "default";
+
+export function parseTemplateNames(raw = "") {
+    return String(raw)
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean);
+}
+
+export function extractPlaceholders(template) {
+    return new Set(Array.from(template.matchAll(/\{(\w+)\}/g), (match) => match[1]));
+}
+
+export function hashTemplate(template) {
+    return crypto.createHash("sha256").update(template).digest("hex").slice(0, 12);
+}
+
+export function createTemplateRegistry(templates = PROMPT_TEMPLATES, versionHashes = TEMPLATE_VERSION_HASHES) {
+    const entries = Object.fromEntries(
+        Object.entries(templates).map(([name, entry]) => [
+            name,
+            {
+                name,
+                ...entry,
+                hash: hashTemplate(entry.template),
+                recordedHash: versionHashes[name]?.[entry.version] ?? null,
+                placeholders: extractPlaceholders(entry.template)
+            }
+        ])
+    );
+
+    return {
+        names: Object.keys(entries),
+        get(name) {
+            invariant(entries[name], `Unknown prompt template ${name}; expected one of ${Object.keys(entries).join(", ")}`);
+            return entries[name];
+        },
+        list: () => Object.values(entries)
+    };
+}
+
+// Keys buildTemplateData produces, read off a throwaway single-symbol context.
+function templateDataKeys() {
+    const market = { price: 1, change24h: 0, fundingRate: 0, volume24h: 0 };
+    const account = { totalEquity: 1, availableBalance: 1, usedMargin: 0, maintenanceMargin: 0 };
+    return new Set(Object.keys(buildTemplateData({ symbols: ["BTCUSDT"], market: { BTCUSDT: market }, account })));
+}
+
+export function lintTemplates(registry, producedKeys = templateDataKeys()) {
+    const errors = [];
+    for (const entry of registry.list()) {
+        if (!entry.recordedHash) {
+            errors.push(`${entry.name}@${entry.version}: no hash recorded for this version; add "${entry.version}": "${entry.hash}" to TEMPLATE_VERSION_HASHES`);
+        } else if (entry.recordedHash !== entry.hash) {
+            errors.push(
+                `${entry.name}@${entry.version}: text changed (hash ${entry.hash}, recorded ${entry.recordedHash}); bump the version and record the new hash`
+            );
+        }
+        const missing = [...entry.placeholders].filter((key) => !producedKeys.has(key));
+        const unused = [...producedKeys].filter((key) => !entry.placeholders.has(key));
+        if (missing.length) {
+            errors.push(`${entry.name}@${entry.version}: placeholders not produced by buildTemplateData: ${missing.join(", ")}`);
+        }
+        if (unused.length) {
+            errors.push(`${entry.name}@${entry.version}: template data never used: ${unused.join(", ")}`);
+        }
+    }
+    return errors;
+}
+
+// A fixed template, or a rotation through several when more than one name is selected (A/B mode).
+export function createTemplateSelector(registry, names = [DEFAULT_TEMPLATE_NAME]) {
+    let rotation = names.map((name) => registry.get(name).name);
+    let cursor = 0;
+
+    return {
+        describe: () => (rotation.length > 1 ? `A/B ${rotation.join(" ↔ ")}` : rotation[0]),
+        select(nextNames) {
+            rotation = nextNames.map((name) => registry.get(name).name);
+            cursor = 0;
+        },
+        next() {
+            const entry = registry.get(rotation[cursor % rotation.length]);
+            cursor += 1;
+            return entry;
+        }
+    };
+}
+
+export function describeTemplate(entry) {
+    return { name: entry.name, version: entry.version, hash: entry.hash };
+}
@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createDecisionSource, runBacktest } from "../backtest.js";
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2025, 0, 6);
+
+function bar(startTime, close, { high = close, low = close } = {}) {
+    return { startTime, open: close, high, low, close, volume: 10 };
+}
+
+// A steady hourly uptrend makes the stub go long at the first decision step. The 1m tape then runs to its
+// 2% target, and the re-entry that follows is stopped out.
+function createSeries() {
+    const hourly = Array.from({ length: 25 }, (_, index) => bar(START - (25 - index) * 60 * MINUTE, 90 + (index * 10) / 24));
+    const fiveMinute = Array.from({ length: 60 }, (_, index) => bar(START - (60 - index) * 5 * MINUTE, 100));
+    const minute = Array.from({ length: 14 }, (_, index) => {
+        if (index < 7) return bar(START + index * MINUTE, 100);
+        if (index === 7) return bar(START + index * MINUTE, 102, { high: 102.5, low: 100 });
+        if (index === 12) return bar(START + index * MINUTE, 100.5, { high: 102, low: 100 });
+        return bar(START + index * MINUTE, index < 12 ? 102 : 100.5);
+    });
+    return { "1m": minute, "5m": fiveMinute, "1h": hourly };
+}
+
+test("the stub replay fills targets and stops and reports fee-inclusive stats", async () => {
+    const result = await runBacktest({
+        series: createSeries(),
+        decisionSource: createDecisionSource("stub"),
+        startingBalance: 10000,
+        feeRate: 0.001
+    });
+
+    assert.deepEqual(result.fills.map((fill) => fill.type), ["fill", "take_profit", "fill", "stop_loss"]);
+    const [target, stop] = result.trades;
+    assert.deepEqual([target.exit, target.price, target.qty], ["take_profit", 102, 30]);
+    // 60 USDT gross minus 3.06 exit and 3 entry fees.
+    assert.equal(target.netPnl, 53.94);
+    assert.equal(stop.exit, "stop_loss");
+    assert.ok(stop.price < 102 && stop.netPnl < stop.realisedPnl && stop.netPnl < 0);
+
+    const { summary } = result;
+    assert.equal(summary.tradeCount, 2);
+    assert.equal(summary.winRate, 0.5);
+    assert.ok(Math.abs(summary.profitFactor - target.netPnl / -stop.netPnl) < 1e-9);
+    // Every fee lands in a trade, so the closed trades add up to the equity change.
+    assert.ok(Math.abs(summary.finalEquity - (10000 + target.netPnl + stop.netPnl)) < 1e-6);
+    assert.ok(Math.abs(summary.totalReturn - (summary.finalEquity - 10000) / 10000) < 1e-12);
+    assert.ok(summary.maxDrawdown > 0);
+    assert.equal(result.equityCurve.at(-1).equity, summary.finalEquity);
+});
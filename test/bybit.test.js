@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createBybitClient } from "../bybit.js";
+
+// Answers each call with the next scripted reply: a Bybit payload, or an Error to throw like a failed fetch.
+function createFakeFetch(replies) {
+    const calls = [];
+    const fetchImpl = async (url) => {
+        const { pathname } = new URL(url);
+        calls.push(pathname);
+        if (pathname === "/v5/market/time") {
+            return respond({ retCode: 0, result: { timeSecond: "0" } });
+        }
+        const reply = replies.shift();
+        if (reply instanceof Error) {
+            throw reply;
+        }
+        return respond(reply);
+    };
+    return { fetchImpl, calls };
+}
+
+function respond(payload) {
+    return { ok: true, status: 200, headers: new Map(), json: async () => payload, text: async () => JSON.stringify(payload) };
+}
+
+function createClient(fetchImpl) {
+    return createBybitClient({
+        baseUrl: "https://bybit.test",
+        apiKey: "key",
+        apiSecret: "secret",
+        fetchImpl,
+        now: () => 0,
+        sleep: async () => {},
+        random: () => 0
+    });
+}
+
+const timeout = () => Object.assign(new Error("socket hang up"), { cause: { code: "ECONNRESET" } });
+const order = { category: "linear", symbol: "BTCUSDT", side: "Buy", orderType: "Limit", qty: "0.01", price: "60000", orderLinkId: "link-1" };
+
+test("an ambiguous create is recovered from the order history when it is no longer open", async () => {
+    const { fetchImpl, calls } = createFakeFetch([
+        timeout(),
+        { retCode: 0, result: { list: [] } },
+        { retCode: 0, result: { list: [{ orderId: "filled-1", orderLinkId: "link-1", orderStatus: "Filled" }] } }
+    ]);
+    const result = await createClient(fetchImpl).request({ path: "/v5/order/create", method: "POST", body: order, auth: true });
+    assert.deepEqual(result, { orderId: "filled-1", orderLinkId: "link-1", recovered: true });
+    assert.deepEqual(calls.filter((path) => path !== "/v5/market/time"), ["/v5/order/create", "/v5/order/realtime", "/v5/order/history"]);
+});
+
+test("a retried cancel that finds the order gone counts as cancelled", async () => {
+    const { fetchImpl } = createFakeFetch([timeout(), { retCode: 110001, retMsg: "order not exists or too late to cancel" }]);
+    const body = { category: "linear", symbol: "BTCUSDT", orderId: "order-1" };
+    const result = await createClient(fetchImpl).request({ path: "/v5/order/cancel", method: "POST", body, auth: true });
+    assert.deepEqual(result, { orderId: "order-1", orderLinkId: undefined, recovered: true });
+});
+
+test("a first cancel for an unknown order still fails", async () => {
+    const { fetchImpl } = createFakeFetch([{ retCode: 110001, retMsg: "order not exists or too late to cancel" }]);
+    const body = { category: "linear", symbol: "BTCUSDT", orderId: "order-1" };
+    await assert.rejects(createClient(fetchImpl).request({ path: "/v5/order/cancel", method: "POST", body, auth: true }), { code: 110001 });
+});
@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { collectConfigSecrets, formatConfig, loadConfig } from "../config.js";
+import { resolveBybitEnvironment } from "../environments.js";
+
+const REQUIRED = { TELEGRAM_CHAT_ID: "1", TELEGRAM_BOT_TOKEN: "bot-token-value", EXECUTION_INTERVAL_MS: "300000" };
+const load = (env) => loadConfig({ argv: [], env: { ...REQUIRED, BOT_CONFIG_FILE: "", ...env } });
+
+test("per-provider and per-source settings are read for every listed id", () => {
+    const loaded = load({
+        LLM_PROVIDERS: "default,openrouter",
+        LLM_ARENA: "scripted",
+        LLM_OPENROUTER_MODEL: "gpt-4o",
+        LLM_OPENROUTER_TEMPERATURE: "0.5",
+        LLM_TYPE: "scripted",
+        NEWS_SOURCES: "cryptohorde,feed",
+        CRYPTO_HORDE_ENDPOINT: "https://horde.example/news",
+        NEWS_FEED_TYPE: "rss"
+    });
+    assert.deepEqual(loaded.errors, []);
+    const { providerSettings } = loaded.config.llm;
+    assert.deepEqual(Object.keys(providerSettings), ["default", "openrouter", "scripted"]);
+    assert.equal(providerSettings.openrouter.model, "gpt-4o");
+    assert.equal(providerSettings.openrouter.temperature, 0.5);
+    assert.equal(providerSettings.scripted.type, "scripted");
+    assert.equal(loaded.sources["llm.providerSettings.openrouter.type"], "env LLM_TYPE");
+    assert.equal(loaded.config.news.sourceSettings.cryptohorde.url, "https://horde.example/news");
+    assert.equal(loaded.config.news.sourceSettings.feed.type, "rss");
+});
+
+test("per-id settings are validated like any other setting", () => {
+    const { errors } = load({ LLM_PROVIDERS: "openrouter", LLM_OPENROUTER_TIMEOUT_MS: "soon", NEWS_CRYPTOHORDE_TYPE: "xml" });
+    assert.deepEqual(errors, [
+        "llm.providerSettings.openrouter.timeoutMs: must be a number (from env LLM_OPENROUTER_TIMEOUT_MS)",
+        "news.sourceSettings.cryptohorde.type: must be one of json, rss (received xml) (from env NEWS_CRYPTOHORDE_TYPE)"
+    ]);
+});
+
+test("the selected Bybit profile overrides the shared credentials and secrets are masked", () => {
+    const loaded = load({
+        BYBIT_ENV: "testnet",
+        BYBIT_API_KEY: "shared-key-value",
+        BYBIT_API_SECRET: "shared-secret-value",
+        BYBIT_TESTNET_API_KEY: "testnet-key-value",
+        BYBIT_MAINNET_API_KEY: "ignored-mainnet-key"
+    });
+    const environment = resolveBybitEnvironment(loaded.config.bybit);
+    assert.equal(environment.apiKey, "testnet-key-value");
+    assert.equal(environment.apiSecret, "shared-secret-value");
+    assert.equal(environment.restUrl, "https://api-testnet.bybit.com");
+
+    const printed = formatConfig(loaded);
+    assert.match(printed, /bybit\.profiles\.testnet\.apiKey\s+= \*{8}/);
+    assert.doesNotMatch(printed, /testnet-key-value|shared-secret-value|bot-token-value/);
+    assert.doesNotMatch(printed, /profiles\.mainnet/);
+    assert.deepEqual(collectConfigSecrets(loaded).sort(), ["bot-token-value", "shared-key-value", "shared-secret-value", "testnet-key-value"]);
+});
@@ -0,0 +1,69 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { resolveConsensus } from "../ensemble.js";
+
+const symbols = ["BTCUSDT"];
+const long = { BTCUSDT: { side: "Buy", size: 0.1, entryPrice: 60000 } };
+const short = { BTCUSDT: { side: "Sell", size: 0.1, entryPrice: 60000 } };
+
+function decision(operation, fields = {}) {
+    return { operation, symbol: "BTCUSDT", target_portion_of_balance: 0, leverage: 5, ...fields };
+}
+
+function member(name, decisions) {
+    return { name, decisions };
+}
+
+test("votes on every operation a member proposes for a symbol", () => {
+    const { decisions, resolutions } = resolveConsensus(
+        [
+            member("a", [decision("move_stop", { stop_loss_price: 61000 }), decision("partial_close", { target_portion_of_balance: 0.3 })]),
+            member("b", [decision("move_stop", { stop_loss_price: 61500 }), decision("partial_close", { target_portion_of_balance: 0.5 })]),
+            member("c", [decision("hold")])
+        ],
+        { policy: "majority", symbols, positions: long }
+    );
+    assert.deepEqual(decisions.map(({ operation }) => operation), ["partial_close", "move_stop"]);
+    assert.deepEqual(resolutions.map(({ operation, agreed }) => [operation, agreed]), [["partial_close", true], ["move_stop", true]]);
+    // The largest fraction closed and the tightest stop win.
+    assert.equal(decisions[0].target_portion_of_balance, 0.5);
+    assert.equal(decisions[1].stop_loss_price, 61500);
+});
+
+test("picks the tightest stop and nearest target for the position side", () => {
+    const members = [
+        member("a", [decision("move_stop", { stop_loss_price: 61000 }), decision("move_target", { take_profit_price: 55000 })]),
+        member("b", [decision("move_stop", { stop_loss_price: 60500 }), decision("move_target", { take_profit_price: 56000 })])
+    ];
+    const { decisions } = resolveConsensus(members, { policy: "unanimous", symbols, positions: short });
+    const byOperation = Object.fromEntries(decisions.map((entry) => [entry.operation, entry]));
+    assert.equal(byOperation.move_stop.stop_loss_price, 60500);
+    assert.equal(byOperation.move_target.take_profit_price, 56000);
+});
+
+test("holds when an operation lacks agreement and ignores ambiguous ballots", () => {
+    const { decisions, resolutions } = resolveConsensus(
+        [
+            member("a", [decision("buy", { target_portion_of_balance: 0.2 })]),
+            member("b", [decision("buy", { target_portion_of_balance: 0.1 }), decision("sell", { target_portion_of_balance: 0.1 })]),
+            { name: "c", error: "timeout", decisions: [] }
+        ],
+        { policy: "majority", symbols, positions: {} }
+    );
+    assert.deepEqual(decisions.map(({ operation }) => operation), ["hold"]);
+    assert.deepEqual(resolutions[0].votes.map(({ operation }) => operation), ["buy", "invalid", "failed"]);
+});
+
+test("a ballot that both raises and cuts exposure counts as invalid", () => {
+    const { decisions, resolutions } = resolveConsensus(
+        [
+            member("a", [decision("add", { target_portion_of_balance: 0.1 }), decision("partial_close", { target_portion_of_balance: 0.5 })]),
+            member("b", [decision("add", { target_portion_of_balance: 0.1 }), decision("close")]),
+            member("c", [decision("partial_close", { target_portion_of_balance: 0.5 }), decision("move_stop", { stop_loss_price: 59500 })])
+        ],
+        { policy: "majority", symbols, positions: long }
+    );
+    assert.deepEqual(decisions.map(({ operation }) => operation), ["hold"]);
+    const partialClose = resolutions.find(({ operation }) => operation === "partial_close");
+    assert.deepEqual(partialClose.votes.map(({ operation }) => operation), ["invalid", "invalid", "partial_close"]);
+});
@@ -0,0 +1,150 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+    buildRsiSeries,
+    calculateADX,
+    calculateATR,
+    calculateBollinger,
+    calculateEmaCrossovers,
+    calculateOBV,
+    calculateStochRSI,
+    requiredCandles
+} from "../indicators.js";
+
+// StockCharts' 14-period RSI example ("cs-rsi" spreadsheet). The published values round the average gain and loss
+// to two decimals at every step, so they match the unrounded Wilder calculation only to within ~0.1.
+const STOCKCHARTS_RSI_CLOSES = [
+    44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.1, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28, 46.0, 46.03,
+    46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03
+];
+const STOCKCHARTS_RSI = [70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38, 54.71, 50.42, 39.99];
+
+// 60 one-minute bars as [open, high, low, close, volume]. Expected values below come from an independent
+// double-precision implementation of the textbook definitions: Wilder smoothing for ATR/RSI/ADX (first value
+// seeded with a simple average or sum), population sigma for Bollinger, SMA-seeded EMAs and 3-bar %K/%D for StochRSI.
+const BARS = [
+    [100.0, 100.18, 98.58, 99.36, 174],
+    [99.36, 100.92, 98.66, 100.81, 619],
+    [100.81, 100.91, 99.21, 99.71, 346],
+    [99.71, 100.22, 97.1, 98.09, 226],
+    [98.09, 100.83, 97.39, 100.07, 163],
+    [100.07, 100.97, 98.9, 100.49, 147],
+    [100.49, 100.99, 99.99, 100.83, 653],
+    [100.83, 101.2, 98.34, 99.32, 285],
+    [99.32, 100.01, 97.52, 97.75, 199],
+    [97.75, 98.13, 97.68, 98.05, 310],
+    [98.05, 98.77, 97.12, 98.13, 576],
+    [98.13, 99.13, 97.77, 98.59, 913],
+    [98.59, 99.53, 97.25, 97.35, 407],
+    [97.35, 98.61, 96.47, 97.56, 394],
+    [97.56, 98.21, 96.95, 98.12, 268],
+    [98.12, 99.48, 97.53, 99.3, 140],
+    [99.3, 101.43, 98.63, 101.34, 908],
+    [101.34, 103.4, 100.51, 103.02, 708],
+    [103.02, 104.07, 102.94, 103.11, 195],
+    [103.11, 105.65, 102.31, 105.08, 162],
+    [105.08, 106.52, 104.39, 106.15, 797],
+    [106.15, 107.94, 105.69, 107.6, 784],
+    [107.6, 108.73, 106.63, 107.06, 725],
+    [107.06, 107.13, 104.63, 105.55, 232],
+    [105.55, 107.13, 104.45, 106.65, 608],
+    [106.65, 107.19, 104.33, 104.99, 240],
+    [104.99, 107.47, 104.66, 106.43, 525],
+    [106.43, 109.39, 105.97, 108.57, 336],
+    [108.57, 108.78, 106.92, 107.2, 338],
+    [107.2, 108.2, 105.03, 105.25, 388],
+    [105.25, 105.75, 102.83, 103.27, 679],
+    [103.27, 103.42, 101.58, 102.61, 732],
+    [102.61, 104.25, 102.06, 103.36, 991],
+    [103.36, 105.69, 102.4, 104.64, 501],
+    [104.64, 105.11, 103.73, 104.31, 510],
+    [104.31, 104.39, 102.32, 102.57, 266],
+    [102.57, 103.29, 100.91, 101.03, 680],
+    [101.03, 101.15, 99.23, 99.67, 126],
+    [99.67, 99.92, 97.52, 97.97, 749],
+    [97.97, 98.39, 96.59, 97.03, 225],
+    [97.03, 97.62, 94.34, 95.51, 591],
+    [95.51, 95.64, 95.39, 95.54, 450],
+    [95.54, 97.22, 94.71, 96.65, 628],
+    [96.65, 97.79, 94.12, 94.75, 250],
+    [94.75, 96.75, 93.84, 95.65, 405],
+    [95.65, 98.8, 94.81, 97.76, 367],
+    [97.76, 99.03, 97.33, 97.94, 328],
+    [97.94, 99.11, 97.54, 98.18, 328],
+    [98.18, 99.71, 97.27, 98.76, 299],
+    [98.76, 101.13, 97.87, 100.15, 332],
+    [100.15, 100.74, 98.11, 98.99, 128],
+    [98.99, 100.88, 98.76, 100.31, 719],
+    [100.31, 102.87, 99.19, 102.33, 457],
+    [102.33, 104.78, 102.07, 104.34, 332],
+    [104.34, 104.75, 103.73, 104.31, 724],
+    [104.31, 106.42, 103.53, 105.84, 918],
+    [105.84, 107.54, 105.7, 106.54, 497],
+    [106.54, 108.73, 105.97, 107.83, 282],
+    [107.83, 108.59, 107.55, 107.65, 839],
+    [107.65, 108.13, 106.17, 107.31, 842]
+];
+const candles = BARS.map(([open, high, low, close, volume], index) => ({
+    startTime: 1700000000000 + index * 60000,
+    open,
+    high,
+    low,
+    close,
+    volume
+}));
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+test("Wilder RSI matches the StockCharts 14-period example", () => {
+    const series = buildRsiSeries(STOCKCHARTS_RSI_CLOSES, 14);
+    assert.equal(series.length, STOCKCHARTS_RSI.length);
+    series.forEach((value, index) => assertClose(value, STOCKCHARTS_RSI[index], 0.1));
+});
+
+test("ATR uses Wilder smoothing over true ranges", () => {
+    assertClose(calculateATR(candles, 14), 2.310628397479779);
+    assert.equal(calculateATR(candles.slice(0, 14), 14), null);
+});
+
+test("Bollinger bands use the population standard deviation", () => {
+    const bands = calculateBollinger(candles, 20, 2);
+    assertClose(bands.lower, 91.9553453012431);
+    assertClose(bands.middle, 100.817);
+    assertClose(bands.upper, 109.67865469875686);
+    // Closes 1..20: mean 10.5 and sigma sqrt(399 / 12).
+    const ramp = Array.from({ length: 20 }, (_, index) => ({ startTime: index, close: index + 1 }));
+    assertClose(calculateBollinger(ramp, 20, 2).upper, 10.5 + 2 * Math.sqrt(399 / 12));
+});
+
+test("EMA crossovers follow the configured periods", () => {
+    const { values, crossovers } = calculateEmaCrossovers(candles, [[5, 12]]);
+    assert.deepEqual(Object.keys(values), ["5", "12"]);
+    assertClose(values[5], 106.6603855390098);
+    assertClose(values[12], 104.39173023474933);
+    assert.deepEqual(crossovers, [{ fast: 5, slow: 12, trend: "bullish", barsSinceCross: 10 }]);
+});
+
+test("StochRSI smooths %K and %D over three bars", () => {
+    const stoch = calculateStochRSI(candles, 14, 14, 3, 3);
+    assertClose(stoch.k, 95.89727065071007);
+    assertClose(stoch.d, 98.2932604257896);
+});
+
+test("OBV accumulates signed volume and reports its change", () => {
+    assert.deepEqual(calculateOBV(candles, 20), { value: 6313, change: 2968, changeWindow: 20 });
+});
+
+test("ADX uses Wilder's running sums for DI and DX", () => {
+    const adx = calculateADX(candles, 14);
+    assertClose(adx.adx, 26.95634847369475);
+    assertClose(adx.plusDi, 27.877057440504924);
+    assertClose(adx.minusDi, 14.181907078907171);
+});
+
+test("longer periods fetch proportionally more candles", () => {
+    assert.equal(requiredCandles(["ema"]), 250);
+    assert.equal(requiredCandles(["ema"], { emaTrendSlow: 100 }), 250);
+    assert.equal(requiredCandles(["rsi"], { rsi: 28 }), 200);
+});
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createNewsSourcesFromConfig } from "../news.js";
+
+// Records each request and answers with an empty article list, or throws an error that echoes the URL.
+function createFakeFetch({ fail = false } = {}) {
+    const requests = [];
+    const fetchImpl = async (url, options) => {
+        requests.push({ url: new URL(url), headers: options.headers });
+        if (fail) {
+            throw new Error(`request to ${url} failed, reason: ECONNRESET`);
+        }
+        return { ok: true, status: 200, json: async () => ({ articles: [] }) };
+    };
+    return { fetchImpl, requests };
+}
+
+const cryptoHorde = (settings) => ({
+    sources: ["cryptohorde"],
+    sourceSettings: { cryptohorde: { type: "json", url: "https://horde.example/news", apiKey: "horde-key", ...settings } }
+});
+
+test("the cryptohorde key goes in the key query parameter by default", async () => {
+    const { fetchImpl, requests } = createFakeFetch();
+    const [source] = createNewsSourcesFromConfig(cryptoHorde({}), { fetchImpl });
+    await source.fetchArticles();
+    const [{ url, headers }] = requests;
+    assert.equal(url.searchParams.get("key"), "horde-key");
+    assert.equal(url.searchParams.get("theme"), "crypto");
+    assert.deepEqual(headers, {});
+});
+
+test("a configured key header replaces the query parameter", async () => {
+    const { fetchImpl, requests } = createFakeFetch();
+    const [source] = createNewsSourcesFromConfig(cryptoHorde({ keyHeader: "X-API-Key" }), { fetchImpl });
+    await source.fetchArticles();
+    const [{ url, headers }] = requests;
+    assert.equal(url.searchParams.has("key"), false);
+    assert.deepEqual(headers, { "X-API-Key": "horde-key" });
+});
+
+test("a key in the query string is masked in fetch errors", async () => {
+    const { fetchImpl } = createFakeFetch({ fail: true });
+    const [source] = createNewsSourcesFromConfig(cryptoHorde({ keyParam: "token" }), { fetchImpl });
+    await assert.rejects(source.fetchArticles(), (error) => {
+        assert.match(error.message, /^cryptohorde request failed: .*token=\[REDACTED\]/);
+        assert.doesNotMatch(error.message, /horde-key/);
+        return true;
+    });
+});
@@ -0,0 +1,115 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createPaperExchange, describeClosedTrade, loadPaperState, savePaperState } from "../paper.js";
+
+const SYMBOL = "BTCUSDT";
+
+function createExchange(options = {}) {
+    const exchange = createPaperExchange({ startingBalance: 10000, feeRate: 0.001, now: () => 0, ...options });
+    exchange.processBar(SYMBOL, { high: 100, low: 100, close: 100 });
+    return exchange;
+}
+
+function place(exchange, order) {
+    const [result] = exchange.placeOrders([{ symbol: SYMBOL, orderType: "Market", side: "Buy", qty: 1, leverage: 10, ...order }]);
+    assert.equal(result.status, "success", result.error);
+    return result.result.events;
+}
+
+test("market orders fill at the last price and pay the fee", () => {
+    const exchange = createExchange();
+    const [fill] = place(exchange, {});
+    assert.deepEqual([fill.type, fill.price, fill.qty, fill.fee], ["fill", 100, 1, 0.1]);
+    assert.deepEqual(exchange.getAccountSnapshot(), {
+        totalEquity: 9999.9,
+        availableBalance: 9989.9,
+        usedMargin: 10,
+        maintenanceMargin: 0.5,
+        accountType: "PAPER",
+        accountCurrency: "USDT"
+    });
+
+    const [close] = place(exchange, { side: "Sell", reduceOnly: true });
+    assert.equal(close.realisedPnl, 0);
+    assert.deepEqual(describeClosedTrade(close), { qty: 1, fee: 0.2, netPnl: -0.2 });
+    assert.equal(exchange.getPositionState(SYMBOL).position, null);
+    assert.equal(exchange.getAccountSnapshot().totalEquity, 9999.8);
+});
+
+test("limit orders rest until a bar touches their price", () => {
+    const exchange = createExchange();
+    assert.deepEqual(place(exchange, { orderType: "Limit", price: 95, orderLinkId: "dip" }), []);
+    assert.equal(exchange.getOpenOrders(SYMBOL).length, 1);
+    assert.equal(exchange.getAccountSnapshot().usedMargin, 9.5);
+
+    assert.deepEqual(exchange.processBar(SYMBOL, { high: 101, low: 96, close: 97 }), []);
+    const [fill] = exchange.processBar(SYMBOL, { high: 97, low: 94, close: 96 });
+    assert.deepEqual([fill.type, fill.price, fill.orderLinkId], ["fill", 95, "dip"]);
+    assert.equal(exchange.getOpenOrders(SYMBOL).length, 0);
+    assert.equal(exchange.getPositionState(SYMBOL).position.entryPrice, 95);
+});
+
+test("orders needing more margin than is available are rejected", () => {
+    const exchange = createExchange();
+    const [result] = exchange.placeOrders([{ symbol: SYMBOL, orderType: "Market", side: "Buy", qty: 200, leverage: 1 }]);
+    assert.equal(result.status, "error");
+    assert.match(result.error, /insufficient available balance/);
+});
+
+test("an add at another leverage blends the leverage and keeps the posted margin", () => {
+    const exchange = createExchange();
+    place(exchange, { leverage: 10 });
+    place(exchange, { leverage: 5 });
+    const { position } = exchange.getPositionState(SYMBOL);
+    assert.equal(position.size, 2);
+    // 10 USDT margin at 10x plus 20 USDT at 5x backs 200 USDT of notional.
+    assert.equal(position.leverage, 6.66666667);
+    assert.ok(Math.abs(exchange.getAccountSnapshot().usedMargin - 30) < 1e-6);
+});
+
+test("take profit and stop loss close the position, the stop winning when one bar spans both", () => {
+    const target = createExchange();
+    place(target, { stopLoss: 95, takeProfit: 110 });
+    const [takeProfit] = target.processBar(SYMBOL, { high: 111, low: 99, close: 108 });
+    assert.deepEqual([takeProfit.type, takeProfit.price, takeProfit.realisedPnl], ["take_profit", 110, 10]);
+    assert.equal(target.getPositionState(SYMBOL).position, null);
+
+    const both = createExchange();
+    place(both, { stopLoss: 95, takeProfit: 110 });
+    const [stopLoss] = both.processBar(SYMBOL, { high: 111, low: 94, close: 100 });
+    assert.deepEqual([stopLoss.type, stopLoss.price, stopLoss.realisedPnl], ["stop_loss", 95, -5]);
+});
+
+test("a position without a stop is liquidated at its estimated liquidation price", () => {
+    const exchange = createExchange();
+    place(exchange, { leverage: 10 });
+    assert.equal(exchange.getPositionState(SYMBOL).position.liqPrice, 90.5);
+    const [liquidation] = exchange.processBar(SYMBOL, { high: 100, low: 90, close: 91 });
+    assert.deepEqual([liquidation.type, liquidation.price, liquidation.realisedPnl], ["liquidation", 90.5, -9.5]);
+    assert.equal(exchange.getPositionState(SYMBOL).position, null);
+});
+
+test("the account survives a save and load through the state file", (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "paper-state-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const stateFile = path.join(dir, "paper.json");
+    assert.equal(loadPaperState(stateFile), undefined);
+
+    const exchange = createExchange();
+    place(exchange, { stopLoss: 95 });
+    place(exchange, { orderType: "Limit", price: 90, orderLinkId: "resting" });
+    savePaperState(stateFile, exchange.exportState());
+
+    const restored = createPaperExchange({ feeRate: 0.001, now: () => 0, initialState: loadPaperState(stateFile) });
+    assert.deepEqual(restored.getAccountSnapshot(), exchange.getAccountSnapshot());
+    assert.deepEqual(restored.getPositionState(SYMBOL), exchange.getPositionState(SYMBOL));
+    assert.deepEqual(restored.getOpenOrders(SYMBOL), JSON.parse(JSON.stringify(exchange.getOpenOrders(SYMBOL))));
+
+    const [next] = restored.placeOrders([{ symbol: SYMBOL, orderType: "Limit", side: "Buy", qty: 1, price: 80, leverage: 10 }]);
+    assert.equal(next.orderId, "paper-3");
+    const [stop] = restored.processBar(SYMBOL, { high: 100, low: 94, close: 96 });
+    assert.equal(stop.type, "stop_loss");
+});
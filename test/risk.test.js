@@ -0,0 +1,98 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRiskEngine, resetKillSwitch } from "../risk.js";
+
+function createEngine(t, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "risk-state-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const stateFile = path.join(dir, "risk.json");
+    let clock = Date.UTC(2025, 0, 6, 12);
+    const engine = createRiskEngine({ maxLeverage: 10, maxMarginUsage: 1, stateFile, now: () => clock, ...options });
+    return { engine, stateFile, advance: (ms) => (clock += ms) };
+}
+
+const account = (totalEquity, { availableBalance = totalEquity, usedMargin = 0 } = {}) => ({ totalEquity, availableBalance, usedMargin });
+const entry = (order = {}) => ({ symbol: "BTCUSDT", side: "Buy", qty: 1, price: 100, leverage: 5, ...order });
+
+test("leverage is capped by the configured and the runtime limit", (t) => {
+    const { engine } = createEngine(t);
+    const configured = engine.evaluate([entry({ leverage: 25 })], { account: account(10000) });
+    assert.equal(configured.approved[0].leverage, 10);
+    assert.match(configured.interventions[0].message, /leverage 25x capped at 10x/);
+
+    const runtime = engine.evaluate([entry({ leverage: 8 })], { account: account(10000), maxLeverage: 3 });
+    assert.equal(runtime.approved[0].leverage, 3);
+    assert.equal(runtime.interventions[0].action, "downsized");
+});
+
+test("orders are downsized to the tightest of the notional and portion caps", (t) => {
+    const { engine } = createEngine(t, { maxNotional: 1000, maxPortion: 0.25 });
+    const notional = engine.evaluate([entry({ qty: 20, leverage: 10 })], { account: account(10000) });
+    assert.equal(notional.approved[0].qty, 10);
+    assert.match(notional.interventions[0].message, /qty 20 → 10 \(max notional 1,000.00 USDT\)/);
+
+    // 25% of 200 USDT at 5x backs 250 USDT of notional, tighter than the 1000 USDT cap.
+    const portion = engine.evaluate([entry({ qty: 20 })], { account: account(10000, { availableBalance: 200 }) });
+    assert.equal(portion.approved[0].qty, 2.5);
+    assert.match(portion.interventions[0].message, /max 25(\.0)?% of available balance per trade/);
+});
+
+test("margin usage is projected across the orders of one cycle", (t) => {
+    const { engine } = createEngine(t, { maxMarginUsage: 0.5 });
+    // 500 USDT of allowed margin, 300 already used: the first order takes 150 and leaves 50 for the second.
+    const review = engine.evaluate([entry({ qty: 15, leverage: 10 }), entry({ qty: 15, leverage: 10 })], {
+        account: account(1000, { usedMargin: 300 })
+    });
+    assert.deepEqual(review.approved.map((order) => order.qty), [15, 5]);
+    assert.equal(review.projectedMarginUsage, 0.5);
+
+    const full = engine.evaluate([entry()], { account: account(1000, { usedMargin: 500 }) });
+    assert.deepEqual(full.approved, []);
+    assert.match(full.interventions[0].message, /remaining size below min order qty/);
+});
+
+test("the daily loss latches the kill switch, which only blocks new entries", (t) => {
+    const { engine } = createEngine(t, { dailyLossLimitPct: 0.05 });
+    assert.equal(engine.evaluate([entry()], { account: account(1000) }).approved.length, 1);
+
+    const close = entry({ side: "Sell", reduceOnly: true });
+    const hit = engine.evaluate([entry(), close], { account: account(940) });
+    assert.equal(hit.killSwitchTriggered, true);
+    assert.deepEqual(hit.approved, [close]);
+    assert.match(hit.interventions[0].message, /kill switch active \(daily loss 60.00 USDT reached limit 50.00 USDT\)/);
+
+    const recovered = engine.evaluate([entry()], { account: account(1000) });
+    assert.equal(recovered.killSwitch.active, true);
+    assert.equal(recovered.killSwitchTriggered, false);
+    assert.deepEqual(recovered.approved, []);
+});
+
+test("a reset lets entries through on the next check and counts the loss from there", (t) => {
+    const { engine, stateFile } = createEngine(t, { dailyLossLimitPct: 0.05 });
+    engine.evaluate([], { account: account(1000) });
+    assert.equal(engine.evaluate([], { account: account(940) }).killSwitch.active, true);
+
+    assert.equal(resetKillSwitch(stateFile), true);
+    const resumed = engine.evaluate([entry()], { account: account(940) });
+    assert.equal(resumed.killSwitch.active, false);
+    assert.equal(resumed.dailyLoss, 0);
+    assert.equal(resumed.approved.length, 1);
+
+    // 5% of the rebased 940 USDT is 47 USDT.
+    assert.equal(engine.evaluate([], { account: account(900) }).killSwitch.active, false);
+    assert.equal(engine.evaluate([], { account: account(890) }).killSwitchTriggered, true);
+});
+
+test("the loss count restarts at the next UTC day but a latched switch stays latched", (t) => {
+    const { engine, advance } = createEngine(t, { dailyLossLimitPct: 0.05 });
+    engine.evaluate([], { account: account(1000) });
+    engine.evaluate([], { account: account(940) });
+    advance(24 * 60 * 60 * 1000);
+    const nextDay = engine.evaluate([entry()], { account: account(940) });
+    assert.equal(nextDay.dailyLoss, 0);
+    assert.equal(nextDay.killSwitch.active, true);
+    assert.deepEqual(nextDay.approved, []);
+});
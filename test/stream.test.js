@@ -0,0 +1,171 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { WebSocketServer } from "ws";
+import { createBybitPrivateStream, signStreamAuth } from "../stream.js";
+
+// Local stand-in for Bybit's private endpoint: records every client frame and lets the test push topic messages.
+async function startStandIn({ authSuccess = () => true } = {}) {
+    const server = new WebSocketServer({ port: 0, host: "127.0.0.1" });
+    await once(server, "listening");
+    const connections = [];
+    const frames = [];
+    const waiters = [];
+
+    function settle() {
+        for (const waiter of waiters.slice()) {
+            const match = frames.find(waiter.predicate);
+            if (match) {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                waiter.resolve(match);
+            }
+        }
+    }
+
+    server.on("connection", (socket) => {
+        const connection = { socket, index: connections.length };
+        connections.push(connection);
+        socket.on("message", (raw) => {
+            const message = JSON.parse(raw.toString());
+            frames.push({ connection: connection.index, message });
+            if (message.op === "auth") {
+                const success = authSuccess(connection.index);
+                socket.send(JSON.stringify({ op: "auth", success, ret_msg: success ? "" : "invalid signature" }));
+            } else if (message.op === "subscribe") {
+                socket.send(JSON.stringify({ op: "subscribe", success: true }));
+            } else if (message.op === "ping") {
+                socket.send(JSON.stringify({ op: "pong" }));
+            }
+            settle();
+        });
+    });
+
+    return {
+        url: `ws://127.0.0.1:${server.address().port}`,
+        connections,
+        waitFor(predicate) {
+            return new Promise((resolve) => {
+                waiters.push({ predicate, resolve });
+                settle();
+            });
+        },
+        push(topic, data, connection = connections.length - 1) {
+            connections[connection].socket.send(JSON.stringify({ topic, data }));
+        },
+        close() {
+            for (const { socket } of connections) {
+                socket.terminate();
+            }
+            return new Promise((resolve) => server.close(resolve));
+        }
+    };
+}
+
+function waitUntil(check, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (check()) {
+                resolve();
+            } else if (Date.now() > deadline) {
+                reject(new Error("condition not met in time"));
+            } else {
+                setTimeout(poll, 5);
+            }
+        };
+        poll();
+    });
+}
+
+test("authenticates with a signed frame and subscribes to the configured topics", async (t) => {
+    const standIn = await startStandIn();
+    const stream = createBybitPrivateStream({ url: standIn.url, apiKey: "key", apiSecret: "secret", now: () => 1700000000000 });
+    t.after(async () => {
+        stream.stop();
+        await standIn.close();
+    });
+    stream.start();
+
+    const auth = await standIn.waitFor(({ message }) => message.op === "auth");
+    assert.deepEqual(auth.message, signStreamAuth("key", "secret", 1700000010000));
+    const subscribe = await standIn.waitFor(({ message }) => message.op === "subscribe");
+    assert.deepEqual(subscribe.message.args, ["order", "execution", "position", "wallet"]);
+    await waitUntil(() => stream.state.authenticated);
+    assert.equal(stream.state.connected, true);
+});
+
+test("turns order, execution and position messages into notifications and state", async (t) => {
+    const standIn = await startStandIn();
+    const notifications = [];
+    const positionUpdates = [];
+    const stream = createBybitPrivateStream({
+        url: standIn.url,
+        apiKey: "key",
+        apiSecret: "secret",
+        onNotification: (notification) => notifications.push(notification),
+        onPositionUpdate: (entry) => positionUpdates.push(entry)
+    });
+    t.after(async () => {
+        stream.stop();
+        await standIn.close();
+    });
+    stream.start();
+    await standIn.waitFor(({ message }) => message.op === "subscribe");
+
+    standIn.push("order", [{ orderId: "1", symbol: "BTCUSDT", side: "Buy", qty: "0.01", orderStatus: "New" }]);
+    standIn.push("execution", [
+        { symbol: "BTCUSDT", side: "Buy", execType: "Trade", execQty: "0.004", leavesQty: "0.006", execPrice: "60000" },
+        { symbol: "BTCUSDT", side: "Buy", execType: "Trade", execQty: "0.006", leavesQty: "0", execPrice: "60000" }
+    ]);
+    standIn.push("order", [
+        { orderId: "2", symbol: "BTCUSDT", side: "Sell", qty: "0.01", orderStatus: "Untriggered", stopOrderType: "StopLoss", triggerPrice: "59000" }
+    ]);
+    standIn.push("order", [
+        { orderId: "2", symbol: "BTCUSDT", side: "Sell", qty: "0.01", orderStatus: "Triggered", stopOrderType: "StopLoss", triggerPrice: "59000" }
+    ]);
+    standIn.push("position", [{ symbol: "BTCUSDT", side: "Buy", size: "0.01", positionIdx: 0, positionStatus: "Normal" }]);
+    standIn.push("position", [{ symbol: "BTCUSDT", side: "Buy", size: "0.01", positionIdx: 0, positionStatus: "Liq", liqPrice: "55000" }]);
+
+    await waitUntil(() => positionUpdates.length === 2);
+    assert.deepEqual(
+        notifications.map(({ type }) => type),
+        ["partial_fill", "fill", "protective_trigger", "liquidation"]
+    );
+    assert.match(notifications[2].message, /Stop loss triggered: BTCUSDT Sell 0.01 @ trigger 59000/);
+    assert.deepEqual(stream.getOpenOrders("BTCUSDT").map(({ orderId }) => orderId), ["1"]);
+    assert.equal(stream.getPositions()[0].positionStatus, "Liq");
+});
+
+test("reconnects with exponential backoff and resets it after a successful auth", async (t) => {
+    // The first two connections are refused at auth, so the delay doubles before the third one succeeds.
+    const standIn = await startStandIn({ authSuccess: (index) => index >= 2 });
+    const delays = [];
+    const warn = t.mock.method(console, "warn", (message) => {
+        const match = /reconnecting in (\d+)ms/.exec(message);
+        if (match) {
+            delays.push(Number(match[1]));
+        }
+    });
+    t.mock.method(console, "error", () => {});
+    const stream = createBybitPrivateStream({
+        url: standIn.url,
+        apiKey: "key",
+        apiSecret: "secret",
+        reconnectDelayMs: 20,
+        maxReconnectDelayMs: 1000
+    });
+    t.after(async () => {
+        stream.stop();
+        warn.mock.restore();
+        await standIn.close();
+    });
+    stream.start();
+
+    await standIn.waitFor(({ connection, message }) => connection === 2 && message.op === "subscribe");
+    assert.deepEqual(delays, [20, 40]);
+
+    // A dropped connection after a good session starts again from the base delay.
+    standIn.connections[2].socket.terminate();
+    await standIn.waitFor(({ connection, message }) => connection === 3 && message.op === "subscribe");
+    assert.deepEqual(delays, [20, 40, 20]);
+});
@@ -0,0 +1,21 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PROMPT_TEMPLATES } from "../prompts.js";
+import { createTemplateRegistry, lintTemplates } from "../templates.js";
+
+test("shipped templates match the hash recorded for their version", () => {
+    assert.deepEqual(lintTemplates(createTemplateRegistry()), []);
+});
+
+test("an edited template fails the lint until its version is bumped and recorded", () => {
+    const edited = { ...PROMPT_TEMPLATES.default, template: `${PROMPT_TEMPLATES.default.template}\nExtra rule.` };
+    const [sameVersion] = lintTemplates(createTemplateRegistry({ default: edited }));
+    assert.match(sameVersion, /^default@\d+\.\d+\.\d+: text changed .* bump the version/);
+
+    const bumped = createTemplateRegistry({ default: { ...edited, version: "99.0.0" } });
+    const [unrecorded] = lintTemplates(bumped);
+    assert.match(unrecorded, /^default@99\.0\.0: no hash recorded for this version/);
+
+    const recorded = createTemplateRegistry({ default: { ...edited, version: "99.0.0" } }, { default: { "99.0.0": bumped.get("default").hash } });
+    assert.deepEqual(lintTemplates(recorded), []);
+});
@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validateDecisionPayload } from "../validation.js";
+
+const symbols = ["BTCUSDT"];
+
+function moveStop(stopLossPrice) {
+    return { operation: "move_stop", symbol: "BTCUSDT", target_portion_of_balance: 0, leverage: 5, stop_loss_price: stopLossPrice };
+}
+
+test("move_stop may tighten but never loosen an existing stop", () => {
+    const long = { BTCUSDT: { side: "Buy", size: 0.1, stopLoss: 59000 } };
+    assert.equal(validateDecisionPayload({ decisions: [moveStop(59500)] }, { symbols, positions: long }).valid, true);
+    const loosened = validateDecisionPayload({ decisions: [moveStop(58000)] }, { symbols, positions: long });
+    assert.equal(loosened.valid, false);
+    assert.match(loosened.errors[0], /may only tighten the stop: stop_loss_price must be above the current stop 59000 for a long/);
+
+    const short = { BTCUSDT: { side: "Sell", size: 0.1, stopLoss: 61000 } };
+    assert.equal(validateDecisionPayload({ decisions: [moveStop(60500)] }, { symbols, positions: short }).valid, true);
+    assert.equal(validateDecisionPayload({ decisions: [moveStop(61000)] }, { symbols, positions: short }).valid, false);
+});
+
+test("move_stop may set a stop on a position that has none", () => {
+    const unprotected = { BTCUSDT: { side: "Buy", size: 0.1, stopLoss: 0 } };
+    assert.equal(validateDecisionPayload({ decisions: [moveStop(50000)] }, { symbols, positions: unprotected }).valid, true);
+});
+
+test("an add is held to the same stop rule because its stop replaces the position's", () => {
+    const long = { BTCUSDT: { side: "Buy", size: 0.1, stopLoss: 59000 } };
+    const add = (stopLossPrice) => ({
+        operation: "add",
+        symbol: "BTCUSDT",
+        target_portion_of_balance: 0.1,
+        leverage: 5,
+        max_price: 60500,
+        stop_loss_price: stopLossPrice,
+        take_profit_price: 65000
+    });
+    assert.equal(validateDecisionPayload({ decisions: [add(59500)] }, { symbols, positions: long }).valid, true);
+    const loosened = validateDecisionPayload({ decisions: [add(58000)] }, { symbols, positions: long });
+    assert.equal(loosened.valid, false);
+    assert.match(loosened.errors[0], /add may only tighten the stop: stop_loss_price must be above the current stop 59000 for a long/);
+});
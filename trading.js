@@ -0,0 +1,767 @@
+// # Pure decision pipeline shared by the live bot and offline tools
+import {
+    DEFAULT_INDICATOR_CONFIG,
+    INDICATOR_PERIODS,
+    INDICATOR_TIMEFRAMES,
+    calculateADX,
+    calculateATR,
+    calculateBollinger,
+    calculateEmaCrossovers,
+    calculateMACD,
+    calculateOBV,
+    calculateRSI,
+    calculateStochRSI,
+    calculateVWMA
+} from "./indicators.js";
+
+// Defaults for callers without a config (backtest); the bot passes its configured values through `context`.
+export const BYBIT_SYMBOL = "BTCUSDT";
+export const BYBIT_CATEGORY = "linear";
+export const TARGET_LEVERAGE = 100;
+export const DEFAULT_QTY_STEP = 0.001; //0.001
+export const DEFAULT_TICK_SIZE = 0.5;
+
+export function toNumber(value, fallback = 0) {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+export function formatUsd(value) {
+    return Number(value).toLocaleString("en-US", {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+}
+
+export function formatPercent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+export function formatBigNumber(value) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) return "0";
+    if (num >= 1e9) return `${(num / 1e9).toFixed(2)}B`;
+    if (num >= 1e6) return `${(num / 1e6).toFixed(2)}M`;
+    if (num >= 1e3) return `${(num / 1e3).toFixed(2)}K`;
+    return num.toFixed(0);
+}
+
+export function quantizeToStep(value, step, mode = "floor") {
+    if (!Number.isFinite(value)) {
+        return 0;
+    }
+    if (!Number.isFinite(step) || step <= 0) {
+        return value;
+    }
+    const ratio = value / step;
+    const units =
+        mode === "ceil" ? Math.ceil(ratio) : mode === "round" ? Math.round(ratio) : Math.floor(ratio);
+    return Number((units * step).toFixed(8));
+}
+
+export function fillTemplate(template, params) {
+    const missingKeys = new Set();
+    const filled = template.replace(/\{(\w+)\}/g, (_, key) => {
+        if (params[key] === undefined || params[key] === null || params[key] === "") {
+            missingKeys.add(key);
+            return `{${key}}`;
+        }
+        return params[key];
+    });
+
+    if (missingKeys.size > 0) {
+        throw new Error(
+            `Missing template values for: ${Array.from(missingKeys).join(", ")}`
+        );
+    }
+
+    return filled;
+}
+
+function createOutputFormatDescriptor(symbol = BYBIT_SYMBOL, leverage = TARGET_LEVERAGE) {
+    return `{
+  "decisions": [
+    {
+      "operation": "buy",
+      "symbol": "${symbol}",
+      "target_portion_of_balance": 0.25,
+      "leverage": ${leverage},
+      "max_price": 0,
+      "stop_loss_price": 0,
+      "take_profit_price": 0,
+      "confidence": 0.6,
+      "reason": "Concise catalyst describing why exposure is warranted.",
+      "trading_strategy": "Risk outline covering stop level, target, and leverage rationale."
+    },
+    {
+      "operation": "hold",
+      "symbol": "${symbol}",
+      "target_portion_of_balance": 0.0,
+      "leverage": ${leverage},
+      "reason": "Document why no trade is taken despite monitoring the symbol.",
+      "trading_strategy": "Explain what would need to change to trigger an entry."
+    }
+  ]
+}`;
+}
+
+export function describePosition(position, symbol = BYBIT_SYMBOL) {
+    if (!position) {
+        return `- ${symbol} perp: Flat; ready to deploy 5x leverage on the next setup.`;
+    }
+
+    const direction = position.side?.toUpperCase() ?? "LONG";
+    const size = position.size.toFixed(4);
+    const entry = formatUsd(position.entryPrice);
+    const pnl = position.unrealisedPnl.toFixed(2);
+    const levels = [
+        Number(position.liqPrice) > 0 ? `Liq $${formatUsd(position.liqPrice)}` : null,
+        `SL ${Number(position.stopLoss) > 0 ? `$${formatUsd(position.stopLoss)}` : "none"}`,
+        `TP ${Number(position.takeProfit) > 0 ? `$${formatUsd(position.takeProfit)}` : "none"}`
+    ].filter(Boolean);
+    return `- ${symbol} perp: ${direction} ${size} @ $${entry} | Lvg ${position.leverage}x | UPNL ${pnl} USDT | ${levels.join(" | ")}`;
+}
+
+export function formatSymbolSections(symbols = [], render) {
+    return symbols
+        .map((symbol) => {
+            const body = render(symbol) || "No data available.";
+            return `[${symbol}]\n${body}`;
+        })
+        .join("\n\n");
+}
+
+export function resolveContextSymbols(context) {
+    return Array.isArray(context.symbols) && context.symbols.length
+        ? context.symbols
+        : [BYBIT_SYMBOL];
+}
+
+export function resolveDecisionSymbol(rawSymbol, symbols = [BYBIT_SYMBOL]) {
+    if (!rawSymbol) {
+        return symbols.length === 1 ? symbols[0] : null;
+    }
+    const normalized = String(rawSymbol).trim().toUpperCase().replace(/[^A-Z0-9]/g, "");
+    if (symbols.includes(normalized)) {
+        return normalized;
+    }
+    // The prompt examples use bare coin tickers ("BTC"), so map them onto the USDT perp.
+    const perpetual = `${normalized}USDT`;
+    return symbols.includes(perpetual) ? perpetual : null;
+}
+
+function formatSignedPercent(value) {
+    return `${value >= 0 ? "+" : ""}${value.toFixed(2)}%`;
+}
+
+function formatCandleTimestamp(startTime) {
+    if (!Number.isFinite(startTime)) {
+        return "??:??";
+    }
+    const iso = new Date(startTime).toISOString();
+    return iso.slice(11, 16); // HH:MM
+}
+
+function formatCandlePrice(value) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) {
+        return "0.00";
+    }
+    return num.toFixed(2);
+}
+
+function formatSeriesSection(label, candles = []) {
+    if (!candles.length) {
+        return `${label}: No candle data available.`;
+    }
+
+    const recent = candles
+        .slice()
+        .sort((a, b) => a.startTime - b.startTime)
+        .slice(-3);
+
+    const entries = recent.map((candle) => {
+        const time = formatCandleTimestamp(candle.startTime);
+        return `${time} UTC O${formatCandlePrice(candle.open)} H${formatCandlePrice(
+            candle.high
+        )} L${formatCandlePrice(candle.low)} C${formatCandlePrice(
+            candle.close
+        )} V${formatBigNumber(candle.volume)}`;
+    });
+
+    return `${label} (latest ${entries.length}):\n  ${entries.join("\n  ")}`;
+}
+
+function formatIndicatorValue(value, decimals = 2) {
+    return Number.isFinite(value) ? value.toFixed(decimals) : "n/a";
+}
+
+function formatIndicatorPrice(value) {
+    return Number.isFinite(value) ? `$${formatUsd(value)}` : "n/a";
+}
+
+function formatCrossover({ fast, slow, trend, barsSinceCross }) {
+    if (!trend) {
+        return `${fast}/${slow} n/a`;
+    }
+    const since = barsSinceCross === null ? "no cross in window" : `crossed ${barsSinceCross} bars ago`;
+    return `${fast}/${slow} ${trend} (${since})`;
+}
+
+const INDICATOR_RENDERERS = {
+    vwma: (candles, periods) => `VWMA${periods.vwma} ${formatIndicatorPrice(calculateVWMA(candles, periods.vwma))}`,
+    rsi: (candles, periods) => `RSI${periods.rsi} ${formatIndicatorValue(calculateRSI(candles, periods.rsi), 1)}`,
+    macd: (candles, periods) => {
+        const macd = calculateMACD(candles, periods.macdFast, periods.macdSlow, periods.macdSignal);
+        return `MACD ${formatIndicatorValue(macd?.line)}/${formatIndicatorValue(macd?.signal)}/${formatIndicatorValue(
+            macd?.histogram
+        )}`;
+    },
+    atr: (candles, periods) => `ATR${periods.atr} ${formatIndicatorPrice(calculateATR(candles, periods.atr))}`,
+    bollinger: (candles, periods) => {
+        const bands = calculateBollinger(candles, periods.bollinger, periods.bollingerStdDev);
+        if (!bands) {
+            return `BB${periods.bollinger} n/a`;
+        }
+        return `BB${periods.bollinger} ${formatIndicatorPrice(bands.lower)}/${formatIndicatorPrice(bands.middle)}/${formatIndicatorPrice(
+            bands.upper
+        )} bw ${formatIndicatorValue(bands.bandwidth * 100)}%`;
+    },
+    ema: (candles, periods) => {
+        const { values, crossovers } = calculateEmaCrossovers(candles, [
+            [periods.emaFast, periods.emaSlow],
+            [periods.emaTrendFast, periods.emaTrendSlow]
+        ]);
+        const levels = Object.entries(values)
+            .map(([period, value]) => `${period} ${formatIndicatorPrice(value)}`)
+            .join(", ");
+        return `EMA ${levels}; ${crossovers.map(formatCrossover).join(", ")}`;
+    },
+    stochrsi: (candles, periods) => {
+        const stoch = calculateStochRSI(candles, periods.rsi, periods.stochRsi);
+        return `StochRSI K${formatIndicatorValue(stoch?.k, 1)}/D${formatIndicatorValue(stoch?.d, 1)}`;
+    },
+    obv: (candles, periods) => {
+        const obv = calculateOBV(candles, periods.obv);
+        if (!obv) {
+            return "OBV n/a";
+        }
+        const sign = obv.change >= 0 ? "+" : "-";
+        return `OBV ${formatBigNumber(obv.value)} (${sign}${formatBigNumber(Math.abs(obv.change))} over ${obv.changeWindow} bars)`;
+    },
+    adx: (candles, periods) => {
+        const adx = calculateADX(candles, periods.adx);
+        return `ADX${periods.adx} ${formatIndicatorValue(adx?.adx, 1)} (+DI ${formatIndicatorValue(adx?.plusDi, 1)} / -DI ${formatIndicatorValue(
+            adx?.minusDi,
+            1
+        )})`;
+    }
+};
+
+export function buildIndicatorSummary(seriesMap = {}, config = DEFAULT_INDICATOR_CONFIG, periods = INDICATOR_PERIODS) {
+    const lines = INDICATOR_TIMEFRAMES.filter((label) => config[label]?.length).map((label) => {
+        const candles = seriesMap[label] ?? [];
+        if (!candles.length) {
+            return `${label}: no candle data`;
+        }
+        return `${label}: ${config[label].map((name) => INDICATOR_RENDERERS[name](candles, periods)).join(" | ")}`;
+    });
+
+    return [
+        "MACD as line/signal/histogram; Bollinger as lower/middle/upper with bandwidth; RSI and ATR use Wilder smoothing:",
+        ...lines
+    ].join("\n");
+}
+
+export function buildSamplingData(seriesMap = {}, market, position) {
+    const orderedLabels = ["1m", "5m", "1h"];
+    const sections = orderedLabels
+        .map((label) => formatSeriesSection(label, seriesMap[label]))
+        .filter(Boolean);
+
+    if (!sections.length) {
+        const price = market ? `$${formatUsd(market.price)}` : "unknown price";
+        const positionNote = position
+            ? `${position.side} ${position.size.toFixed(4)} contracts live`
+            : "Flat stance maintained";
+        sections.push(`No intraday candles available. Latest price ${price}; ${positionNote}.`);
+    }
+
+    return sections.join("\n");
+}
+
+export function calculateMarginUsage(account) {
+    const denominator = account.totalEquity || 1;
+    return (account.usedMargin || 0) / denominator;
+}
+
+export function buildTemplateData(context) {
+    const now = context.now ?? Date.now();
+    const runtimeMinutes = Math.max(
+        1,
+        Math.round((now - (context.sessionStart ?? now)) / 60000)
+    );
+    const symbols = resolveContextSymbols(context);
+    const missing = symbols.filter((symbol) => !context.market[symbol]);
+    if (missing.length) {
+        throw new Error(`Market data for ${missing.join(", ")} missing from context.`);
+    }
+    const marginUsageRatio = calculateMarginUsage(context.account);
+
+    return {
+        runtime_minutes: runtimeMinutes,
+        current_time_utc: new Date(now).toISOString(),
+        environment_label: context.environment?.label ?? "MAINNET",
+        real_trading_warning:
+            context.environment?.realCapital === false
+                ? "Non-production environment - orders use simulated or test funds; still size entries as if capital were real."
+                : "REAL CAPITAL DEPLOYMENT - confirm entries before transmitting orders.",
+        total_equity: formatUsd(context.account.totalEquity),
+        available_balance: formatUsd(context.account.availableBalance),
+        used_margin: formatUsd(context.account.usedMargin),
+        margin_usage_percent: formatPercent(marginUsageRatio),
+        margin_usage_ratio: marginUsageRatio.toFixed(4),
+        maintenance_margin: formatUsd(context.account.maintenanceMargin),
+        max_leverage: context.maxLeverage ?? TARGET_LEVERAGE,
+        default_leverage: context.maxLeverage ?? TARGET_LEVERAGE,
+        positions_detail: context.positionDetail,
+        open_orders_detail: context.openOrdersDetail || "No pending orders.",
+        selected_symbols_count: symbols.length,
+        selected_symbols_detail: symbols
+            .map((symbol) => {
+                const market = context.market[symbol];
+                return `- ${symbol}: $${formatUsd(market.price)} | 24h ${formatSignedPercent(
+                    market.change24h
+                )} | funding ${market.fundingRate}`;
+            })
+            .join("\n"),
+        selected_symbols_csv: symbols.join(", "),
+        market_prices: symbols
+            .map((symbol) => {
+                const market = context.market[symbol];
+                return `${symbol}: $${formatUsd(market.price)} (${formatSignedPercent(
+                    market.change24h
+                )} 24h | funding ${market.fundingRate} | vol ${formatBigNumber(
+                    market.volume24h
+                )} USDT)`;
+            })
+            .join("\n"),
+        sampling_data: context.samplingData,
+        indicator_section:
+            context.indicatorSummary ||
+            "Indicator data unavailable.",
+        market_structure_section:
+            context.marketStructureSummary ||
+            "Market structure data unavailable.",
+        news_section:
+            context.newsHeadline ||
+            "Spot BTC ETF inflows remain positive; no major macro catalysts scheduled during this session.",
+        output_format: createOutputFormatDescriptor(symbols[0], context.targetLeverage)
+    };
+}
+
+function findBalancedObject(text, start) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === "\\") {
+                escaped = true;
+            } else if (char === "\"") {
+                inString = false;
+            }
+            continue;
+        }
+        if (char === "\"") {
+            inString = true;
+        } else if (char === "{") {
+            depth += 1;
+        } else if (char === "}") {
+            depth -= 1;
+            if (depth === 0) {
+                return text.slice(start, i + 1);
+            }
+        }
+    }
+    return null;
+}
+
+export function extractJsonPayload(rawContent) {
+    const text = String(rawContent ?? "").trim();
+    if (!text) {
+        throw new Error("Model response is empty");
+    }
+    try {
+        return JSON.parse(text);
+    } catch {
+        // Fall through to the tolerant paths below.
+    }
+
+    const candidates = [];
+    const fencePattern = /```(?:json)?\s*([\s\S]*?)```/gi;
+    let match;
+    while ((match = fencePattern.exec(text)) !== null) {
+        candidates.push(match[1].trim());
+    }
+    for (let index = text.indexOf("{"); index !== -1; index = text.indexOf("{", index + 1)) {
+        const block = findBalancedObject(text, index);
+        if (block) {
+            candidates.push(block);
+        }
+    }
+
+    let lastError = null;
+    for (const candidate of candidates) {
+        try {
+            return JSON.parse(candidate);
+        } catch (error) {
+            lastError = error;
+        }
+    }
+    throw new Error(
+        `No valid JSON object found in model response${lastError ? ` (${lastError.message})` : ""}`
+    );
+}
+
+export function parseModelDecisions(rawContent) {
+    try {
+        return extractJsonPayload(rawContent);
+    } catch (error) {
+        console.error("Failed to parse model output", rawContent);
+        throw error;
+    }
+}
+
+export function resolveCloseSide(position) {
+    const heldSide = position?.side?.toUpperCase();
+    if (heldSide === "SELL") {
+        return "Buy";
+    }
+    return "Sell";
+}
+
+export function resolvePositionIdx(normalizedOperation, side, position, positionMode) {
+    if ((positionMode || "").toUpperCase() !== "HEDGE") {
+        return undefined;
+    }
+    if (normalizedOperation === "close" && position) {
+        return position.side?.toUpperCase() === "SELL" ? 2 : 1;
+    }
+    return side === "Buy" ? 1 : 2;
+}
+
+function resolveHeldSide(position) {
+    return position?.side?.toUpperCase() === "SELL" ? "Sell" : "Buy";
+}
+
+function hasOpenPosition(position) {
+    return Boolean(position && Number(position.size) > 0);
+}
+
+// A stop moved further from the price adds risk the original entry never accounted for.
+export function loosensStop(position, stopLossPrice) {
+    const current = Number(position?.stopLoss) || 0;
+    if (current <= 0) {
+        return false;
+    }
+    return position.side?.toUpperCase() === "SELL" ? stopLossPrice >= current : stopLossPrice <= current;
+}
+
+// move_stop / move_target become /v5/position/trading-stop adjustments rather than orders.
+function mapProtectionAdjustment(decision, context, symbols, skip) {
+    const operation = decision.operation.toLowerCase();
+    const symbol = resolveDecisionSymbol(decision.symbol, symbols);
+    if (!symbol || !context.market[symbol]) {
+        return skip("symbol outside the trading universe");
+    }
+    const position = context.positions?.[symbol] ?? null;
+    if (!hasOpenPosition(position)) {
+        return skip(`${operation} requested without an open position`);
+    }
+
+    const tickSize = context.instrumentMeta?.[symbol]?.tickSize || DEFAULT_TICK_SIZE;
+    const marketPrice = context.market[symbol].price;
+    const long = resolveHeldSide(position) === "Buy";
+    const field = operation === "move_stop" ? "stop_loss_price" : "take_profit_price";
+    const input = Number(decision[field]);
+    if (!Number.isFinite(input) || input <= 0) {
+        return skip(`missing ${field}`);
+    }
+    const price = quantizeToStep(input, tickSize, "round");
+    const stopSide = operation === "move_stop";
+    // A stop must stay on the losing side of the market and a target on the winning side, or Bybit fires it at once.
+    if (stopSide === long ? price >= marketPrice : price <= marketPrice) {
+        return skip(`${field} ${price} on the wrong side of market ${marketPrice} for ${long ? "long" : "short"} position`);
+    }
+    if (stopSide && loosensStop(position, price)) {
+        return skip(`stop ${price} does not tighten the current stop ${position.stopLoss}`);
+    }
+
+    return {
+        operation,
+        symbol,
+        positionIdx: resolvePositionIdx("close", null, position, context.positionModes?.[symbol]) ?? 0,
+        stopLoss: stopSide ? price : undefined,
+        takeProfit: stopSide ? undefined : price,
+        previous: stopSide ? position.stopLoss : position.takeProfit,
+        reason: decision.reason
+    };
+}
+
+export const SIZING_MODES = ["portion", "risk"];
+
+// Quantity that loses `riskPerTrade` of equity at the stop, never sized off a stop tighter than
+// `minStopAtrMultiple` ATRs, and never larger than the portion/leverage allocation or max leverage allows.
+function sizeByRisk({ symbol, price, stopLossPrice, allocationQty, marginBase, equity, sizing }) {
+    const riskBudget = (Number(equity) > 0 ? Number(equity) : marginBase) * sizing.riskPerTrade;
+    const atr = Number(sizing.atr?.[symbol]);
+    const atrFloor = Number.isFinite(atr) && sizing.minStopAtrMultiple > 0 ? atr * sizing.minStopAtrMultiple : 0;
+    const stopDistance = Math.max(Math.abs(price - stopLossPrice), atrFloor);
+    const limits = [
+        { qty: riskBudget / stopDistance, label: atrFloor > Math.abs(price - stopLossPrice) ? "ATR stop floor" : "risk" },
+        { qty: allocationQty, label: "portion" },
+        { qty: (marginBase * sizing.maxLeverage) / price, label: "max leverage" }
+    ].filter((limit) => Number.isFinite(limit.qty));
+    const binding = limits.reduce((tightest, limit) => (limit.qty < tightest.qty ? limit : tightest));
+    return { qty: Math.max(0, binding.qty), cappedBy: binding.label };
+}
+
+export function mapDecisionsToBybitOrders(decisions, context, skipped = [], adjustments = []) {
+    const symbols = resolveContextSymbols(context);
+    const marginBase = context.account.availableBalance;
+    const targetLeverage = context.targetLeverage ?? TARGET_LEVERAGE;
+    const sizing = { mode: "portion", maxLeverage: context.maxLeverage ?? targetLeverage, ...context.sizing };
+    // orderLinkId carries the cycle ID so exchange-side orders can be traced back to the cycle's log lines; Bybit caps it at 36 chars.
+    const linkTag = context.cycleId ?? (context.now ?? Date.now()).toString(36);
+
+    for (const decision of decisions) {
+        const operation = (decision?.operation || "").toLowerCase();
+        if (operation === "move_stop" || operation === "move_target") {
+            const adjustment = mapProtectionAdjustment(decision, context, symbols, (reason) => {
+                skipped.push({ decision, reason });
+                return null;
+            });
+            if (adjustment) {
+                adjustments.push(adjustment);
+            }
+        }
+    }
+
+    return decisions
+        .filter(
+            (decision) =>
+                decision &&
+                decision.operation &&
+                !["hold", "move_stop", "move_target"].includes(decision.operation.toLowerCase()) &&
+                Number(decision.target_portion_of_balance) > 0
+        )
+        .map((decision, index) => {
+            const skip = (reason) => {
+                skipped.push({ decision, reason });
+                return null;
+            };
+            const normalizedOperation = (decision.operation || "").toLowerCase();
+            const portion = Math.max(0, Number(decision.target_portion_of_balance ?? 0));
+            const symbol = resolveDecisionSymbol(decision.symbol, symbols);
+            if (!symbol || !context.market[symbol]) {
+                console.warn("Skipping decision for symbol outside the trading universe", decision);
+                return skip("symbol outside the trading universe");
+            }
+
+            const market = context.market[symbol];
+            const position = context.positions?.[symbol] ?? null;
+            const positionMode = context.positionModes?.[symbol];
+            const instrumentMeta = context.instrumentMeta?.[symbol] || {};
+            const qtyStep = instrumentMeta.qtyStep || DEFAULT_QTY_STEP;
+            const minOrderQty = instrumentMeta.minOrderQty || qtyStep;
+            const maxOrderQty = instrumentMeta.maxOrderQty || Infinity;
+            const tickSize = instrumentMeta.tickSize || DEFAULT_TICK_SIZE;
+
+            const isClose = normalizedOperation === "close" || normalizedOperation === "partial_close";
+            if ((isClose || normalizedOperation === "add") && !hasOpenPosition(position)) {
+                return skip(`${normalizedOperation} requested without an open position`);
+            }
+
+            const requestedLeverage = Math.round(
+                Number(decision.leverage ?? targetLeverage)
+            );
+            const side =
+                normalizedOperation === "buy"
+                    ? "Buy"
+                    : isClose
+                        ? resolveCloseSide(position)
+                        : normalizedOperation === "add"
+                            ? resolveHeldSide(position)
+                            : "Sell";
+            const positionIdx = resolvePositionIdx(
+                isClose ? "close" : normalizedOperation,
+                side,
+                position,
+                positionMode
+            );
+            const requiresMaxPrice = side === "Buy";
+            const priceCandidate = Number(
+                requiresMaxPrice ? decision.max_price : decision.min_price
+            );
+            const orderPrice =
+                Number.isFinite(priceCandidate) && priceCandidate > 0
+                    ? priceCandidate
+                    : market.price;
+            const price = quantizeToStep(orderPrice, tickSize, "round");
+            if (
+                !Number.isFinite(price) ||
+                price <= 0 ||
+                (instrumentMeta.minPrice && price < instrumentMeta.minPrice) ||
+                (instrumentMeta.maxPrice && price > instrumentMeta.maxPrice)
+            ) {
+                return skip(`price ${price} outside instrument price filter`);
+            }
+
+            const baseLeverage =
+                Number.isFinite(requestedLeverage) && requestedLeverage >= 1
+                    ? Math.min(requestedLeverage, targetLeverage)
+                    : targetLeverage;
+            const leverage =
+                (isClose || normalizedOperation === "add") && Number.isFinite(Number(position?.leverage))
+                    ? Math.max(1, Math.round(Number(position.leverage)))
+                    : baseLeverage;
+
+            const needsProtection = !isClose;
+            const stopLossInput = Number(decision.stop_loss_price);
+            const takeProfitInput = Number(decision.take_profit_price);
+            const stopLossPrice =
+                needsProtection && Number.isFinite(stopLossInput) && stopLossInput > 0
+                    ? quantizeToStep(stopLossInput, tickSize, "round")
+                    : null;
+            const takeProfitPrice =
+                needsProtection && Number.isFinite(takeProfitInput) && takeProfitInput > 0
+                    ? quantizeToStep(takeProfitInput, tickSize, "round")
+                    : null;
+
+            if (needsProtection && (!stopLossPrice || !takeProfitPrice)) {
+                console.warn(
+                    "Skipping decision missing stop loss or take profit",
+                    decision
+                );
+                return skip("missing stop loss or take profit");
+            }
+
+            // The add's stop replaces the position's, so it must not widen it any more than move_stop may.
+            if (normalizedOperation === "add" && loosensStop(position, stopLossPrice)) {
+                return skip(`add stop ${stopLossPrice} does not tighten the current stop ${position.stopLoss}`);
+            }
+
+            if (needsProtection) {
+                if (
+                    (side === "Buy" && !(stopLossPrice < price && takeProfitPrice > price)) ||
+                    (side === "Sell" && !(stopLossPrice > price && takeProfitPrice < price))
+                ) {
+                    console.warn(
+                        "Skipping decision with inconsistent TP/SL relative to entry",
+                        decision
+                    );
+                    return skip(`TP/SL inconsistent with ${side} entry at ${price}`);
+                }
+            }
+
+            let rawQty = 0;
+            let sizingNote = isClose ? undefined : { mode: "portion" };
+            if (isClose) {
+                const liveSize = Number(position?.size);
+                if (!Number.isFinite(liveSize) || liveSize <= 0) {
+                    return skip("position size unavailable for close");
+                }
+                const closeFraction = portion > 0 ? Math.min(portion, 1) : 1;
+                rawQty = liveSize * closeFraction;
+            } else {
+                const marginAllocation = marginBase * portion;
+                if (!Number.isFinite(marginAllocation) || marginAllocation <= 0) {
+                    return skip("no available balance to allocate");
+                }
+                const minMarginRequirement = (minOrderQty * price) / leverage;
+                const notional = marginAllocation * leverage;
+                const allocationQty = notional / price;
+                if (sizing.mode === "risk") {
+                    const riskSizing = sizeByRisk({
+                        symbol,
+                        price,
+                        stopLossPrice,
+                        allocationQty,
+                        marginBase,
+                        equity: context.account.totalEquity,
+                        sizing
+                    });
+                    if (!(riskSizing.qty >= minOrderQty)) {
+                        return skip(
+                            `risk-based size ${riskSizing.qty.toFixed(6)} below min order qty ${minOrderQty} (capped by ${riskSizing.cappedBy})`
+                        );
+                    }
+                    rawQty = riskSizing.qty;
+                    sizingNote = { mode: "risk", cappedBy: riskSizing.cappedBy };
+                } else if (allocationQty >= minOrderQty) {
+                    rawQty = allocationQty;
+                } else if (marginBase >= minMarginRequirement) {
+                    rawQty = minOrderQty;
+                } else {
+                    console.warn(
+                        "Skipping decision; insufficient margin to meet Bybit min order size",
+                        JSON.stringify({
+                            symbol,
+                            operation: decision.operation,
+                            availableBalance: marginBase,
+                            requiredMargin: minMarginRequirement
+                        })
+                    );
+                    return skip("insufficient margin to meet Bybit min order size");
+                }
+            }
+
+            const qty = quantizeToStep(rawQty, qtyStep, "floor");
+            if (
+                !Number.isFinite(qty) ||
+                qty <= 0 ||
+                qty < minOrderQty ||
+                qty > maxOrderQty
+            ) {
+                console.warn(
+                    "Skipping decision due to quantity constraints",
+                    JSON.stringify({
+                        symbol,
+                        operation: decision.operation,
+                        portion,
+                        rawQty,
+                        qty,
+                        minOrderQty,
+                        maxOrderQty
+                    })
+                );
+                return skip(`quantity ${qty} outside order size limits (${minOrderQty}-${maxOrderQty})`);
+            }
+
+            return {
+                category: context.category ?? BYBIT_CATEGORY,
+                symbol,
+                side,
+                orderType: "Limit",
+                qty,
+                price,
+                timeInForce: "GTC",
+                reduceOnly: isClose,
+                leverage,
+                positionIdx,
+                orderLinkId: `codex-${linkTag}-${index}-${symbol.toLowerCase()}`.slice(0, 36),
+                stopLoss: needsProtection ? stopLossPrice : undefined,
+                takeProfit: needsProtection ? takeProfitPrice : undefined,
+                slTriggerBy: needsProtection ? "LastPrice" : undefined,
+                tpTriggerBy: needsProtection ? "LastPrice" : undefined,
+                sizing: sizingNote,
+                reason: decision.reason,
+                trading_strategy: decision.trading_strategy
+            };
+        })
+        .filter(Boolean);
+}
@@ -0,0 +1,175 @@
+// # Schema checks for model decision payloads (mirrors createOutputFormatDescriptor)
+import { TARGET_LEVERAGE, loosensStop, resolveDecisionSymbol } from "./trading.js";
+
+const OPERATIONS = ["buy", "sell", "hold", "close", "move_stop", "move_target", "partial_close", "add"];
+const POSITION_OPERATIONS = ["move_stop", "move_target", "partial_close", "add"];
+
+function isPositiveNumber(value) {
+    return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
+
+function resolveCloseDirection(position) {
+    if (!position || !Number(position.size)) {
+        return null;
+    }
+    return position.side?.toUpperCase() === "SELL" ? "buy" : "sell";
+}
+
+function resolveAddDirection(position) {
+    if (!position || !Number(position.size)) {
+        return null;
+    }
+    return position.side?.toUpperCase() === "SELL" ? "sell" : "buy";
+}
+
+function describeLooseStop(operation, position) {
+    const short = position.side?.toUpperCase() === "SELL";
+    return `${operation} may only tighten the stop: stop_loss_price must be ${short ? "below" : "above"} the current stop ${Number(position.stopLoss)} for a ${short ? "short" : "long"}`;
+}
+
+function validateDecision(decision, { symbols, maxLeverage, positions }) {
+    const errors = [];
+    if (!decision || typeof decision !== "object" || Array.isArray(decision)) {
+        return ["decision must be an object"];
+    }
+
+    const operation = typeof decision.operation === "string" ? decision.operation.toLowerCase() : "";
+    if (!OPERATIONS.includes(operation)) {
+        errors.push(`operation must be one of ${OPERATIONS.join(", ")} (got ${JSON.stringify(decision.operation)})`);
+    }
+
+    const symbol = resolveDecisionSymbol(decision.symbol, symbols);
+    if (!symbol) {
+        errors.push(`symbol must be one of ${symbols.join(", ")} (got ${JSON.stringify(decision.symbol)})`);
+    }
+
+    const portion = decision.target_portion_of_balance;
+    if (typeof portion !== "number" || !Number.isFinite(portion) || portion < 0 || portion > 1) {
+        errors.push("target_portion_of_balance must be a number between 0.0 and 1.0");
+    } else if (operation === "hold" && portion !== 0) {
+        errors.push("target_portion_of_balance must be 0 for hold");
+    }
+
+    const leverage = decision.leverage;
+    if (!Number.isInteger(leverage) || leverage < 1 || leverage > maxLeverage) {
+        errors.push(`leverage must be an integer between 1 and ${maxLeverage}`);
+    }
+
+    if (
+        decision.confidence !== undefined &&
+        (typeof decision.confidence !== "number" || !(decision.confidence >= 0 && decision.confidence <= 1))
+    ) {
+        errors.push("confidence must be a number between 0.0 and 1.0 when provided");
+    }
+
+    for (const field of ["reason", "trading_strategy"]) {
+        if (decision[field] !== undefined && typeof decision[field] !== "string") {
+            errors.push(`${field} must be a string`);
+        }
+    }
+
+    if (operation === "hold") {
+        if (decision.max_price !== undefined || decision.min_price !== undefined) {
+            errors.push("hold entries must omit max_price and min_price");
+        }
+        return errors;
+    }
+    if (!OPERATIONS.includes(operation)) {
+        return errors;
+    }
+
+    const position = symbol ? positions?.[symbol] : null;
+    if (POSITION_OPERATIONS.includes(operation) && !(position && Number(position.size) > 0)) {
+        errors.push(`${operation} requires an open position`);
+        return errors;
+    }
+    if (operation === "move_stop" || operation === "move_target") {
+        const field = operation === "move_stop" ? "stop_loss_price" : "take_profit_price";
+        if (!isPositiveNumber(decision[field])) {
+            errors.push(`${field} is required for ${operation} and must be a positive number`);
+        } else if (operation === "move_stop" && loosensStop(position, decision.stop_loss_price)) {
+            errors.push(describeLooseStop(operation, position));
+        }
+        return errors;
+    }
+    if (operation === "partial_close" && !(portion > 0 && portion < 1)) {
+        errors.push("partial_close needs target_portion_of_balance between 0 and 1 (fraction of the position to close)");
+    }
+
+    const protectionFields = operation === "partial_close" ? [] : ["stop_loss_price", "take_profit_price"];
+    for (const field of protectionFields) {
+        if (!isPositiveNumber(decision[field])) {
+            errors.push(`${field} is required for ${operation} and must be a positive number`);
+        }
+    }
+    // An add's stop replaces the position's stop, so it is held to the same rule as move_stop.
+    if (operation === "add" && isPositiveNumber(decision.stop_loss_price) && loosensStop(position, decision.stop_loss_price)) {
+        errors.push(describeLooseStop(operation, position));
+    }
+
+    let direction = operation;
+    if (operation === "add") {
+        direction = resolveAddDirection(position);
+    } else if (operation === "partial_close") {
+        direction = resolveCloseDirection(position);
+    } else if (operation === "close") {
+        direction = symbol ? resolveCloseDirection(positions?.[symbol]) : null;
+        if (!direction && !isPositiveNumber(decision.max_price) && !isPositiveNumber(decision.min_price)) {
+            errors.push("close requires max_price (covering a short) or min_price (reducing a long)");
+        }
+    }
+    if (direction === "buy" && !isPositiveNumber(decision.max_price)) {
+        errors.push(`max_price is required for ${operation} because it buys contracts`);
+    }
+    if (direction === "sell" && !isPositiveNumber(decision.min_price)) {
+        errors.push(`min_price is required for ${operation} because it sells contracts`);
+    }
+
+    return errors;
+}
+
+export function validateDecisionPayload(payload, { symbols, maxLeverage = TARGET_LEVERAGE, positions = {} } = {}) {
+    if (!payload || typeof payload !== "object" || !Array.isArray(payload.decisions)) {
+        return {
+            valid: false,
+            decisions: [],
+            rejections: [],
+            errors: ["response must be a JSON object with a \"decisions\" array"]
+        };
+    }
+
+    const decisions = [];
+    const rejections = [];
+    payload.decisions.forEach((decision, index) => {
+        const reasons = validateDecision(decision, { symbols, maxLeverage, positions });
+        if (reasons.length) {
+            rejections.push({ index, decision, reasons });
+        } else {
+            decisions.push(decision);
+        }
+    });
+
+    return {
+        valid: rejections.length === 0,
+        decisions,
+        rejections,
+        errors: rejections.flatMap(({ index, decision, reasons }) =>
+            reasons.map((reason) => `${describeRejectedDecision(index, decision)}: ${reason}`)
+        )
+    };
+}
+
+export function describeRejectedDecision(index, decision) {
+    const symbol = decision?.symbol ?? "?";
+    const operation = decision?.operation ?? "?";
+    return `decisions[${index}] (${symbol} ${operation})`;
+}
+
+export function buildRepairPrompt(errors = []) {
+    return [
+        "Your previous response failed validation against the required decision schema:",
+        ...errors.map((error) => `- ${error}`),
+        "",
+        "Return the corrected answer as a single JSON object with a \"decisions\" array only, no markdown and no commentary."
+    ].join("\n");
+}